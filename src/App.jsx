@@ -1,7 +1,11 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
-import { useState, useMemo } from 'react'
+import { useState, useMemo, useEffect } from 'react'
+import { Loader2 } from 'lucide-react'
 import Header from './components/Header'
 import Footer from './components/Footer'
+import UpdatePrompt from './components/UpdatePrompt'
+import FreshnessBanner from './components/FreshnessBanner'
+import RemoteDataPrompt from './components/RemoteDataPrompt'
 import Dashboard from './components/Dashboard'
 import Admin from './components/Admin'
 import JobCalendar from './components/JobCalendar'
@@ -10,12 +14,41 @@ import ExportSchedule from './components/ExportSchedule'
 import TeamList from './components/TeamList'
 import TeamDetail from './components/TeamDetail'
 import JobView from './components/JobView'
+import MySchedule from './components/MySchedule'
+import UnassignedQueue from './components/UnassignedQueue'
+import OfficePinPrompt from './components/OfficePinPrompt'
+import UnlockData from './components/UnlockData'
 import Documentation from './components/Documentation'
 import { usePersistedData } from './hooks/usePersistedData'
 import { useUserPreferences } from './hooks/useUserPreferences'
+import { useRemoteSync } from './hooks/useRemoteSync'
+import { useOfficeLock } from './hooks/useOfficeLock'
+import { useUserDirectory } from './hooks/useUserDirectory'
+import { useScheduleEdits } from './hooks/useScheduleEdits'
+import { scopeDataToEmployee, scopeDataToCompanies } from './utils/employeeScope'
+import { getUserViewMode } from './utils/userDirectory'
+import { mergePositionDefinitions } from './constants/teamPositions'
+import { analyzeConflicts } from './utils/conflicts'
+import { applyScheduleEdits, saveScheduleEdits, getDatasetKey } from './utils/scheduleEdits'
 
 function App() {
-  const { data, saveData, clearData } = usePersistedData()
+  const {
+    data,
+    loading,
+    saveData,
+    clearData,
+    snapshots,
+    activeSnapshotId,
+    activateSnapshot,
+    renameSnapshot,
+    deleteSnapshot,
+    locked,
+    encryptionStatus,
+    unlock,
+    forgetKey,
+    setPassphrase,
+    disableEncryption
+  } = usePersistedData()
   const {
     viewMode,
     setViewMode,
@@ -24,9 +57,87 @@ function App() {
     selectedCompany,
     setSelectedCompany,
     selectedTeam,
-    setSelectedTeam
+    setSelectedTeam,
+    myEmployeeId,
+    setMyEmployeeId,
+    myUserId,
+    updatePreferences,
+    freshnessThresholds,
+    setFreshnessThresholds,
+    positionOverrides,
+    setPositionOverrides,
+    pdfOptions,
+    setPdfOptions
   } = useUserPreferences()
 
+  // Office PIN gate for office view, Admin and the feature toggles
+  const officeLock = useOfficeLock(viewMode, setViewMode)
+
+  const handleSetViewMode = (mode) => {
+    if (mode === 'office') {
+      officeLock.requireOffice(() => setViewMode('office'))
+    } else {
+      setViewMode(mode)
+    }
+  }
+
+  // Background fetch of configured remote schedule files
+  const remoteSync = useRemoteSync(saveData, !loading && !locked)
+
+  // Users imported from users.json and the identity picked on this device
+  const userDirectory = useUserDirectory(!loading && !locked)
+  const currentUser = userDirectory.directory?.users.find(user => user.id === myUserId) || null
+
+  /**
+   * Pick an identity: links the user's employee and applies the view mode of their role
+   * @param {Object|null} user - Directory user, or null to clear
+   */
+  const handleSelectUser = (user) => {
+    if (!user) {
+      updatePreferences({ myUserId: null })
+      return
+    }
+    updatePreferences({ myUserId: user.id, myEmployeeId: user.employeeId })
+    handleSetViewMode(getUserViewMode(user))
+  }
+
+  // A company the current user can't see can't stay selected
+  useEffect(() => {
+    if (currentUser && selectedCompany !== 'all' && !currentUser.companyIds.includes(selectedCompany)) {
+      setSelectedCompany('all')
+    }
+  }, [currentUser, selectedCompany, setSelectedCompany])
+
+  // Local schedule edits (reassign, reschedule, cancel) kept as an overlay on the active snapshot;
+  // local jobs and notes follow the dataset across re-imports
+  const datasetKey = useMemo(() => getDatasetKey(data), [data])
+  const scheduleEdits = useScheduleEdits(activeSnapshotId, datasetKey, !loading && !locked)
+  const editorName = currentUser?.name ||
+    data?.employees.find(emp => emp.id === myEmployeeId)?.name ||
+    'Office'
+  const editor = {
+    enabled: viewMode === 'office' && Boolean(activeSnapshotId),
+    changes: scheduleEdits.changes,
+    record: (fields) => scheduleEdits.addChange(fields, editorName),
+    revert: scheduleEdits.revertChanges
+  }
+
+  const handleDeleteSnapshot = async (snapshotId) => {
+    const result = await deleteSnapshot(snapshotId)
+    if (result !== false) {
+      await saveScheduleEdits(snapshotId, [])
+    }
+    return result
+  }
+
+  const handleClearData = async () => {
+    const cleared = await clearData()
+    if (cleared) {
+      await userDirectory.clearDirectory()
+    }
+    return cleared
+  }
+
   // Initialize featureToggles - load from localStorage or use uploaded data
   const [debugToggles, setDebugToggles] = useState(() => {
     // Try to load from localStorage first
@@ -54,17 +165,39 @@ function App() {
     return data.metadata.featureToggles
   })
 
-  // Update data with debug toggles - use useMemo to ensure stable reference
+  const editedData = useMemo(
+    () => applyScheduleEdits(data, scheduleEdits.changes),
+    [data, scheduleEdits.changes]
+  )
+
+  // Update data with debug toggles and Admin position overrides - use useMemo to ensure stable reference
   const dataWithToggles = useMemo(() => {
-    if (!data) return null
+    if (!editedData) return null
     return {
-      ...data,
+      ...editedData,
       metadata: {
-        ...data.metadata,
-        featureToggles: debugToggles
+        ...editedData.metadata,
+        featureToggles: debugToggles,
+        teamPositions: mergePositionDefinitions(editedData.metadata?.teamPositions, positionOverrides)
       }
     }
-  }, [data, debugToggles])
+  }, [editedData, debugToggles, positionOverrides])
+
+  // A picked user only sees their companies; technician mode with a chosen
+  // employee only sees that employee's jobs
+  const scopedData = useMemo(() => {
+    let scoped = dataWithToggles
+    if (currentUser) {
+      scoped = scopeDataToCompanies(scoped, currentUser.companyIds)
+    }
+    if (viewMode === 'technician' && myEmployeeId) {
+      scoped = scopeDataToEmployee(scoped, myEmployeeId)
+    }
+    return scoped
+  }, [dataWithToggles, currentUser, viewMode, myEmployeeId])
+
+  // Double-bookings and gaps in what the current view shows
+  const conflicts = useMemo(() => analyzeConflicts(scopedData), [scopedData])
 
   const toggleFeature = (key) => {
     setDebugToggles(prev => {
@@ -95,95 +228,174 @@ function App() {
   return (
     <Router>
       <div className="min-h-screen flex flex-col bg-gray-50">
-        <Header viewMode={viewMode} setViewMode={setViewMode} />
+        <Header viewMode={viewMode} setViewMode={handleSetViewMode} />
+        <FreshnessBanner data={data} thresholds={freshnessThresholds} />
+        <RemoteDataPrompt remoteSync={remoteSync} activeSnapshotId={activeSnapshotId} activateSnapshot={activateSnapshot} />
         <main className="flex-1 container mx-auto px-4 py-8 max-w-7xl">
-          <Routes>
-            <Route path="/" element={<Dashboard data={dataWithToggles} />} />
-            <Route
-              path="/admin"
-              element={<Admin data={dataWithToggles} saveData={saveData} clearData={clearData} />}
-            />
-            <Route
-              path="/jobs"
-              element={
-                <JobCalendar
-                  data={dataWithToggles}
-                  viewMode={viewMode}
-                  selectedDate={selectedDate}
-                  setSelectedDate={setSelectedDate}
-                  selectedCompany={selectedCompany}
-                  setSelectedCompany={setSelectedCompany}
-                  selectedTeam={selectedTeam}
-                  setSelectedTeam={setSelectedTeam}
-                />
-              }
-            />
-            <Route
-              path="/employees"
-              element={
-                <EmployeeCalendar
-                  data={dataWithToggles}
-                  viewMode={viewMode}
-                  selectedDate={selectedDate}
-                  setSelectedDate={setSelectedDate}
-                  selectedCompany={selectedCompany}
-                  setSelectedCompany={setSelectedCompany}
-                  selectedTeam={selectedTeam}
-                  setSelectedTeam={setSelectedTeam}
-                />
-              }
-            />
-            <Route
-              path="/export"
-              element={
-                <ExportSchedule
-                  data={dataWithToggles}
-                  viewMode={viewMode}
-                  selectedDate={selectedDate}
-                  setSelectedDate={setSelectedDate}
-                  selectedCompany={selectedCompany}
-                  setSelectedCompany={setSelectedCompany}
-                />
-              }
-            />
-            <Route
-              path="/teams"
-              element={
-                <TeamList
-                  data={dataWithToggles}
-                  selectedDate={selectedDate}
-                  setSelectedDate={setSelectedDate}
-                  selectedCompany={selectedCompany}
-                  setSelectedCompany={setSelectedCompany}
-                />
-              }
-            />
-            <Route
-              path="/teams/:teamId"
-              element={
-                <TeamDetail
-                  data={dataWithToggles}
-                  viewMode={viewMode}
-                  selectedDate={selectedDate}
-                  setSelectedDate={setSelectedDate}
-                  selectedCompany={selectedCompany}
-                  setSelectedCompany={setSelectedCompany}
-                />
-              }
-            />
-            <Route
-              path="/jobs/:jobId"
-              element={
-                <JobView
-                  data={dataWithToggles}
-                  viewMode={viewMode}
-                />
-              }
-            />
-            <Route path="/docs" element={<Documentation />} />
-          </Routes>
+          {loading ? (
+            <div className="flex items-center justify-center gap-3 py-24 text-gray-600">
+              <Loader2 className="w-5 h-5 animate-spin text-[#005DA5]" />
+              <span className="text-sm font-medium">Loading saved schedule data...</span>
+            </div>
+          ) : locked ? (
+            <UnlockData onUnlock={unlock} onReset={() => officeLock.requireOffice(handleClearData)} />
+          ) : (
+            <Routes>
+              <Route path="/" element={<Dashboard data={scopedData} conflicts={conflicts} />} />
+              <Route
+                path="/me"
+                element={
+                  <MySchedule
+                    data={dataWithToggles}
+                    viewMode={viewMode}
+                    myEmployeeId={myEmployeeId}
+                    setMyEmployeeId={setMyEmployeeId}
+                    users={userDirectory.directory?.users}
+                    currentUser={currentUser}
+                    onSelectUser={handleSelectUser}
+                  />
+                }
+              />
+              <Route
+                path="/admin"
+                element={officeLock.officeAccess ? (
+                  <Admin
+                    data={dataWithToggles}
+                    storedData={data}
+                    saveData={saveData}
+                    clearData={handleClearData}
+                    snapshots={snapshots}
+                    activeSnapshotId={activeSnapshotId}
+                    activateSnapshot={activateSnapshot}
+                    renameSnapshot={renameSnapshot}
+                    deleteSnapshot={handleDeleteSnapshot}
+                    remoteSync={remoteSync}
+                    freshnessThresholds={freshnessThresholds}
+                    setFreshnessThresholds={setFreshnessThresholds}
+                    positionOverrides={positionOverrides}
+                    setPositionOverrides={setPositionOverrides}
+                    changeLog={{ changes: scheduleEdits.changes, clearChanges: scheduleEdits.clearChanges }}
+                    officeLock={officeLock}
+                    encryption={{ status: encryptionStatus, setPassphrase, disableEncryption, forgetKey }}
+                    userDirectory={userDirectory}
+                  />
+                ) : (
+                  <div className="flex justify-center py-12">
+                    <OfficePinPrompt
+                      onSubmit={officeLock.unlock}
+                      description="Admin is limited to the office. Enter the office PIN to continue."
+                    />
+                  </div>
+                )}
+              />
+              <Route
+                path="/jobs"
+                element={
+                  <JobCalendar
+                    data={scopedData}
+                    conflicts={conflicts}
+                    editor={editor}
+                    viewMode={viewMode}
+                    selectedDate={selectedDate}
+                    setSelectedDate={setSelectedDate}
+                    selectedCompany={selectedCompany}
+                    setSelectedCompany={setSelectedCompany}
+                    selectedTeam={selectedTeam}
+                    setSelectedTeam={setSelectedTeam}
+                  />
+                }
+              />
+              <Route
+                path="/employees"
+                element={
+                  <EmployeeCalendar
+                    data={scopedData}
+                    conflicts={conflicts}
+                    editor={editor}
+                    viewMode={viewMode}
+                    selectedDate={selectedDate}
+                    setSelectedDate={setSelectedDate}
+                    selectedCompany={selectedCompany}
+                    setSelectedCompany={setSelectedCompany}
+                    selectedTeam={selectedTeam}
+                    setSelectedTeam={setSelectedTeam}
+                  />
+                }
+              />
+              <Route
+                path="/export"
+                element={
+                  <ExportSchedule
+                    data={scopedData}
+                    viewMode={viewMode}
+                    selectedDate={selectedDate}
+                    setSelectedDate={setSelectedDate}
+                    selectedCompany={selectedCompany}
+                    setSelectedCompany={setSelectedCompany}
+                    pdfOptions={pdfOptions}
+                    setPdfOptions={setPdfOptions}
+                  />
+                }
+              />
+              <Route
+                path="/teams"
+                element={
+                  <TeamList
+                    data={scopedData}
+                    selectedDate={selectedDate}
+                    setSelectedDate={setSelectedDate}
+                    selectedCompany={selectedCompany}
+                    setSelectedCompany={setSelectedCompany}
+                  />
+                }
+              />
+              <Route
+                path="/teams/:teamId"
+                element={
+                  <TeamDetail
+                    data={scopedData}
+                    viewMode={viewMode}
+                    selectedDate={selectedDate}
+                    setSelectedDate={setSelectedDate}
+                    selectedCompany={selectedCompany}
+                    setSelectedCompany={setSelectedCompany}
+                  />
+                }
+              />
+              <Route
+                path="/unassigned"
+                element={
+                  <UnassignedQueue
+                    data={scopedData}
+                    selectedCompany={selectedCompany}
+                    setSelectedCompany={setSelectedCompany}
+                  />
+                }
+              />
+              <Route
+                path="/jobs/:jobId"
+                element={
+                  <JobView
+                    data={scopedData}
+                    viewMode={viewMode}
+                    editor={editor}
+                    pdfOptions={pdfOptions}
+                  />
+                }
+              />
+              <Route path="/docs" element={<Documentation />} />
+            </Routes>
+          )}
         </main>
         <Footer />
+        <UpdatePrompt />
+
+        {/* Office PIN prompt for gated actions */}
+        {officeLock.promptOpen && (
+          <div className="fixed inset-0 z-[60] bg-black/40 flex items-center justify-center p-4">
+            <OfficePinPrompt onSubmit={officeLock.submitPrompt} onCancel={officeLock.cancelPrompt} />
+          </div>
+        )}
 
         {/* Debug Panel - Floating */}
         {data && (
@@ -224,7 +436,7 @@ function App() {
                     <div
                       key={key}
                       className="flex items-center justify-between p-2 cursor-pointer hover:bg-[#005DA5]/5 rounded-lg transition-colors border border-gray-200 hover:border-[#005DA5]/30"
-                      onClick={() => toggleFeature(key)}
+                      onClick={() => officeLock.requireOffice(() => toggleFeature(key))}
                     >
                       <span className="text-gray-700 font-medium text-xs">
                         {displayLabel}
@@ -246,9 +458,10 @@ function App() {
                 {viewMode === 'office'
                   ? '✓ Office view shows all data'
                   : '✓ Tech view respects toggles'}
+                {!officeLock.officeAccess && ' • Changes need the office PIN'}
               </div>
               <button
-                onClick={resetToggles}
+                onClick={() => officeLock.requireOffice(resetToggles)}
                 className="w-full px-3 py-2 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full text-xs font-bold transition-all shadow-sm"
               >
                 Reset to Defaults
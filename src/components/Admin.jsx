@@ -1,16 +1,35 @@
 import { useState, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { Upload as UploadIcon, CheckCircle2, XCircle, Loader2, Database, Calendar, Users, Briefcase, Trash2, AlertCircle } from 'lucide-react'
-import { transformData } from '../utils/dataTransform'
+import { Upload as UploadIcon, CheckCircle2, XCircle, Loader2, Database, Calendar, Users, Briefcase, Trash2, AlertCircle, GitCompare } from 'lucide-react'
+import { transformData, getFormatLabel } from '../utils/dataTransform'
+import { mergeDatasets } from '../utils/dataMerge'
+import { diffDatasets } from '../utils/dataDiff'
+import { validateData, hasValidationErrors, hasValidationWarnings } from '../utils/dataValidation'
+import { isUsersFile, parseUsersFiles } from '../utils/userDirectory'
+import ImportDiffReport from './ImportDiffReport'
+import ImportValidationReport from './ImportValidationReport'
+import SnapshotLibrary from './SnapshotLibrary'
+import RemoteSources from './RemoteSources'
+import FreshnessSettings from './FreshnessSettings'
+import OfficeLockSettings from './OfficeLockSettings'
+import EncryptionSettings from './EncryptionSettings'
+import UserDirectorySummary from './UserDirectorySummary'
+import TeamPositionSettings from './TeamPositionSettings'
+import ChangeLogExport from './ChangeLogExport'
 
-export default function Admin({ data, saveData, clearData }) {
+export default function Admin({ data, storedData, saveData, clearData, snapshots, activeSnapshotId, activateSnapshot, renameSnapshot, deleteSnapshot, remoteSync, freshnessThresholds, setFreshnessThresholds, positionOverrides, setPositionOverrides, changeLog, officeLock, encryption, userDirectory }) {
   const [uploading, setUploading] = useState(false)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(null)
   const [dragActive, setDragActive] = useState(false)
+  const [pendingImport, setPendingImport] = useState(null)
+  const [blockedReports, setBlockedReports] = useState(null)
+  const [showLastDiff, setShowLastDiff] = useState(false)
   const fileInputRef = useRef(null)
   const navigate = useNavigate()
 
+  const activeSnapshot = snapshots?.find(snapshot => snapshot.id === activeSnapshotId)
+
   const handleDrag = (e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -26,75 +45,212 @@ export default function Admin({ data, saveData, clearData }) {
     e.stopPropagation()
     setDragActive(false)
 
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0])
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      handleFiles(Array.from(e.dataTransfer.files))
     }
   }
 
   const handleChange = (e) => {
     e.preventDefault()
-    if (e.target.files && e.target.files[0]) {
-      handleFile(e.target.files[0])
+    if (e.target.files && e.target.files.length > 0) {
+      handleFiles(Array.from(e.target.files))
+    }
+    // Allow selecting the same files again
+    e.target.value = ''
+  }
+
+  /**
+   * Read, parse and validate a single uploaded file
+   * users.json files are recognised and skip schedule validation
+   * @param {File} file - Uploaded file
+   * @returns {Promise<Object>} - { file, jsonData, report } or { file, jsonData, isUsers: true }
+   */
+  const readAndValidateFile = async (file) => {
+    // Read file
+    const fileText = await file.text()
+
+    // Parse JSON
+    let jsonData
+    try {
+      jsonData = JSON.parse(fileText)
+    } catch (parseError) {
+      throw new Error(`${file.name}: Invalid JSON file. Please check the file format.`)
+    }
+
+    if (isUsersFile(jsonData)) {
+      return { file, jsonData, isUsers: true }
+    }
+
+    // Check every record against the detected format
+    const report = { fileName: file.name, ...validateData(jsonData) }
+
+    return { file, jsonData, report }
+  }
+
+  /**
+   * Transform a parsed and validated file
+   * @param {Object} parsed - Result of readAndValidateFile()
+   * @returns {Object} - Transformed data
+   */
+  const transformFile = ({ file, jsonData }) => {
+    // Transform data (auto-detects format)
+    try {
+      return transformData(jsonData)
+    } catch (transformError) {
+      throw new Error(`${file.name}: Data transformation failed: ${transformError.message}`)
     }
   }
 
-  const handleFile = async (file) => {
+  const handleFiles = async (files) => {
     setError(null)
     setSuccess(null)
+    setPendingImport(null)
+    setBlockedReports(null)
 
-    // Validate file type
-    if (!file.name.endsWith('.json')) {
-      setError('Please upload a .json file')
+    // Validate file types
+    const invalidFile = files.find(file => !file.name.toLowerCase().endsWith('.json'))
+    if (invalidFile) {
+      setError(`Please upload .json files only (${invalidFile.name} is not a .json file)`)
       return
     }
 
     setUploading(true)
 
     try {
-      // Read file
-      const fileText = await file.text()
+      const parsedFiles = []
+      for (const file of files) {
+        parsedFiles.push(await readAndValidateFile(file))
+      }
 
-      // Parse JSON
-      let jsonData
-      try {
-        jsonData = JSON.parse(fileText)
-      } catch (parseError) {
-        throw new Error('Invalid JSON file. Please check the file format.')
+      // users.json files replace the user directory; the rest are schedules.
+      // With schedules in the same drop, the directory is only saved once the
+      // whole import is accepted
+      const usersFiles = parsedFiles.filter(parsed => parsed.isUsers)
+      const usersImport = usersFiles.length > 0
+        ? {
+            directory: parseUsersFiles(usersFiles.map(parsed => parsed.jsonData)),
+            fileNames: usersFiles.map(parsed => parsed.file.name)
+          }
+        : null
+
+      const scheduleFiles = parsedFiles.filter(parsed => !parsed.isUsers)
+      if (scheduleFiles.length === 0) {
+        setSuccess(await commitUsersImport(usersImport))
+        return
       }
 
-      // Transform data (auto-detects format)
-      let transformedData
-      try {
-        transformedData = transformData(jsonData)
-      } catch (transformError) {
-        throw new Error(`Data transformation failed: ${transformError.message}`)
+      // Errors block the import; warnings are shown for review below
+      const validation = scheduleFiles.map(parsed => parsed.report)
+      if (hasValidationErrors(validation)) {
+        setBlockedReports(validation)
+        setError(`The upload has validation errors and was not imported${usersImport ? ' (the users file was not imported either)' : ''}. See the report below.`)
+        return
       }
 
-      // Save to localStorage
-      const saved = saveData(transformedData)
+      const datasets = scheduleFiles.map(transformFile)
 
-      if (saved) {
-        const formatName = transformedData.metadata?.dataFormat === 'dr-all-data' ? 'DR All Data' : 'Format A'
-        setSuccess(`Successfully loaded ${transformedData.jobs.length} jobs, ${transformedData.teams.length - 1} teams, and ${transformedData.employees.length} employees using ${formatName} format.`)
+      // Merge multiple files into one dataset (single files pass through unchanged)
+      const fileNames = scheduleFiles.map(parsed => parsed.file.name)
+      const transformedData = mergeDatasets(datasets, fileNames)
 
-        // Navigate to dashboard after 2 seconds
-        setTimeout(() => {
-          navigate('/')
-        }, 2000)
-      } else {
-        throw new Error('Failed to save data to localStorage')
+      const snapshotName = fileNames.length === 1
+        ? fileNames[0].replace(/\.json$/i, '')
+        : `${fileNames.length} files merged (${fileNames.map(name => name.replace(/\.json$/i, '')).join(', ')})`
+
+      const importRequest = { data: transformedData, name: snapshotName, fileCount: fileNames.length, usersImport }
+
+      // Replacing existing data or warnings to review: wait for the user to accept
+      if (data || hasValidationWarnings(validation)) {
+        setPendingImport({
+          ...importRequest,
+          validation,
+          // Compare with the stored dataset, not the local edit overlay shown on screen
+          diff: data ? diffDatasets(storedData || data, transformedData) : null
+        })
+        return
+      }
+
+      await commitImport(importRequest)
+    } catch (err) {
+      console.error('Error processing files:', err)
+      setError(err.message || 'An unknown error occurred')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  /**
+   * Replace the user directory with the users.json files of an import
+   * @param {Object} usersImport - { directory, fileNames }
+   * @returns {Promise<string>} - Summary for the success message
+   */
+  const commitUsersImport = async ({ directory, fileNames }) => {
+    if (!await userDirectory?.saveDirectory(directory)) {
+      throw new Error('Failed to save users to browser storage')
+    }
+    return `Imported ${directory.users.length} users from ${fileNames.join(', ')}.`
+  }
+
+  /**
+   * Save an import as a new snapshot (keeping its diff report, if any),
+   * then the user directory dropped with it
+   * @param {Object} importRequest - { data, name, fileCount, diff, validation, usersImport }
+   */
+  const commitImport = async ({ data: importData, name, fileCount, diff, usersImport }) => {
+    // Save to IndexedDB as a new snapshot named after the file(s)
+    const saved = await saveData(importData, { name, diff })
+
+    if (!saved) {
+      throw new Error('Failed to save data to browser storage')
+    }
+
+    const formatName = getFormatLabel(importData.metadata?.dataFormat)
+    const fileSummary = fileCount > 1 ? ` from ${fileCount} files` : ''
+    const scheduleSummary = `Successfully loaded ${importData.jobs.length} jobs, ${importData.teams.length - 1} teams, and ${importData.employees.length} employees${fileSummary} using ${formatName} format.`
+
+    let usersSummary = ''
+    if (usersImport) {
+      try {
+        usersSummary = ` ${await commitUsersImport(usersImport)}`
+      } catch (usersError) {
+        console.error('Error saving users:', usersError)
+        setError('The schedule was imported, but the users file could not be saved. Please upload it again.')
       }
+    }
+    setSuccess(scheduleSummary + usersSummary)
+
+    // Stay on Admin when there is a change report to review, otherwise go to the dashboard
+    if (!diff) {
+      setTimeout(() => {
+        navigate('/')
+      }, 2000)
+    } else {
+      setShowLastDiff(true)
+    }
+  }
+
+  const handleAcceptImport = async () => {
+    setUploading(true)
+    try {
+      await commitImport(pendingImport)
+      setPendingImport(null)
     } catch (err) {
-      console.error('Error processing file:', err)
+      console.error('Error saving import:', err)
       setError(err.message || 'An unknown error occurred')
     } finally {
       setUploading(false)
     }
   }
 
-  const handleClearData = () => {
-    if (window.confirm('Are you sure you want to clear all data? This cannot be undone.')) {
-      const cleared = clearData()
+  const handleCancelImport = () => {
+    setPendingImport(null)
+    const usersNote = pendingImport?.usersImport ? ' The users file was not imported either.' : ''
+    setSuccess((data ? 'Import cancelled. The current data was kept.' : 'Import cancelled.') + usersNote)
+  }
+
+  const handleClearData = async () => {
+    if (window.confirm('Are you sure you want to clear all data, including every snapshot? This cannot be undone.')) {
+      const cleared = await clearData()
       if (cleared) {
         setSuccess('Data cleared successfully')
         setTimeout(() => {
@@ -106,6 +262,28 @@ export default function Admin({ data, saveData, clearData }) {
     }
   }
 
+  // Accept/Cancel buttons, shown under the last report of a pending import
+  const importActions = (
+    <div className="flex flex-col sm:flex-row gap-3 pt-4 border-t">
+      <button
+        onClick={handleAcceptImport}
+        disabled={uploading}
+        className="flex-1 px-6 py-3 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full font-bold transition-all shadow-sm disabled:opacity-50 flex items-center justify-center gap-2"
+      >
+        <CheckCircle2 className="w-5 h-5" />
+        Accept New Data
+      </button>
+      <button
+        onClick={handleCancelImport}
+        disabled={uploading}
+        className="flex-1 px-6 py-3 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full font-bold transition-all disabled:opacity-50 flex items-center justify-center gap-2"
+      >
+        <XCircle className="w-5 h-5" />
+        Cancel
+      </button>
+    </div>
+  )
+
   return (
     <div className="space-y-8 max-w-4xl mx-auto">
       {/* Header */}
@@ -126,7 +304,7 @@ export default function Admin({ data, saveData, clearData }) {
             <h2 className="text-2xl font-bold">Upload JSON Data</h2>
           </div>
           <p className="text-gray-600 mb-6">
-            Upload a JSON file from MaidCentral API (supports Format A and DR All Data formats)
+            Upload one or more JSON files from MaidCentral API (supports Format A, Single Company and DR All Data formats). Multiple files are merged into one dataset.
           </p>
 
           {/* Drag & Drop Area */}
@@ -152,10 +330,10 @@ export default function Admin({ data, saveData, clearData }) {
               </div>
               <div>
                 <p className="text-base font-semibold text-gray-900 mb-1">
-                  {dragActive ? 'Drop file here' : 'Drag and drop file here'}
+                  {dragActive ? 'Drop files here' : 'Drag and drop files here'}
                 </p>
                 <p className="text-sm text-gray-500">
-                  or click to browse (.json files only)
+                  or click to browse (.json files only, select several to merge; include users.json to import users)
                 </p>
               </div>
             </div>
@@ -163,6 +341,7 @@ export default function Admin({ data, saveData, clearData }) {
               ref={fileInputRef}
               type="file"
               accept=".json"
+              multiple
               onChange={handleChange}
               className="hidden"
             />
@@ -173,7 +352,7 @@ export default function Admin({ data, saveData, clearData }) {
             <div className="mt-4 bg-blue-50 border border-blue-200 rounded-xl p-4 flex items-center gap-3">
               <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />
               <span className="text-sm font-medium text-blue-900">
-                Processing file... Please wait.
+                Processing files... Please wait.
               </span>
             </div>
           )}
@@ -204,6 +383,74 @@ export default function Admin({ data, saveData, clearData }) {
         </div>
       </div>
 
+      {/* Blocked Import */}
+      {blockedReports && (
+        <ImportValidationReport reports={blockedReports}>
+          <div className="pt-4 border-t">
+            <button
+              onClick={() => setBlockedReports(null)}
+              className="w-full px-6 py-3 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full font-bold transition-all flex items-center justify-center gap-2"
+            >
+              <XCircle className="w-5 h-5" />
+              Dismiss
+            </button>
+          </div>
+        </ImportValidationReport>
+      )}
+
+      {/* Pending Import Review */}
+      {pendingImport && hasValidationWarnings(pendingImport.validation) && (
+        <ImportValidationReport reports={pendingImport.validation}>
+          {!pendingImport.diff && importActions}
+        </ImportValidationReport>
+      )}
+
+      {pendingImport?.diff && (
+        <ImportDiffReport
+          diff={pendingImport.diff}
+          title="Review New Data"
+          description={`Compared "${pendingImport.name}" with the current data. Accept to save it as a new snapshot${pendingImport.usersImport ? ' and replace the user directory' : ''}, or cancel to keep the current data.`}
+        >
+          {importActions}
+        </ImportDiffReport>
+      )}
+
+      {/* Remote Sources */}
+      <RemoteSources remoteSync={remoteSync} />
+
+      {/* Freshness Warnings */}
+      <FreshnessSettings thresholds={freshnessThresholds} setThresholds={setFreshnessThresholds} />
+
+      {/* Local Edits Change Log */}
+      {activeSnapshotId && (
+        <ChangeLogExport
+          data={data}
+          changeLog={changeLog}
+          snapshotName={activeSnapshot?.name}
+        />
+      )}
+
+      {/* Team Positions */}
+      <TeamPositionSettings data={data} overrides={positionOverrides} setOverrides={setPositionOverrides} />
+
+      {/* Users from users.json */}
+      <UserDirectorySummary userDirectory={userDirectory} data={data} />
+
+      {/* Office PIN */}
+      <OfficeLockSettings officeLock={officeLock} />
+
+      {/* Data Encryption */}
+      <EncryptionSettings encryption={encryption} />
+
+      {/* Snapshot Library */}
+      <SnapshotLibrary
+        snapshots={snapshots}
+        activeSnapshotId={activeSnapshotId}
+        activateSnapshot={activateSnapshot}
+        renameSnapshot={renameSnapshot}
+        deleteSnapshot={deleteSnapshot}
+      />
+
       {/* Current Data Info */}
       {data && (
         <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
@@ -214,7 +461,7 @@ export default function Admin({ data, saveData, clearData }) {
               </div>
               <div>
                 <h2 className="text-2xl font-bold">Current Data</h2>
-                <p className="text-sm text-gray-600">Information about the currently loaded schedule data</p>
+                <p className="text-sm text-gray-600">Information about the active snapshot</p>
               </div>
             </div>
 
@@ -256,7 +503,7 @@ export default function Admin({ data, saveData, clearData }) {
                   <span className="text-sm font-medium text-amber-900">Format</span>
                 </div>
                 <div className="text-sm font-semibold text-amber-900">
-                  {data.metadata?.dataFormat === 'dr-all-data' ? 'DR All Data' : 'Format A'}
+                  {getFormatLabel(data.metadata?.dataFormat)}
                 </div>
               </div>
             </div>
@@ -283,8 +530,37 @@ export default function Admin({ data, saveData, clearData }) {
                     : 'Unknown'}
                 </span>
               </div>
+              {data.metadata?.sources?.length > 0 && (
+                <div className="py-2 border-t border-gray-100">
+                  <span className="text-sm font-medium text-gray-700">Source Files</span>
+                  <ul className="mt-2 space-y-1">
+                    {data.metadata.sources.map((source, idx) => (
+                      <li key={idx} className="flex items-center justify-between text-xs text-gray-700">
+                        <span className="font-medium">{source.name}</span>
+                        <span className="text-gray-500">
+                          {getFormatLabel(source.dataFormat)} • {source.totalJobs} jobs
+                          {source.generatedAt && ` • ${new Date(source.generatedAt).toLocaleString()}`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
+            {/* Changes from the import that created this snapshot */}
+            {activeSnapshot?.diff && (
+              <div className="mb-6">
+                <button
+                  onClick={() => setShowLastDiff(!showLastDiff)}
+                  className="inline-flex items-center gap-2 px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all"
+                >
+                  <GitCompare className="w-4 h-4" />
+                  {showLastDiff ? 'Hide Import Changes' : 'View Import Changes'}
+                </button>
+              </div>
+            )}
+
             {/* Clear Data Button */}
             <div className="pt-6 border-t">
               <div className="bg-red-50 border border-red-200 rounded-xl p-4 mb-4 flex items-start gap-3">
@@ -292,7 +568,7 @@ export default function Admin({ data, saveData, clearData }) {
                 <div className="flex-1">
                   <h3 className="font-semibold text-red-900 mb-1">Danger Zone</h3>
                   <p className="text-sm text-red-800">
-                    Clearing data will permanently remove all loaded schedules. This action cannot be undone.
+                    Clearing data will permanently remove all loaded schedules and snapshots. This action cannot be undone.
                   </p>
                 </div>
               </div>
@@ -307,6 +583,15 @@ export default function Admin({ data, saveData, clearData }) {
           </div>
         </div>
       )}
+
+      {/* Accepted Import Changes */}
+      {activeSnapshot?.diff && showLastDiff && (
+        <ImportDiffReport
+          diff={activeSnapshot.diff}
+          title="Import Changes"
+          description={`Changes accepted when "${activeSnapshot.name}" was imported on ${new Date(activeSnapshot.diff.createdAt).toLocaleString()}`}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,163 @@
+import { useState } from 'react'
+import { createRoot } from 'react-dom/client'
+import { flushSync } from 'react-dom'
+import html2canvas from 'html2canvas'
+import { Layers } from 'lucide-react'
+import { Card } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Select } from './ui/select'
+import { Label } from './ui/switch'
+import TeamSchedulePreview from './TeamSchedulePreview'
+import { MAX_BATCH_DAYS, getDatesInRange, getBatchSchedules, createBatchPdf, createBatchZip } from '../utils/batchExport'
+import { downloadFile } from '../utils/download'
+
+// Width the on-screen preview has on a laptop, so batch PNGs look the same
+const PNG_RENDER_WIDTH = 800
+
+/**
+ * Render a team schedule off screen and capture it as a PNG
+ * @param {Object} props - TeamSchedulePreview props
+ * @returns {Promise<Uint8Array>} - PNG file content
+ */
+async function renderSchedulePng(props) {
+  const container = document.createElement('div')
+  container.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${PNG_RENDER_WIDTH}px;`
+  document.body.appendChild(container)
+  const root = createRoot(container)
+
+  try {
+    flushSync(() => root.render(<TeamSchedulePreview {...props} />))
+    const canvas = await html2canvas(container.firstChild, { scale: 2, logging: false, useCORS: true })
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+    return new Uint8Array(await blob.arrayBuffer())
+  } finally {
+    root.unmount()
+    document.body.removeChild(container)
+  }
+}
+
+/**
+ * Export every team's schedule for a date or date range at once: one combined
+ * PDF packet, or a ZIP of per-team PDFs and PNGs
+ */
+export default function BatchExport({ data, selectedDate, selectedCompany, visibleFields, showZones, pdfOptions }) {
+  const [fromDate, setFromDate] = useState(selectedDate)
+  const [toDate, setToDate] = useState(selectedDate)
+  const [outputFormat, setOutputFormat] = useState('pdf')
+  const [includeJobDetails, setIncludeJobDetails] = useState(false)
+  const [progress, setProgress] = useState(null)
+
+  const dates = getDatesInRange(fromDate, toDate || fromDate)
+  const schedules = getBatchSchedules(data, { fromDate, toDate: toDate || fromDate, companyId: selectedCompany })
+  const jobCount = new Set(schedules.flatMap(schedule => schedule.jobs.map(job => job.id))).size
+  const isExporting = progress !== null
+
+  const rangeName = dates.length > 1 ? `${dates[0]}_to_${dates[dates.length - 1]}` : dates[0]
+
+  const handleExport = async () => {
+    if (schedules.length === 0) return
+
+    const options = { data, fromDate: dates[0], toDate: dates[dates.length - 1], visibleFields, showZones, includeJobDetails, pdfOptions }
+    setProgress({ done: 0, total: 0 })
+    try {
+      if (outputFormat === 'pdf') {
+        // Let the progress message paint before the synchronous layout work
+        await new Promise(resolve => setTimeout(resolve, 0))
+        const pdf = createBatchPdf(schedules, options)
+        pdf.save(`Team_Schedules_${rangeName}.pdf`)
+      } else {
+        const zip = await createBatchZip(schedules, {
+          ...options,
+          renderPng: (schedule) => renderSchedulePng({ ...schedule, data, visibleFields, showZones }),
+          onProgress: (done, total) => setProgress({ done, total })
+        })
+        downloadFile(new Blob([zip], { type: 'application/zip' }), `Team_Schedules_${rangeName}.zip`)
+      }
+    } catch (error) {
+      console.error('Error generating batch export:', error)
+      alert('Error generating the batch export. Please try again.')
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  return (
+    <Card className="p-4 sm:p-6">
+      <div className="space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#0382E5] rounded-lg flex items-center justify-center">
+            <Layers className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Batch Export</h2>
+            <p className="text-xs text-gray-500">Every team with crew or jobs, for one day or up to {MAX_BATCH_DAYS} days</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Label htmlFor="batch-from">From:</Label>
+            <Input
+              id="batch-from"
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="w-[160px]"
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="batch-to">To:</Label>
+            <Input
+              id="batch-to"
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="w-[160px]"
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="batch-format">Format:</Label>
+            <Select
+              id="batch-format"
+              value={outputFormat}
+              onChange={(e) => setOutputFormat(e.target.value)}
+              className="w-[220px]"
+            >
+              <option value="pdf">Combined PDF</option>
+              <option value="zip">ZIP of team PDFs and PNGs</option>
+            </Select>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeJobDetails}
+              onChange={(e) => setIncludeJobDetails(e.target.checked)}
+            />
+            Include job detail sheets
+          </label>
+          <Button
+            variant="mcBlue"
+            onClick={handleExport}
+            disabled={isExporting || schedules.length === 0}
+            className="ml-auto"
+          >
+            {isExporting
+              ? (progress.total > 0 ? `Exporting ${progress.done} of ${progress.total}...` : 'Exporting...')
+              : `Export ${schedules.length} Schedule${schedules.length === 1 ? '' : 's'}`}
+          </Button>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          {dates.length === 0
+            ? `Choose a range of up to ${MAX_BATCH_DAYS} days, ending on or after the start date.`
+            : `${schedules.length} team schedule${schedules.length === 1 ? '' : 's'} and ${jobCount} job${jobCount === 1 ? '' : 's'} over ${dates.length} day${dates.length === 1 ? '' : 's'}.`}
+          {includeJobDetails && jobCount > 0 && (outputFormat === 'pdf'
+            ? ' Job detail sheets are added as an appendix.'
+            : ' Job detail sheets go in a jobs folder for each day.')}
+        </p>
+      </div>
+    </Card>
+  )
+}
@@ -0,0 +1,115 @@
+import { useState } from 'react'
+import { format } from 'date-fns'
+import { ClipboardList, FileJson, FileSpreadsheet, Trash2 } from 'lucide-react'
+import { CHANGE_TYPES } from '../utils/scheduleEdits'
+import { buildChangeLog, changeLogToJson, changeLogToCsv } from '../utils/changeLog'
+import { downloadFile, toFileNamePart } from '../utils/download'
+
+// Most recent changes listed before "Show all"
+const PREVIEW_COUNT = 5
+
+export default function ChangeLogExport({ data, changeLog, snapshotName }) {
+  const [showAll, setShowAll] = useState(false)
+
+  if (!changeLog) return null
+
+  const entries = buildChangeLog(changeLog.changes, data)
+  const counts = entries.reduce((acc, entry) => {
+    acc[entry.type] = (acc[entry.type] || 0) + 1
+    return acc
+  }, {})
+  const recent = [...entries].reverse()
+  const visibleEntries = showAll ? recent : recent.slice(0, PREVIEW_COUNT)
+  const baseName = `change-log_${toFileNamePart(snapshotName)}_${format(new Date(), 'yyyy-MM-dd_HHmm')}`
+
+  const handleClear = async () => {
+    if (!window.confirm(`Revert all ${entries.length} local edits? Export the change log first if it still needs to be entered into MaidCentral.`)) return
+    const cleared = await changeLog.clearChanges()
+    if (!cleared) {
+      alert('Could not clear the edits. Please try again.')
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#01726B] rounded-lg flex items-center justify-center">
+            <ClipboardList className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">Change Log</h2>
+            <p className="text-sm text-gray-600">
+              Local edits to the active snapshot, to re-enter into MaidCentral once it's back
+            </p>
+          </div>
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            No local edits yet. Changes made with "Edit schedule" on the calendars or on a job page show up here.
+          </p>
+        ) : (
+          <>
+            {/* Counts by Type */}
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(counts).map(([type, count]) => (
+                <span
+                  key={type}
+                  className="px-3 py-1 rounded-full border border-gray-200 bg-gray-50 text-sm font-semibold text-gray-700"
+                >
+                  {CHANGE_TYPES[type] || type} ({count})
+                </span>
+              ))}
+            </div>
+
+            {/* Recent Changes */}
+            <ul className="divide-y divide-gray-100">
+              {visibleEntries.map(entry => (
+                <li key={entry.changeId} className="py-3">
+                  <p className="text-xs font-medium text-gray-500">
+                    {format(new Date(entry.at), 'MMM d, h:mm a')} · {entry.by} · {entry.label}
+                  </p>
+                  <p className="text-sm text-gray-900">{entry.summary}</p>
+                </li>
+              ))}
+            </ul>
+            {entries.length > PREVIEW_COUNT && (
+              <button
+                onClick={() => setShowAll(!showAll)}
+                className="text-sm text-[#005DA5] font-medium hover:underline"
+              >
+                {showAll ? 'Show fewer' : `Show all ${entries.length}`}
+              </button>
+            )}
+
+            {/* Actions */}
+            <div className="flex flex-wrap gap-3 pt-2">
+              <button
+                onClick={() => downloadFile(changeLogToCsv(entries), `${baseName}.csv`, 'text/csv;charset=utf-8')}
+                className="flex items-center gap-2 px-5 py-2.5 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full font-bold transition-all shadow-sm"
+              >
+                <FileSpreadsheet className="w-4 h-4" />
+                Download CSV Checklist
+              </button>
+              <button
+                onClick={() => downloadFile(changeLogToJson(entries, { snapshotName }), `${baseName}.json`, 'application/json')}
+                className="flex items-center gap-2 px-5 py-2.5 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full font-bold transition-all"
+              >
+                <FileJson className="w-4 h-4" />
+                Download JSON
+              </button>
+              <button
+                onClick={handleClear}
+                className="flex items-center gap-2 px-5 py-2.5 border-2 border-red-600 text-red-600 hover:bg-red-50 rounded-full font-bold transition-all sm:ml-auto"
+              >
+                <Trash2 className="w-4 h-4" />
+                Revert All Edits
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
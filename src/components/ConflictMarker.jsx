@@ -0,0 +1,16 @@
+import { AlertTriangle } from 'lucide-react'
+
+/**
+ * Warning badge shown at the start of calendar events that have conflicts
+ * (the event's title attribute lists them)
+ */
+export default function ConflictMarker() {
+  return (
+    <span
+      className="inline-flex items-center justify-center w-4 h-4 mr-1 align-text-bottom rounded-full bg-red-600 text-white"
+      aria-label="Scheduling conflict"
+    >
+      <AlertTriangle className="w-3 h-3" />
+    </span>
+  )
+}
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { format, parseISO } from 'date-fns'
+import { AlertTriangle, CheckCircle2, ChevronRight } from 'lucide-react'
+import { CONFLICT_TYPES, countConflictsByType } from '../utils/conflicts'
+
+// Conflicts listed per type before "Show all"
+const PREVIEW_COUNT = 5
+
+/**
+ * Format a conflict date for the list
+ * @param {string} date - yyyy-MM-dd
+ * @returns {string} - e.g. "Mon, Jan 5"
+ */
+function formatConflictDate(date) {
+  return date ? format(parseISO(date), 'EEE, MMM d') : 'No date'
+}
+
+export default function ConflictsPanel({ conflicts }) {
+  const [selectedType, setSelectedType] = useState(null)
+  const [showAll, setShowAll] = useState(false)
+
+  if (!conflicts) return null
+
+  const counts = countConflictsByType(conflicts.conflicts)
+  const types = Object.keys(CONFLICT_TYPES).filter(type => counts[type] > 0)
+
+  if (types.length === 0) {
+    return (
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 flex items-center gap-3">
+        <CheckCircle2 className="w-5 h-5 text-green-600" />
+        <span className="text-sm text-gray-700">No scheduling conflicts found.</span>
+      </div>
+    )
+  }
+
+  const activeType = types.includes(selectedType) ? selectedType : types[0]
+  const items = conflicts.conflicts.filter(conflict => conflict.type === activeType)
+  const visibleItems = showAll ? items : items.slice(0, PREVIEW_COUNT)
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-red-600 rounded-lg flex items-center justify-center">
+            <AlertTriangle className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">Conflicts</h2>
+            <p className="text-sm text-gray-600">
+              {conflicts.conflicts.length} scheduling {conflicts.conflicts.length === 1 ? 'problem' : 'problems'} in the loaded data
+            </p>
+          </div>
+        </div>
+
+        {/* Type Filter */}
+        <div className="flex flex-wrap gap-2">
+          {types.map(type => {
+            const { label, severity } = CONFLICT_TYPES[type]
+            const active = type === activeType
+            const tone = severity === 'error'
+              ? (active ? 'bg-red-600 text-white border-red-600' : 'bg-red-50 text-red-800 border-red-200')
+              : (active ? 'bg-amber-500 text-white border-amber-500' : 'bg-amber-50 text-amber-900 border-amber-200')
+            return (
+              <button
+                key={type}
+                onClick={() => {
+                  setSelectedType(type)
+                  setShowAll(false)
+                }}
+                className={`px-3 py-1 rounded-full border text-sm font-semibold transition-colors ${tone}`}
+              >
+                {label} ({counts[type]})
+              </button>
+            )
+          })}
+        </div>
+
+        {/* Conflict List */}
+        <ul className="divide-y divide-gray-100">
+          {visibleItems.map(conflict => {
+            const content = (
+              <div className="flex items-center justify-between gap-3 py-3">
+                <div className="min-w-0">
+                  <p className="text-xs font-medium text-gray-500">{formatConflictDate(conflict.date)}</p>
+                  <p className="text-sm text-gray-900">{conflict.message}</p>
+                </div>
+                {conflict.jobIds.length > 0 && <ChevronRight className="w-4 h-4 text-gray-400 shrink-0" />}
+              </div>
+            )
+            return (
+              <li key={conflict.id}>
+                {conflict.jobIds.length > 0 ? (
+                  <Link to={`/jobs/${conflict.jobIds[0]}`} className="block hover:bg-gray-50 -mx-2 px-2 rounded-lg">
+                    {content}
+                  </Link>
+                ) : content}
+              </li>
+            )
+          })}
+        </ul>
+
+        {items.length > PREVIEW_COUNT && (
+          <button
+            onClick={() => setShowAll(!showAll)}
+            className="text-sm text-[#005DA5] font-medium hover:underline"
+          >
+            {showAll ? 'Show fewer' : `Show all ${items.length}`}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
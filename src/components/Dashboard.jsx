@@ -1,7 +1,9 @@
 import { Link } from 'react-router-dom'
-import { Calendar, Users, FileText, Upload, BookOpen, Briefcase, TrendingUp, Clock, AlertCircle, ArrowRight, ChevronRight } from 'lucide-react'
+import { Calendar, Users, FileText, Upload, BookOpen, Briefcase, TrendingUp, Clock, AlertCircle, ArrowRight, ChevronRight, Inbox } from 'lucide-react'
+import ConflictsPanel from './ConflictsPanel'
+import { getUnassignedJobs } from '../utils/conflicts'
 
-export default function Dashboard({ data }) {
+export default function Dashboard({ data, conflicts }) {
   if (!data) {
     return (
       <div className="space-y-8 max-w-4xl mx-auto">
@@ -46,6 +48,7 @@ export default function Dashboard({ data }) {
   }
 
   const { metadata } = data
+  const unassignedCount = getUnassignedJobs(data).length
 
   const stats = [
     {
@@ -98,6 +101,17 @@ export default function Dashboard({ data }) {
       gradient: 'from-[#01726B] to-[#00A79D]',
       primary: true
     },
+    {
+      title: 'Unassigned Jobs',
+      description: unassignedCount > 0
+        ? `${unassignedCount} ${unassignedCount === 1 ? 'job has' : 'jobs have'} no team assigned`
+        : 'Every job has a team assigned',
+      icon: Inbox,
+      path: '/unassigned',
+      gradient: 'from-[#BF9F50] to-[#EECB75]',
+      primary: false,
+      count: unassignedCount
+    },
     {
       title: 'Export Schedule',
       description: 'Generate PDF/PNG exports of team schedules',
@@ -154,6 +168,9 @@ export default function Dashboard({ data }) {
         })}
       </div>
 
+      {/* Conflicts */}
+      <ConflictsPanel conflicts={conflicts} />
+
       {/* Navigation Cards */}
       <div className="grid gap-4 sm:gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3">
         {navigationCards.map((card) => {
@@ -161,8 +178,15 @@ export default function Dashboard({ data }) {
           return (
             <Link key={card.path} to={card.path} className="group">
               <div className={`bg-white rounded-xl shadow-sm border border-gray-200 p-6 h-full hover:shadow-lg hover:border-[#005DA5]/30 transition-all ${card.primary ? 'sm:col-span-1' : ''}`}>
-                <div className={`w-12 h-12 bg-gradient-to-br ${card.gradient} rounded-lg flex items-center justify-center mb-4 group-hover:scale-110 transition-transform`}>
-                  <Icon className="w-6 h-6 text-white" />
+                <div className="flex items-start justify-between mb-4">
+                  <div className={`w-12 h-12 bg-gradient-to-br ${card.gradient} rounded-lg flex items-center justify-center group-hover:scale-110 transition-transform`}>
+                    <Icon className="w-6 h-6 text-white" />
+                  </div>
+                  {card.count > 0 && (
+                    <span className="px-2.5 py-0.5 rounded-full bg-amber-100 text-amber-900 text-sm font-bold">
+                      {card.count}
+                    </span>
+                  )}
                 </div>
                 <h3 className="text-lg font-bold mb-2 group-hover:text-[#005DA5] transition-colors">
                   {card.title}
@@ -95,7 +95,7 @@ export default function Documentation() {
 
           <h4>Data not persisting</h4>
           <p>
-            This application uses localStorage. Ensure your browser allows localStorage and you're not in incognito/private mode.
+            This application stores data in IndexedDB. Ensure your browser allows site storage and you're not in incognito/private mode.
           </p>
 
           <h4>Missing jobs or teams</h4>
@@ -0,0 +1,50 @@
+import { PencilLine, Ban, PlusCircle, StickyNote } from 'lucide-react'
+
+/**
+ * Marks a job (or an employee's shift) changed by a local schedule edit:
+ * "Cancelled", "Local" (added during the outage) or "Edited", plus a count
+ * of dispatcher notes. Renders nothing for data as imported
+ */
+export default function EditedBadge({ job, shift, className = '' }) {
+  const noteCount = job?.notes?.length || 0
+  if (!job?.edited && !job?.local && !shift?.edited && noteCount === 0) return null
+
+  let status = null
+  if (job?.cancelled) {
+    status = (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-red-600 text-white text-xs font-bold">
+        <Ban className="w-3 h-3" />
+        Cancelled
+      </span>
+    )
+  } else if (job?.local) {
+    status = (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-[#01726B] text-white text-xs font-bold">
+        <PlusCircle className="w-3 h-3" />
+        Local
+      </span>
+    )
+  } else if (job?.edited || shift?.edited) {
+    status = (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-[#BF9F50] text-white text-xs font-bold">
+        <PencilLine className="w-3 h-3" />
+        Edited
+      </span>
+    )
+  }
+
+  return (
+    <span className={`inline-flex flex-wrap items-center gap-1 ${className}`}>
+      {status}
+      {noteCount > 0 && (
+        <span
+          className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full border border-[#01726B] bg-white text-[#01726B] text-xs font-bold"
+          title={job.notes.map(note => note.text).join('\n')}
+        >
+          <StickyNote className="w-3 h-3" />
+          {noteCount}
+        </span>
+      )}
+    </span>
+  )
+}
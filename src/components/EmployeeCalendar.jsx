@@ -12,13 +12,27 @@ import { Alert, AlertDescription } from './ui/alert'
 import { Select } from './ui/select'
 import { Switch, Label } from './ui/switch'
 import { Input } from './ui/input'
+import NoDataForDate from './NoDataForDate'
 import { getContrastTextColor } from '../utils/colorHelpers'
+import { hasMixedTimeZones, formatZoneSuffix } from '../utils/timeZones'
+import { getStartDateTime, getEndDateTime, formatTimeRange } from '../utils/scheduleTime'
+import { getTeamsOnDate, getJobTeamId, getEmployeePosition, getShiftPosition } from '../utils/shiftRoles'
+import { getShiftConflicts } from '../utils/conflicts'
+import ConflictMarker from './ConflictMarker'
+import EditedBadge from './EditedBadge'
+import EmployeeMoveForm from './EmployeeMoveForm'
 
-export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo, selectedDate, setSelectedDate, selectedCompany, setSelectedCompany, selectedTeam, setSelectedTeam }) {
+// Group value for employees working for several teams on the selected date
+const FLOATERS_GROUP_KEY = '9999-floaters'
+
+export default function EmployeeCalendar({ data, conflicts, editor, viewMode, hideInfo, setHideInfo, selectedDate, setSelectedDate, selectedCompany, setSelectedCompany, selectedTeam, setSelectedTeam }) {
   const navigate = useNavigate()
   const calendarRef = useRef(null)
   const hasScrolledToToday = useRef(false)
   const isNavigatingProgrammatically = useRef(false)
+  // 'team': floaters appear under every team they work for; 'group': in one Floaters group
+  const [floaterDisplay, setFloaterDisplay] = useState('team')
+  const [editMode, setEditMode] = useState(false)
 
   // Handle date picker change
   const handleDateChange = (e) => {
@@ -70,96 +84,141 @@ export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo
     )
   }
 
-  // Prepare resources for timeline views (employees as rows)
-  const employees = data.employees.filter(emp => {
-    // Always exclude Team 0 (Unassigned)
-    if (emp.teamId === '0') return false
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+  const teamsById = new Map(data.teams.map(team => [team.id, team]))
 
-    // Filter by team
-    if (selectedTeam !== 'all' && emp.teamId !== selectedTeam) return false
+  // Shifts for jobs in the selected company
+  const isShiftInCompany = (shift) => {
+    if (selectedCompany === 'all') return true
+    const job = jobsById.get(shift.jobId)
+    return Boolean(job && job.companyId === selectedCompany)
+  }
 
+  // Group value sorts by team sortOrder; the label is looked up in groupLabels
+  const groupKeyFor = (teamId) => {
+    const sortOrder = teamsById.get(teamId)?.sortOrder ?? 999
+    return `${String(sortOrder).padStart(4, '0')}-${teamId}`
+  }
+  const groupLabels = new Map([[FLOATERS_GROUP_KEY, { name: 'Floaters', color: '#BF9F50' }]])
+
+  // Prepare resources for timeline views: one row per employee per team worked
+  // on the selected date. Floaters (several teams that day) get a row under each
+  // team, or a single row in the Floaters group.
+  const placements = []
+  data.employees.forEach(emp => {
     // Filter by company - employee must have at least one shift for a job in the selected company
-    if (selectedCompany !== 'all') {
-      const hasShiftInCompany = emp.shifts.some(shift => {
-        const job = data.jobs.find(j => j.id === shift.jobId)
-        return job && job.companyId === selectedCompany
-      })
-      if (!hasShiftInCompany) return false
-    }
+    if (selectedCompany !== 'all' && !emp.shifts.some(isShiftInCompany)) return
 
-    return true
-  })
+    // Employees without shifts that day stay under their usual team
+    const dayTeamIds = getTeamsOnDate(emp, selectedDate, jobsById)
+    const teamIds = dayTeamIds.length > 0 ? dayTeamIds : [emp.teamId]
+    const isFloater = teamIds.length > 1
 
-  // Sort employees by team sortOrder, then alphabetically by name
-  const sortedEmployees = [...employees].sort((a, b) => {
-    const teamA = data.teams.find(t => t.id === a.teamId)
-    const teamB = data.teams.find(t => t.id === b.teamId)
+    // Always exclude Team 0 (Unassigned), then filter by team
+    const visibleTeamIds = teamIds.filter(teamId =>
+      teamId !== '0' && (selectedTeam === 'all' || teamId === selectedTeam)
+    )
+    if (visibleTeamIds.length === 0) return
 
-    // First, sort by team sortOrder
-    const sortOrderA = teamA?.sortOrder ?? 999
-    const sortOrderB = teamB?.sortOrder ?? 999
-    if (sortOrderA !== sortOrderB) {
-      return sortOrderA - sortOrderB
+    if (isFloater && floaterDisplay === 'group') {
+      placements.push({ emp, groupKey: FLOATERS_GROUP_KEY, teamIds: visibleTeamIds, isFloater })
+      return
     }
 
-    // Then, sort alphabetically by name within the same team
-    return a.name.localeCompare(b.name)
+    visibleTeamIds.forEach(teamId => {
+      const groupKey = groupKeyFor(teamId)
+      const team = teamsById.get(teamId)
+      groupLabels.set(groupKey, { name: team?.name || 'Unknown', color: team?.color || '#CCCCCC' })
+      placements.push({ emp, groupKey, teamIds: [teamId], isFloater })
+    })
   })
 
-  const resources = sortedEmployees.map(emp => {
-    const team = data.teams.find(t => t.id === emp.teamId)
+  // Each row holds the selected date's shifts for jobs of its teams
+  const rows = placements.map(placement => ({
+    ...placement,
+    id: `${placement.emp.id}:${placement.groupKey}`,
+    shifts: placement.emp.shifts.filter(shift =>
+      shift.date === selectedDate &&
+      isShiftInCompany(shift) &&
+      placement.teamIds.includes(getJobTeamId(shift, placement.emp, jobsById.get(shift.jobId)))
+    )
+  }))
+
+  // Shifts on other dates (week/month views) and shifts without a team go to the employee's first row
+  const rowIdsByEmployee = new Map()
+  rows.forEach(row => {
+    if (!rowIdsByEmployee.has(row.emp.id)) rowIdsByEmployee.set(row.emp.id, row.id)
+  })
+
+  const resources = rows.map(row => {
+    const { emp } = row
+    const team = teamsById.get(row.teamIds[0])
+    // Positions held on this row's shifts; employees without shifts show their usual position
+    const rowPositions = [...new Set(row.shifts.map(shift => getShiftPosition(shift, emp, data).name))]
+    const positionNames = rowPositions.length > 0 ? rowPositions.join(' / ') : getEmployeePosition(emp, data).name
+    const teamNames = row.teamIds.map(teamId => teamsById.get(teamId)?.name || 'Unknown')
     return {
-      id: emp.id,
-      title: `${emp.name} (${emp.position.name})`,
-      eventColor: team?.color || '#CCCCCC',
+      id: row.id,
+      title: `${emp.name} (${positionNames})`,
+      eventColor: row.groupKey === FLOATERS_GROUP_KEY ? '#CCCCCC' : team?.color || '#CCCCCC',
       extendedProps: {
-        teamName: team?.name || 'Unknown',
-        position: emp.position.name
+        groupKey: row.groupKey,
+        teamName: teamNames.join(', '),
+        position: positionNames,
+        isFloater: row.isFloater
       }
     }
   })
 
-  // Transform employee shifts to calendar events
-  const events = sortedEmployees.flatMap(emp => {
-    const team = data.teams.find(t => t.id === emp.teamId)
-    const teamColor = team?.color || '#CCCCCC'
-    const textColor = getContrastTextColor(teamColor)
-
-    return emp.shifts
-      .filter(shift => {
-        // Filter shifts by company
-        if (selectedCompany !== 'all') {
-          const job = data.jobs.find(j => j.id === shift.jobId)
-          return job && job.companyId === selectedCompany
-        }
-        return true
-      })
+  // Transform employee shifts to calendar events, colored by the team scheduled on the job
+  // Mark times with their zone when companies in the dataset are in different zones
+  const showZones = hasMixedTimeZones(data)
+
+  const events = rows.flatMap(row => {
+    const { emp } = row
+    const isFirstRow = rowIdsByEmployee.get(emp.id) === row.id
+    const otherShifts = isFirstRow
+      ? emp.shifts.filter(shift =>
+        isShiftInCompany(shift) &&
+        (shift.date !== selectedDate || getJobTeamId(shift, emp, jobsById.get(shift.jobId)) === '0')
+      )
+      : []
+
+    return [...row.shifts, ...otherShifts]
       .map(shift => {
         // Find the job for this shift to get more details
-        const job = data.jobs.find(j => j.id === shift.jobId)
+        const job = jobsById.get(shift.jobId)
+        const jobTeamId = getJobTeamId(shift, emp, job)
+        const teamColor = teamsById.get(jobTeamId)?.color || '#CCCCCC'
+        const textColor = getContrastTextColor(teamColor)
         const customerName = job?.customerName || 'Unknown Customer'
         const addressShort = job?.address ? job.address.split(',')[0] : ''
 
         return {
           id: `${emp.id}-${shift.jobId}`,
-          start: `${shift.date}T${shift.startTime}`,
-          end: `${shift.date}T${shift.endTime}`,
+          start: getStartDateTime(shift),
+          end: getEndDateTime(shift),
           title: customerName,
           backgroundColor: teamColor,
           borderColor: teamColor,
           textColor: textColor,
-          resourceId: emp.id,
+          resourceId: row.id,
           extendedProps: {
             employee: emp,
             shift,
             job,
+            jobTeamId,
             customerName,
             address: addressShort,
-            timeRange: `${shift.startTime}-${shift.endTime}`,
+            positionName: getShiftPosition(shift, emp, data).name,
+            conflictMessages: getShiftConflicts(conflicts, emp.id, shift.jobId).map(conflict => conflict.message),
+            timeRange: `${formatTimeRange(shift, '-')}${formatZoneSuffix(job, showZones)}`,
             textColor
           }
         }
       })
+      // A team filter keeps only that team's jobs
+      .filter(event => selectedTeam === 'all' || event.extendedProps.jobTeamId === selectedTeam)
   })
 
   // Handle event click - navigate to job details page
@@ -217,6 +276,19 @@ export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo
             </Select>
           </div>
 
+          {/* Floater Placement */}
+          <div className="flex items-center gap-2">
+            <Label>Floaters:</Label>
+            <Select
+              value={floaterDisplay}
+              onChange={(e) => setFloaterDisplay(e.target.value)}
+              className="w-[200px]"
+            >
+              <option value="team">Under each team</option>
+              <option value="group">In a Floaters group</option>
+            </Select>
+          </div>
+
           {/* Date Picker */}
           <div className="flex items-center gap-2">
             <Label>Jump to date:</Label>
@@ -228,6 +300,18 @@ export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo
             />
           </div>
 
+          {/* Edit Mode - office view only */}
+          {editor?.enabled && (
+            <div className="flex items-center gap-2">
+              <Switch
+                id="edit-mode-emp"
+                checked={editMode}
+                onCheckedChange={setEditMode}
+              />
+              <Label htmlFor="edit-mode-emp">Edit schedule</Label>
+            </div>
+          )}
+
           {/* Privacy Toggle */}
           <div className="flex items-center gap-2 ml-auto">
             <Switch
@@ -240,6 +324,14 @@ export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo
         </div>
       </Card>
 
+      {/* Move employees between teams for the day */}
+      {editor?.enabled && editMode && (
+        <EmployeeMoveForm data={data} editor={editor} date={selectedDate} />
+      )}
+
+      {/* Selected date outside the exported range */}
+      <NoDataForDate date={selectedDate} dataRange={data.metadata?.dataRange} />
+
       {/* Calendar */}
       <Card className="p-4">
         <FullCalendar
@@ -261,17 +353,22 @@ export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo
             right: 'dayGridMonth,timeGridWeek,timeGridDay,listWeek,resourceTimelineDay'
           }}
           eventContent={(eventInfo) => {
-            const { customerName, address, timeRange, textColor } = eventInfo.event.extendedProps
+            const { job, shift, customerName, address, positionName, timeRange, textColor, conflictMessages } = eventInfo.event.extendedProps
             return (
-              <div style={{ fontSize: '11px', padding: '2px', overflow: 'hidden', color: textColor }}>
-                <div style={{ fontWeight: 'bold', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              <div
+                style={{ fontSize: '11px', padding: '2px', overflow: 'hidden', color: textColor, opacity: job?.cancelled ? 0.6 : 1 }}
+                title={conflictMessages.join('\n') || undefined}
+              >
+                <EditedBadge job={job} shift={shift} className="mb-0.5" />
+                <div style={{ fontWeight: 'bold', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', textDecoration: job?.cancelled ? 'line-through' : 'none' }}>
+                  {conflictMessages.length > 0 && <ConflictMarker />}
                   {customerName}
                 </div>
                 <div style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', opacity: 0.9 }}>
                   {address}
                 </div>
                 <div style={{ fontSize: '10px', opacity: 0.8 }}>
-                  {timeRange}
+                  {timeRange} • {positionName}
                 </div>
               </div>
             )
@@ -283,6 +380,17 @@ export default function EmployeeCalendar({ data, viewMode, hideInfo, setHideInfo
           allDaySlot={false}
           events={events}
           resources={resources}
+          resourceGroupField="groupKey"
+          resourceOrder="groupKey,title"
+          resourceGroupLabelContent={(arg) => {
+            const group = groupLabels.get(arg.groupValue)
+            return (
+              <span className="flex items-center gap-2 font-semibold">
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: group?.color || '#CCCCCC' }} />
+                {group?.name || 'Unknown'}
+              </span>
+            )
+          }}
           eventClick={handleEventClick}
           height="auto"
           nowIndicator={true}
@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { ArrowRightLeft, Undo2 } from 'lucide-react'
+import { Select } from './ui/select'
+import { describeEmployeeMove } from '../utils/scheduleEdits'
+import { getTeamsOnDate } from '../utils/shiftRoles'
+
+/**
+ * Move an employee to another team for the selected date (local schedule edit)
+ * and list the moves already made that day
+ */
+export default function EmployeeMoveForm({ data, editor, date }) {
+  const [employeeId, setEmployeeId] = useState('')
+  const [fromTeamId, setFromTeamId] = useState('')
+  const [toTeamId, setToTeamId] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+  const teams = data.teams.filter(team => team.id !== '0')
+  const teamName = (teamId) => data.teams.find(team => team.id === teamId)?.name || `Team ${teamId}`
+
+  // Employees working that day, with the teams they work for
+  const working = data.employees
+    .map(emp => ({ emp, teamIds: getTeamsOnDate(emp, date, jobsById) }))
+    .filter(({ teamIds }) => teamIds.length > 0)
+    .sort((a, b) => a.emp.name.localeCompare(b.emp.name))
+
+  const selected = working.find(({ emp }) => emp.id === employeeId)
+  const effectiveFrom = selected?.teamIds.includes(fromTeamId) ? fromTeamId : selected?.teamIds[0] || ''
+  const canMove = Boolean(selected && effectiveFrom && toTeamId && toTeamId !== effectiveFrom)
+
+  const movesToday = editor.changes.filter(change => change.type === 'employeeMove' && change.date === date)
+
+  const handleMove = async (e) => {
+    e.preventDefault()
+    if (!canMove) return
+
+    setSaving(true)
+    const saved = await editor.record(describeEmployeeMove(data, selected.emp, { date, fromTeamId: effectiveFrom, toTeamId }))
+    setSaving(false)
+    if (saved) {
+      setEmployeeId('')
+      setFromTeamId('')
+      setToTeamId('')
+    } else {
+      alert('Could not save the change. Please try again.')
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4 space-y-3">
+      <form onSubmit={handleMove} className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+          <ArrowRightLeft className="w-4 h-4 text-[#005DA5]" />
+          Move for the day:
+        </div>
+        <Select
+          value={employeeId}
+          onChange={(e) => setEmployeeId(e.target.value)}
+          className="w-[200px]"
+          aria-label="Employee"
+        >
+          <option value="">Employee...</option>
+          {working.map(({ emp }) => (
+            <option key={emp.id} value={emp.id}>{emp.name}</option>
+          ))}
+        </Select>
+        {selected && selected.teamIds.length > 1 ? (
+          <Select
+            value={effectiveFrom}
+            onChange={(e) => setFromTeamId(e.target.value)}
+            className="w-[160px]"
+            aria-label="From team"
+          >
+            {selected.teamIds.map(teamId => (
+              <option key={teamId} value={teamId}>from {teamName(teamId)}</option>
+            ))}
+          </Select>
+        ) : selected && (
+          <span className="text-sm text-gray-600">from {teamName(effectiveFrom)}</span>
+        )}
+        <Select
+          value={toTeamId}
+          onChange={(e) => setToTeamId(e.target.value)}
+          className="w-[160px]"
+          aria-label="To team"
+        >
+          <option value="">To team...</option>
+          {teams
+            .filter(team => team.id !== effectiveFrom)
+            .map(team => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+        </Select>
+        <button
+          type="submit"
+          disabled={!canMove || saving}
+          className="px-4 py-2 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Move'}
+        </button>
+      </form>
+
+      {movesToday.length > 0 && (
+        <ul className="space-y-1 pt-3 border-t">
+          {movesToday.map(change => (
+            <li key={change.id} className="flex items-center justify-between gap-3 text-sm">
+              <span className="text-gray-700">
+                {change.summary} <span className="text-gray-500">by {change.by}</span>
+              </span>
+              <button
+                onClick={() => editor.revert([change.id])}
+                className="flex items-center gap-1 text-[#005DA5] font-medium hover:underline"
+              >
+                <Undo2 className="w-4 h-4" />
+                Undo
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
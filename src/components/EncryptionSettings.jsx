@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { ShieldCheck, Lock, Loader2 } from 'lucide-react'
+
+const MIN_PASSPHRASE_LENGTH = 8
+
+export default function EncryptionSettings({ encryption }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [working, setWorking] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  if (!encryption) return null
+
+  const { status, setPassphrase: savePassphrase, disableEncryption, forgetKey } = encryption
+  const enabled = status === 'unlocked'
+
+  const tooShort = passphrase.length > 0 && passphrase.length < MIN_PASSPHRASE_LENGTH
+  const mismatch = confirmPassphrase.length > 0 && passphrase !== confirmPassphrase
+  const canSave = passphrase.length >= MIN_PASSPHRASE_LENGTH && passphrase === confirmPassphrase
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!canSave) return
+    setWorking(true)
+    const saved = await savePassphrase(passphrase)
+    setWorking(false)
+    setPassphrase('')
+    setConfirmPassphrase('')
+    setMessage(saved
+      ? (enabled ? 'Passphrase changed and data re-encrypted' : 'Stored data is now encrypted')
+      : 'Failed to encrypt stored data')
+  }
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off encryption? Stored schedules will be saved in clear text on this device.')) return
+    setWorking(true)
+    const disabled = await disableEncryption()
+    setWorking(false)
+    setMessage(disabled ? 'Encryption turned off' : 'Failed to turn off encryption')
+  }
+
+  const handleForgetKey = () => {
+    if (window.confirm('Forget the key on this device? The passphrase will be needed to open the data again.')) {
+      forgetKey()
+    }
+  }
+
+  const inputClass = 'w-full h-10 rounded-md border border-gray-300 px-3 text-sm'
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#005DA5] rounded-lg flex items-center justify-center">
+              <ShieldCheck className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold">Data Encryption</h2>
+              <p className="text-sm text-gray-600">
+                {enabled
+                  ? 'Stored schedules and snapshots are encrypted (AES-GCM); the passphrase is asked for on load'
+                  : 'Stored schedules are saved in clear text on this device'}
+              </p>
+            </div>
+          </div>
+          {enabled && (
+            <button
+              onClick={handleForgetKey}
+              disabled={working}
+              className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all flex items-center gap-2 disabled:opacity-50"
+            >
+              <Lock className="w-4 h-4" />
+              Forget Key
+            </button>
+          )}
+        </div>
+
+        <form onSubmit={handleSave} className="space-y-3">
+          <h3 className="text-sm font-semibold text-gray-900">{enabled ? 'Change passphrase' : 'Encrypt with a passphrase'}</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="password"
+              placeholder="Passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className={inputClass}
+              autoComplete="new-password"
+            />
+            <input
+              type="password"
+              placeholder="Confirm passphrase"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              className={inputClass}
+              autoComplete="new-password"
+            />
+          </div>
+          {tooShort && <p className="text-xs text-red-700">Use at least {MIN_PASSPHRASE_LENGTH} characters.</p>}
+          {mismatch && <p className="text-xs text-red-700">The passphrases do not match.</p>}
+          <p className="text-xs text-gray-500">
+            The passphrase cannot be recovered. If it is lost, the stored data has to be deleted and imported again.
+          </p>
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={!canSave || working}
+              className="px-4 py-2 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50 flex items-center gap-2"
+            >
+              {working && <Loader2 className="w-4 h-4 animate-spin" />}
+              {enabled ? 'Re-key' : 'Encrypt Data'}
+            </button>
+            {enabled && (
+              <button
+                type="button"
+                onClick={handleDisable}
+                disabled={working}
+                className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all text-red-700 disabled:opacity-50"
+              >
+                Turn Off Encryption
+              </button>
+            )}
+          </div>
+        </form>
+
+        {message && <p className="text-sm text-gray-700">{message}</p>}
+      </div>
+    </div>
+  )
+}
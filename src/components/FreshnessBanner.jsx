@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Clock, AlertTriangle, AlertOctagon, HelpCircle } from 'lucide-react'
+import { getDataFreshness, formatAge, formatDataRange } from '../utils/freshness'
+
+// Re-check the age once a minute so the banner changes color without a reload
+const REFRESH_INTERVAL = 60 * 1000
+
+export default function FreshnessBanner({ data, thresholds }) {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_INTERVAL)
+    return () => clearInterval(timer)
+  }, [])
+
+  if (!data?.metadata) return null
+
+  const freshness = getDataFreshness(data.metadata, thresholds, now)
+  if (!freshness) return null
+
+  const styles = {
+    fresh: { className: 'bg-gray-50 border-gray-200 text-gray-700', icon: Clock },
+    warning: { className: 'bg-amber-50 border-amber-300 text-amber-900', icon: AlertTriangle },
+    critical: { className: 'bg-red-50 border-red-300 text-red-900', icon: AlertOctagon },
+    unknown: { className: 'bg-amber-50 border-amber-300 text-amber-900', icon: HelpCircle }
+  }
+  const { className, icon: Icon } = styles[freshness.level]
+
+  return (
+    <div className={`border-b ${className}`}>
+      <div className="container max-w-7xl mx-auto px-4 sm:px-6 py-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+        <Icon className="w-4 h-4 flex-shrink-0" />
+        {freshness.level === 'unknown' ? (
+          <>
+            <span className="font-semibold">Schedule age unknown: the export has no generation time</span>
+            <span className="text-xs opacity-80">
+              ({data.metadata.lastUpdated && `imported ${new Date(data.metadata.lastUpdated).toLocaleString()} • `}covers {formatDataRange(data.metadata.dataRange)})
+            </span>
+          </>
+        ) : (
+          <>
+            <span className="font-semibold">
+              {freshness.level === 'fresh' ? 'Data generated' : 'Schedule may be out of date: generated'}{' '}
+              {formatAge(freshness.ageHours)} ago
+            </span>
+            <span className="text-xs opacity-80">
+              ({freshness.generatedAt.toLocaleString()} • covers {formatDataRange(data.metadata.dataRange)})
+            </span>
+          </>
+        )}
+        {freshness.level !== 'fresh' && (
+          <Link to="/admin" className="text-xs font-bold underline ml-auto">
+            Load newer data
+          </Link>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react'
+import { Clock } from 'lucide-react'
+import { DEFAULT_FRESHNESS_THRESHOLDS } from '../utils/freshness'
+
+export default function FreshnessSettings({ thresholds, setThresholds }) {
+  const [warningHours, setWarningHours] = useState(thresholds?.warningHours ?? DEFAULT_FRESHNESS_THRESHOLDS.warningHours)
+  const [criticalHours, setCriticalHours] = useState(thresholds?.criticalHours ?? DEFAULT_FRESHNESS_THRESHOLDS.criticalHours)
+  const [saved, setSaved] = useState(false)
+
+  // Follow changes made elsewhere (e.g. preferences loaded after mount)
+  useEffect(() => {
+    setWarningHours(thresholds?.warningHours ?? DEFAULT_FRESHNESS_THRESHOLDS.warningHours)
+    setCriticalHours(thresholds?.criticalHours ?? DEFAULT_FRESHNESS_THRESHOLDS.criticalHours)
+  }, [thresholds])
+
+  if (!setThresholds) return null
+
+  const warning = Number(warningHours)
+  const critical = Number(criticalHours)
+  const invalid = !(warning > 0) || !(critical > warning)
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (invalid) return
+    setThresholds({ warningHours: warning, criticalHours: critical })
+    setSaved(true)
+    setTimeout(() => setSaved(false), 2000)
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <form onSubmit={handleSave} className="p-6 sm:p-8 space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#BF9F50] rounded-lg flex items-center justify-center">
+            <Clock className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">Freshness Warnings</h2>
+            <p className="text-sm text-gray-600">
+              How old the data can get before the banner at the top of every page turns amber or red
+            </p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="text-sm font-medium text-gray-700">
+            <span className="block mb-1">Amber after (hours)</span>
+            <input
+              type="number"
+              min="1"
+              value={warningHours}
+              onChange={(e) => setWarningHours(e.target.value)}
+              className="w-28 h-10 rounded-md border border-gray-300 px-3 text-sm"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            <span className="block mb-1">Red after (hours)</span>
+            <input
+              type="number"
+              min="1"
+              value={criticalHours}
+              onChange={(e) => setCriticalHours(e.target.value)}
+              className="w-28 h-10 rounded-md border border-gray-300 px-3 text-sm"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={invalid}
+            className="px-4 py-2 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50"
+          >
+            {saved ? 'Saved' : 'Save'}
+          </button>
+        </div>
+
+        {invalid && (
+          <p className="text-xs text-red-700">The red threshold must be greater than the amber threshold.</p>
+        )}
+      </form>
+    </div>
+  )
+}
@@ -2,17 +2,21 @@ import { Link, useLocation } from 'react-router-dom'
 import { useState } from 'react'
 import { cn } from '@/lib/utils'
 import { Button } from './ui/button'
-import { Menu, X, Calendar, Users, FileText, Upload, BookOpen, LayoutDashboard, Briefcase } from 'lucide-react'
+import { Menu, X, Calendar, Users, FileText, Upload, BookOpen, LayoutDashboard, Briefcase, Wifi, WifiOff, UserCircle, Inbox } from 'lucide-react'
+import { useOnlineStatus } from '../hooks/useOnlineStatus'
 
 export default function Header({ viewMode, setViewMode }) {
   const location = useLocation()
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
+  const isOnline = useOnlineStatus()
 
   const navLinks = [
     { path: '/', label: 'Dashboard', icon: LayoutDashboard },
+    { path: '/me', label: 'My Schedule', icon: UserCircle },
     { path: '/jobs', label: 'Job Calendar', icon: Calendar },
     { path: '/employees', label: 'Employees', icon: Users },
     { path: '/teams', label: 'Teams', icon: Briefcase },
+    { path: '/unassigned', label: 'Unassigned', icon: Inbox },
     { path: '/export', label: 'Export', icon: FileText },
     { path: '/admin', label: 'Admin', icon: Upload },
     { path: '/docs', label: 'Docs', icon: BookOpen }
@@ -63,8 +67,22 @@ export default function Header({ viewMode, setViewMode }) {
             })}
           </nav>
 
+          {/* Connection Status */}
+          <div
+            className={cn(
+              "flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-bold border ml-auto lg:ml-0 mr-2",
+              isOnline
+                ? "bg-green-50 text-green-700 border-green-200"
+                : "bg-amber-100 text-amber-900 border-amber-300"
+            )}
+            title={isOnline ? 'Connected to the internet' : 'No connection - showing saved data'}
+          >
+            {isOnline ? <Wifi className="w-3.5 h-3.5" /> : <WifiOff className="w-3.5 h-3.5" />}
+            <span className="hidden sm:inline">{isOnline ? 'Online' : 'Offline'}</span>
+          </div>
+
           {/* Desktop View Mode Toggle */}
-          <div className="hidden md:flex items-center gap-2 ml-auto">
+          <div className="hidden md:flex items-center gap-2">
             <div className="flex items-center gap-1 p-1 rounded-lg bg-gray-100">
               <button
                 onClick={() => setViewMode('office')}
@@ -94,7 +112,7 @@ export default function Header({ viewMode, setViewMode }) {
           {/* Mobile Menu Button */}
           <button
             onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-            className="lg:hidden ml-auto p-2 rounded-lg hover:bg-gray-100 transition-colors"
+            className="lg:hidden p-2 rounded-lg hover:bg-gray-100 transition-colors"
           >
             {mobileMenuOpen ? (
               <X className="w-6 h-6 text-gray-600" />
@@ -0,0 +1,68 @@
+import { useState, useMemo } from 'react'
+import { Search, Check } from 'lucide-react'
+import { getUserViewMode, findUserEmployee } from '../utils/userDirectory'
+
+export default function IdentityPicker({ users, data, currentUser, onSelect }) {
+  const [query, setQuery] = useState('')
+
+  const filteredUsers = useMemo(() => {
+    const search = query.trim().toLowerCase()
+    if (!search) return users
+    return users.filter(user =>
+      user.name.toLowerCase().includes(search) || user.email.toLowerCase().includes(search)
+    )
+  }, [users, query])
+
+  const companyNames = new Map((data?.companies || []).map(company => [company.id, company.name]))
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          placeholder="Search by name or email"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full h-10 rounded-md border border-gray-300 pl-9 pr-3 text-sm"
+        />
+      </div>
+
+      <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 rounded-xl border border-gray-200">
+        {filteredUsers.length === 0 && (
+          <li className="p-4 text-sm text-gray-500 text-center">No users match "{query}".</li>
+        )}
+        {filteredUsers.map(user => {
+          const selected = currentUser?.id === user.id
+          const onSchedule = Boolean(findUserEmployee(user, data))
+          const office = getUserViewMode(user) === 'office'
+
+          return (
+            <li key={user.id}>
+              <button
+                type="button"
+                onClick={() => onSelect(selected ? null : user)}
+                className={`w-full text-left p-3 flex items-center gap-3 transition-colors ${selected ? 'bg-[#005DA5]/5' : 'hover:bg-gray-50'}`}
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-gray-900 truncate">{user.name}</p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {user.email}
+                    {user.companyIds.length > 0 && ` • ${user.companyIds.map(id => companyNames.get(id) || `Company ${id}`).join(', ')}`}
+                  </p>
+                  {!onSchedule && (
+                    <p className="text-xs text-amber-700">Not on the loaded schedule</p>
+                  )}
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold ${office ? 'bg-[#005DA5]/10 text-[#005DA5]' : 'bg-amber-100 text-amber-900'}`}>
+                  {office ? 'OFFICE' : 'TECH'}
+                </span>
+                {selected && <Check className="w-4 h-4 text-[#005DA5]" />}
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+import { GitCompare, Plus, Minus, RefreshCw, ArrowRight, Users } from 'lucide-react'
+import { hasDiffChanges } from '../utils/dataDiff'
+
+/**
+ * Section wrapper for one category of changes
+ */
+function DiffSection({ title, icon: Icon, tone, count, children }) {
+  if (!count) return null
+
+  const tones = {
+    green: 'text-green-700 bg-green-50 border-green-200',
+    red: 'text-red-700 bg-red-50 border-red-200',
+    amber: 'text-amber-700 bg-amber-50 border-amber-200',
+    blue: 'text-blue-700 bg-blue-50 border-blue-200'
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-xl overflow-hidden">
+      <div className={`flex items-center gap-2 px-4 py-2 border-b ${tones[tone]}`}>
+        <Icon className="w-4 h-4" />
+        <h3 className="text-sm font-semibold">{title} ({count})</h3>
+      </div>
+      <div className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export default function ImportDiffReport({ diff, title = 'Changes in New Data', description, children }) {
+  if (!diff) return null
+
+  const { summary } = diff
+  const changed = hasDiffChanges(diff)
+
+  const summaryItems = [
+    { label: 'Added jobs', value: summary.addedJobs, className: 'bg-green-50 text-green-900 border-green-100' },
+    { label: 'Removed jobs', value: summary.removedJobs, className: 'bg-red-50 text-red-900 border-red-100' },
+    { label: 'Changed jobs', value: summary.changedJobs, className: 'bg-amber-50 text-amber-900 border-amber-100' },
+    { label: 'Team moves', value: summary.employeeMoves, className: 'bg-purple-50 text-purple-900 border-purple-100' },
+    { label: 'Employees affected', value: summary.employeesWithShiftChanges, className: 'bg-blue-50 text-blue-900 border-blue-100' }
+  ]
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#0382E5] rounded-lg flex items-center justify-center">
+            <GitCompare className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">{title}</h2>
+            <p className="text-sm text-gray-600">
+              {description || `Compared ${new Date(diff.createdAt).toLocaleString()}`}
+            </p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          {summaryItems.map(item => (
+            <div key={item.label} className={`rounded-lg p-3 border ${item.className}`}>
+              <div className="text-2xl font-bold">{item.value}</div>
+              <div className="text-xs font-medium">{item.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {!changed && (
+          <p className="text-sm text-gray-600">
+            No differences in jobs, teams or employee shifts.
+          </p>
+        )}
+
+        <div className="space-y-4">
+          <DiffSection title="Added Jobs" icon={Plus} tone="green" count={diff.addedJobs.length}>
+            {diff.addedJobs.map(job => (
+              <div key={job.id} className="px-4 py-2 text-sm">
+                <div className="font-medium text-gray-900">{job.customerName}</div>
+                <div className="text-xs text-gray-600">{job.schedule} • {job.teams} • {job.address}</div>
+              </div>
+            ))}
+          </DiffSection>
+
+          <DiffSection title="Removed Jobs" icon={Minus} tone="red" count={diff.removedJobs.length}>
+            {diff.removedJobs.map(job => (
+              <div key={job.id} className="px-4 py-2 text-sm">
+                <div className="font-medium text-gray-900">{job.customerName}</div>
+                <div className="text-xs text-gray-600">{job.schedule} • {job.teams} • {job.address}</div>
+              </div>
+            ))}
+          </DiffSection>
+
+          <DiffSection title="Changed Jobs" icon={RefreshCw} tone="amber" count={diff.changedJobs.length}>
+            {diff.changedJobs.map(job => (
+              <div key={job.id} className="px-4 py-2 text-sm">
+                <div className="font-medium text-gray-900">{job.customerName}</div>
+                <ul className="mt-1 space-y-0.5">
+                  {job.changes.map(change => (
+                    <li key={change.field} className="text-xs text-gray-700 flex flex-wrap items-center gap-1">
+                      <strong>{change.label}:</strong>
+                      <span className="line-through text-gray-500">{change.before || 'None'}</span>
+                      <ArrowRight className="w-3 h-3 text-gray-400" />
+                      <span>{change.after || 'None'}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </DiffSection>
+
+          <DiffSection title="Employees Moved Between Teams" icon={Users} tone="blue" count={diff.employeeMoves.length}>
+            {diff.employeeMoves.map(move => (
+              <div key={move.id} className="px-4 py-2 text-sm flex flex-wrap items-center gap-2">
+                <span className="font-medium text-gray-900">{move.name}</span>
+                <span className="text-xs text-gray-500">{move.fromTeam}</span>
+                <ArrowRight className="w-3 h-3 text-gray-400" />
+                <span className="text-xs text-gray-700">{move.toTeam}</span>
+              </div>
+            ))}
+          </DiffSection>
+
+          <DiffSection title="Shift Changes by Employee" icon={Users} tone="blue" count={diff.shiftChanges.length}>
+            {diff.shiftChanges.map(emp => (
+              <div key={emp.id} className="px-4 py-2 text-sm">
+                <div className="font-medium text-gray-900">{emp.name}</div>
+                <ul className="mt-1 space-y-0.5 text-xs">
+                  {emp.added.map(shift => (
+                    <li key={`added-${shift.jobId}`} className="text-green-700">
+                      + {shift.customerName} ({shift.schedule})
+                    </li>
+                  ))}
+                  {emp.dropped.map(shift => (
+                    <li key={`dropped-${shift.jobId}`} className="text-red-700">
+                      − {shift.customerName} ({shift.schedule})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </DiffSection>
+        </div>
+
+        {children}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,82 @@
+import { ShieldCheck, XCircle, AlertTriangle, FileText } from 'lucide-react'
+import { getFormatLabel } from '../utils/dataTransform'
+
+/**
+ * List of validation issues for one severity
+ */
+function IssueList({ issues, tone }) {
+  if (issues.length === 0) return null
+
+  const tones = {
+    red: { header: 'text-red-700 bg-red-50 border-red-200', icon: XCircle, title: 'Errors' },
+    amber: { header: 'text-amber-700 bg-amber-50 border-amber-200', icon: AlertTriangle, title: 'Warnings' }
+  }
+  const { header, icon: Icon, title } = tones[tone]
+
+  return (
+    <div className="border border-gray-200 rounded-xl overflow-hidden">
+      <div className={`flex items-center gap-2 px-4 py-2 border-b ${header}`}>
+        <Icon className="w-4 h-4" />
+        <h4 className="text-sm font-semibold">{title} ({issues.length})</h4>
+      </div>
+      <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+        {issues.map((issue, index) => (
+          <li key={`${issue.path}-${index}`} className="px-4 py-2 text-sm">
+            <div className="text-gray-900">
+              {issue.message}
+              {issue.jobId && <span className="text-gray-500"> (job {issue.jobId})</span>}
+            </div>
+            <code className="text-xs text-gray-500 break-all">{issue.path}</code>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default function ImportValidationReport({ reports, children }) {
+  if (!reports || reports.length === 0) return null
+
+  const totalErrors = reports.reduce((sum, report) => sum + report.errors.length, 0)
+  const totalWarnings = reports.reduce((sum, report) => sum + report.warnings.length, 0)
+  const blocked = totalErrors > 0
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex items-center gap-3">
+          <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${blocked ? 'bg-red-600' : 'bg-[#BF9F50]'}`}>
+            <ShieldCheck className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">Import Validation</h2>
+            <p className="text-sm text-gray-600">
+              {blocked
+                ? `Found ${totalErrors} error${totalErrors === 1 ? '' : 's'} and ${totalWarnings} warning${totalWarnings === 1 ? '' : 's'}. Fix the errors in the source file and upload it again.`
+                : `Found ${totalWarnings} warning${totalWarnings === 1 ? '' : 's'}. The data can still be imported.`}
+            </p>
+          </div>
+        </div>
+
+        {reports.map(report => (
+          <div key={report.fileName} className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <FileText className="w-4 h-4 text-gray-500" />
+              <span className="font-semibold text-gray-900">{report.fileName}</span>
+              <span className="text-gray-500">
+                {report.dataFormat ? getFormatLabel(report.dataFormat) : 'Unrecognized format'} • {report.totalRecords} job records
+              </span>
+              {report.errors.length === 0 && report.warnings.length === 0 && (
+                <span className="text-green-700 font-medium">No issues</span>
+              )}
+            </div>
+            <IssueList issues={report.errors} tone="red" />
+            <IssueList issues={report.warnings} tone="amber" />
+          </div>
+        ))}
+
+        {children}
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, Link } from 'react-router-dom'
 import FullCalendar from '@fullcalendar/react'
 import dayGridPlugin from '@fullcalendar/daygrid'
 import timeGridPlugin from '@fullcalendar/timegrid'
@@ -12,13 +12,27 @@ import { Alert, AlertDescription } from './ui/alert'
 import { Select } from './ui/select'
 import { Switch, Label } from './ui/switch'
 import { Input } from './ui/input'
+import { PlusCircle } from 'lucide-react'
+import NoDataForDate from './NoDataForDate'
+import ConflictMarker from './ConflictMarker'
+import EditedBadge from './EditedBadge'
+import LocalJobForm from './LocalJobForm'
 import { getContrastTextColor } from '../utils/colorHelpers'
+import { hasMixedTimeZones, formatZoneSuffix } from '../utils/timeZones'
+import { getStartDateTime, getEndDateTime, formatTimeRange } from '../utils/scheduleTime'
+import { getShiftTeamId } from '../utils/shiftRoles'
+import { getJobConflicts, getUnassignedJobs } from '../utils/conflicts'
+import { describeJobMove } from '../utils/scheduleEdits'
 
-export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, selectedDate, setSelectedDate, selectedCompany, setSelectedCompany, selectedTeam, setSelectedTeam }) {
+export default function JobCalendar({ data, conflicts, editor, viewMode, hideInfo, setHideInfo, selectedDate, setSelectedDate, selectedCompany, setSelectedCompany, selectedTeam, setSelectedTeam }) {
   const navigate = useNavigate()
   const calendarRef = useRef(null)
   const hasScrolledToToday = useRef(false)
   const isNavigatingProgrammatically = useRef(false)
+  // Drag-and-drop editing, off by default so a stray drag can't move a job
+  const [editMode, setEditMode] = useState(false)
+  const canEdit = Boolean(editor?.enabled) && editMode
+  const [showJobForm, setShowJobForm] = useState(false)
 
   // Handle date picker change
   const handleDateChange = (e) => {
@@ -76,9 +90,10 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
     .map(team => {
       // Get employees for this team working on the current date
       const teamEmployees = data.employees.filter(emp => {
-        if (emp.teamId !== team.id) return false
-        // Check if employee has any shifts on the current date
-        return emp.shifts?.some(shift => shift.date === selectedDate)
+        // Employee worked a shift with this team on the current date
+        return emp.shifts?.some(shift =>
+          shift.date === selectedDate && getShiftTeamId(shift, emp) === team.id
+        )
       })
 
       return {
@@ -91,7 +106,14 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
       }
     })
 
+  // Jobs with no team have no row in the team timeline; count them so they aren't missed
+  const unassignedJobs = getUnassignedJobs(data, { companyId: selectedCompany })
+  const unassignedOnDate = unassignedJobs.filter(job => job.schedule.date === selectedDate).length
+
   // Transform jobs to calendar events
+  // Mark times with their zone when companies in the dataset are in different zones
+  const showZones = hasMixedTimeZones(data)
+
   const events = data.jobs
     .filter(job => {
       // Filter by company
@@ -107,15 +129,16 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
       const teamColor = team?.color || '#CCCCCC'
 
       // Build event start/end times
-      const start = `${job.schedule.date}T${job.schedule.startTime}`
-      const end = `${job.schedule.date}T${job.schedule.endTime}`
+      const start = getStartDateTime(job.schedule)
+      const end = getEndDateTime(job.schedule)
 
       // Build rich title with more info
-      const timeRange = `${job.schedule.startTime} - ${job.schedule.endTime}`
+      const timeRange = `${formatTimeRange(job.schedule)}${formatZoneSuffix(job, showZones)}`
       const addressShort = job.address.split(',')[0] // First part of address
 
       // Calculate optimal text color based on background
       const textColor = getContrastTextColor(teamColor)
+      const jobConflicts = getJobConflicts(conflicts, job.id)
 
       return {
         id: job.id,
@@ -126,13 +149,15 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
         borderColor: teamColor,
         textColor: textColor, // FullCalendar will use this for text
         resourceId: primaryTeamId, // For timeline views
+        editable: canEdit && !job.cancelled,
         extendedProps: {
           job,
           customerName: job.customerName,
           serviceType: job.serviceType,
           address: addressShort,
           timeRange: timeRange,
-          textColor: textColor
+          textColor: textColor,
+          conflictMessages: jobConflicts.map(conflict => conflict.message)
         }
       }
     })
@@ -143,6 +168,21 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
     navigate(`/jobs/${job.id}`)
   }
 
+  // Dragged to another team row and/or time, or resized: record a local edit
+  const handleEventChange = async (changeInfo) => {
+    const { job } = changeInfo.event.extendedProps
+    const fromTeamId = changeInfo.oldResource?.id || job.scheduledTeams[0] || '0'
+    const toTeamId = changeInfo.newResource?.id || fromTeamId
+    const start = changeInfo.event.start
+    const end = changeInfo.event.end || new Date(start.getTime() + (changeInfo.oldEvent.end - changeInfo.oldEvent.start))
+
+    const saved = await editor.record(describeJobMove(data, job, { fromTeamId, toTeamId, start, end }))
+    if (!saved) {
+      changeInfo.revert()
+      alert('Could not save the change. Please try again.')
+    }
+  }
+
   return (
     <div className="space-y-4">
       <div className="flex items-center justify-between">
@@ -201,6 +241,27 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
             />
           </div>
 
+          {/* Edit Mode - office view only */}
+          {editor?.enabled && (
+            <div className="flex items-center gap-2">
+              <Switch
+                id="edit-mode"
+                checked={editMode}
+                onCheckedChange={setEditMode}
+              />
+              <Label htmlFor="edit-mode">Edit schedule</Label>
+              {!showJobForm && (
+                <button
+                  onClick={() => setShowJobForm(true)}
+                  className="ml-2 flex items-center gap-1 px-3 py-1.5 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all"
+                >
+                  <PlusCircle className="w-4 h-4" />
+                  New Local Job
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Privacy Toggle */}
           <div className="flex items-center gap-2 ml-auto">
             <Switch
@@ -213,6 +274,39 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
         </div>
       </Card>
 
+      {/* Selected date outside the exported range */}
+      <NoDataForDate date={selectedDate} dataRange={data.metadata?.dataRange} />
+
+      {editor?.enabled && showJobForm && (
+        <LocalJobForm
+          data={data}
+          editor={editor}
+          date={selectedDate}
+          companyId={selectedCompany}
+          onClose={() => setShowJobForm(false)}
+        />
+      )}
+
+      {canEdit && (
+        <div className="bg-[#005DA5]/5 border border-[#005DA5]/20 rounded-xl p-3 text-sm text-gray-700">
+          Drag a job to another team row or time, or drag its edge to change the end time. Changes are kept on this
+          device as local edits{editor.changes.length > 0 ? ` (${editor.changes.length} so far)` : ''}; the imported schedule is not changed.
+        </div>
+      )}
+
+      {/* Unassigned jobs (not shown in the team timeline) */}
+      {unassignedJobs.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 flex flex-wrap items-center gap-2 text-sm text-amber-900">
+          <span>
+            <span className="font-semibold">{unassignedOnDate}</span> unassigned {unassignedOnDate === 1 ? 'job' : 'jobs'} on this date
+            ({unassignedJobs.length} in total) {unassignedOnDate === 1 ? 'is' : 'are'} not shown in the team timeline.
+          </span>
+          <Link to="/unassigned" className="font-semibold text-[#005DA5] hover:underline">
+            View queue
+          </Link>
+        </div>
+      )}
+
       {/* Calendar */}
       <Card className="p-4">
         <FullCalendar
@@ -234,10 +328,15 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
             right: 'dayGridMonth,timeGridWeek,timeGridDay,listWeek,resourceTimelineDay'
           }}
           eventContent={(eventInfo) => {
-            const { customerName, serviceType, address, timeRange, textColor } = eventInfo.event.extendedProps
+            const { job, customerName, serviceType, address, timeRange, textColor, conflictMessages } = eventInfo.event.extendedProps
             return (
-              <div style={{ fontSize: '11px', padding: '2px', overflow: 'hidden', color: textColor }}>
-                <div style={{ fontWeight: 'bold', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+              <div
+                style={{ fontSize: '11px', padding: '2px', overflow: 'hidden', color: textColor, opacity: job.cancelled ? 0.6 : 1 }}
+                title={conflictMessages.join('\n') || undefined}
+              >
+                <EditedBadge job={job} className="mb-0.5" />
+                <div style={{ fontWeight: 'bold', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', textDecoration: job.cancelled ? 'line-through' : 'none' }}>
+                  {conflictMessages.length > 0 && <ConflictMarker />}
                   {customerName}
                 </div>
                 <div style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
@@ -260,6 +359,10 @@ export default function JobCalendar({ data, viewMode, hideInfo, setHideInfo, sel
           events={events}
           resources={resources}
           eventClick={handleEventClick}
+          editable={canEdit}
+          eventResourceEditable={canEdit}
+          eventDrop={handleEventChange}
+          eventResize={handleEventChange}
           height="auto"
           nowIndicator={true}
           resourceAreaHeaderContent="Teams"
@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import { StickyNote, Trash2 } from 'lucide-react'
+import { Card } from './ui/card'
+import { describeJobNote } from '../utils/scheduleEdits'
+
+/**
+ * Timestamped dispatcher notes on a job (local schedule edits), with a form
+ * to add one in the office view
+ */
+export default function JobNotes({ job, editor }) {
+  const [text, setText] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const notes = job.notes || []
+  if (notes.length === 0 && !editor?.enabled) return null
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!text.trim()) return
+
+    setSaving(true)
+    const saved = await editor.record(describeJobNote(job, text))
+    setSaving(false)
+    if (saved) {
+      setText('')
+    } else {
+      alert('Could not save the note. Please try again.')
+    }
+  }
+
+  const handleDelete = async (noteId) => {
+    if (window.confirm('Delete this note?')) {
+      await editor.revert([noteId])
+    }
+  }
+
+  return (
+    <Card className="p-6">
+      <div className="space-y-4">
+        <div className="flex items-center gap-2">
+          <div className="w-10 h-10 bg-[#01726B] rounded-lg flex items-center justify-center">
+            <StickyNote className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Notes</h2>
+            <p className="text-xs text-gray-500">Added locally during the outage</p>
+          </div>
+        </div>
+
+        <div className="space-y-3 ml-12">
+          {notes.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">No notes yet</p>
+          ) : (
+            <ul className="space-y-3">
+              {notes.map(note => (
+                <li key={note.id} className="border-l-4 border-[#01726B] pl-4 py-1">
+                  <div className="flex items-start justify-between gap-3">
+                    <p className="text-xs text-gray-500">
+                      {new Date(note.at).toLocaleString()} • {note.by}
+                    </p>
+                    {editor?.enabled && (
+                      <button
+                        onClick={() => handleDelete(note.id)}
+                        className="p-1 rounded-lg text-red-600 hover:bg-red-50"
+                        aria-label="Delete note"
+                        data-html2canvas-ignore
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-900 whitespace-pre-wrap">{note.text}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {editor?.enabled && (
+            <form onSubmit={handleAdd} className="space-y-2" data-html2canvas-ignore>
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={3}
+                placeholder="e.g. Customer called: gate code changed to 4521"
+                className="w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+              />
+              <button
+                type="submit"
+                disabled={!text.trim() || saving}
+                className="px-4 py-2 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Add Note'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </Card>
+  )
+}
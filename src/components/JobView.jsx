@@ -2,12 +2,20 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useRef, useState } from 'react'
 import { format } from 'date-fns'
 import html2canvas from 'html2canvas'
-import jsPDF from 'jspdf'
 import { Card } from './ui/card'
 import { Alert, AlertDescription } from './ui/alert'
 import { Button } from './ui/button'
 import { Badge } from './ui/badge'
-import { shouldHideField } from '../utils/userPreferences'
+import { shouldHideField, getExportFieldVisibility } from '../utils/userPreferences'
+import { hasMixedTimeZones, formatZoneSuffix } from '../utils/timeZones'
+import { formatTimeRange } from '../utils/scheduleTime'
+import { getShiftForJob, getShiftPosition, getShiftTeamId } from '../utils/shiftRoles'
+import { describeJobCancel, getJobChanges } from '../utils/scheduleEdits'
+import { createJobPdf } from '../utils/schedulePdf'
+import { DEFAULT_PDF_OPTIONS } from '../utils/pdfLayout'
+import { downloadFile, toFileNamePart } from '../utils/download'
+import EditedBadge from './EditedBadge'
+import JobNotes from './JobNotes'
 import {
   User,
   Home,
@@ -28,10 +36,14 @@ import {
   Ruler,
   Building2,
   Bell,
-  Check
+  Check,
+  Ban,
+  RotateCcw,
+  PencilLine,
+  Trash2
 } from 'lucide-react'
 
-export default function JobView({ data, viewMode }) {
+export default function JobView({ data, viewMode, editor, pdfOptions = DEFAULT_PDF_OPTIONS }) {
   const { jobId } = useParams()
   const navigate = useNavigate()
   const [isExporting, setIsExporting] = useState(false)
@@ -52,6 +64,7 @@ export default function JobView({ data, viewMode }) {
 
   // Find the job
   const job = data.jobs.find(j => j.id === jobId)
+  const showZones = hasMixedTimeZones(data)
 
   if (!job) {
     return (
@@ -76,32 +89,42 @@ export default function JobView({ data, viewMode }) {
     emp.shifts.some(shift => shift.jobId === job.id)
   )
 
-  // Export as PDF
-  const handleExportPDF = async () => {
-    if (!contentRef.current) return
-
-    setIsExporting(true)
-    try {
-      const canvas = await html2canvas(contentRef.current, {
-        scale: 2,
-        logging: false,
-        useCORS: true
-      })
+  // Local edits to this job (office view); notes and the creation of a local job are handled separately
+  const allJobChanges = getJobChanges(editor?.changes, job.id)
+  const jobChanges = allJobChanges.filter(change => change.type !== 'jobNote' && change.type !== 'jobCreate')
+  const teamNames = (teamIds) => teamIds
+    .map(teamId => data.teams.find(t => t.id === teamId)?.name || 'Unassigned')
+    .join(', ')
 
-      const imgData = canvas.toDataURL('image/png')
-      const pdf = new jsPDF({
-        orientation: 'portrait',
-        unit: 'mm',
-        format: 'a4'
-      })
+  const handleSetCancelled = async (cancelled) => {
+    const saved = await editor.record(describeJobCancel(job, cancelled))
+    if (!saved) alert('Could not save the change. Please try again.')
+  }
 
-      const imgWidth = 210
-      const imgHeight = (canvas.height * imgWidth) / canvas.width
+  const handleRevertEdits = async () => {
+    if (window.confirm('Revert all local edits to this job and go back to the imported schedule?')) {
+      await editor.revert(jobChanges.map(change => change.id))
+    }
+  }
 
-      pdf.addImage(imgData, 'PNG', 0, 0, imgWidth, imgHeight)
+  const handleDeleteLocalJob = async () => {
+    if (window.confirm('Delete this local job along with its edits and notes?')) {
+      const deleted = await editor.revert(allJobChanges.map(change => change.id))
+      if (deleted) navigate(-1)
+    }
+  }
 
-      const filename = `Job_${job.customerName.replace(/\s+/g, '_')}_${job.schedule.date}.pdf`
-      pdf.save(filename)
+  // Export as PDF (laid out as vector text, across as many pages as needed)
+  const handleExportPDF = () => {
+    setIsExporting(true)
+    try {
+      const pdf = createJobPdf({
+        data,
+        job,
+        visibleFields: getExportFieldVisibility(viewMode, false, data.metadata?.featureToggles),
+        showZones
+      }, pdfOptions)
+      pdf.save(`Job_${toFileNamePart(job.customerName)}_${job.schedule.date}.pdf`)
     } catch (error) {
       console.error('Error generating PDF:', error)
       alert('Error generating PDF. Please try again.')
@@ -123,14 +146,7 @@ export default function JobView({ data, viewMode }) {
       })
 
       canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob)
-        const link = document.createElement('a')
-        link.href = url
-        link.download = `Job_${job.customerName.replace(/\s+/g, '_')}_${job.schedule.date}.png`
-        document.body.appendChild(link)
-        link.click()
-        document.body.removeChild(link)
-        URL.revokeObjectURL(url)
+        downloadFile(blob, `Job_${toFileNamePart(job.customerName)}_${job.schedule.date}.png`)
         setIsExporting(false)
       })
     } catch (error) {
@@ -176,6 +192,87 @@ export default function JobView({ data, viewMode }) {
         </div>
       </div>
 
+      {/* Local Edits */}
+      {(job.edited || job.local || editor?.enabled) && (
+        <div className={`rounded-2xl border p-4 space-y-3 ${job.cancelled ? 'bg-red-50 border-red-200' : job.local ? 'bg-[#01726B]/5 border-[#01726B]/20' : job.edited ? 'bg-amber-50 border-amber-200' : 'bg-white border-gray-200'}`}>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <PencilLine className="w-4 h-4 text-gray-600" />
+              <span className="text-sm font-semibold text-gray-900">
+                {job.local ? 'Added locally during the outage' : job.edited ? 'Changed locally during the outage' : 'Local edits'}
+              </span>
+              <EditedBadge job={job} />
+            </div>
+            {editor?.enabled && (
+              <div className="flex flex-wrap gap-2">
+                {job.cancelled ? (
+                  <button
+                    onClick={() => handleSetCancelled(false)}
+                    className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all flex items-center gap-2"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Restore Job
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleSetCancelled(true)}
+                    className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm flex items-center gap-2"
+                  >
+                    <Ban className="w-4 h-4" />
+                    Mark Cancelled
+                  </button>
+                )}
+                {jobChanges.length > 0 && (
+                  <button
+                    onClick={handleRevertEdits}
+                    className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all"
+                  >
+                    Revert Edits
+                  </button>
+                )}
+                {job.local && (
+                  <button
+                    onClick={handleDeleteLocalJob}
+                    className="px-4 py-2 border-2 border-red-600 text-red-600 hover:bg-red-50 rounded-full text-sm font-bold transition-all flex items-center gap-2"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    Delete Local Job
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {job.original && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+              <div>
+                <span className="text-gray-600">{job.local ? 'Added as' : 'Imported'}: </span>
+                <span className="text-gray-900">
+                  {teamNames(job.original.scheduledTeams)} • {job.original.schedule.date} {formatTimeRange(job.original.schedule)}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-600">Now: </span>
+                <span className="text-gray-900">
+                  {teamNames(job.scheduledTeams)} • {job.schedule.date} {formatTimeRange(job.schedule)}
+                  {job.cancelled && ' (cancelled)'}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {jobChanges.length > 0 && (
+            <ul className="text-xs text-gray-600 space-y-0.5">
+              {jobChanges.map(change => (
+                <li key={change.id}>
+                  {new Date(change.at).toLocaleString()} • {change.by}: {change.summary}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Job Details - Card Layout */}
       <div ref={contentRef} className="space-y-4">
         {/* Row 1: Customer & Home Info - Full Width */}
@@ -192,7 +289,8 @@ export default function JobView({ data, viewMode }) {
 
               <div className="space-y-3 ml-12">
                 <div>
-                  <h1 className="text-2xl font-bold text-gray-900">{job.customerName}</h1>
+                  <h1 className={`text-2xl font-bold text-gray-900 ${job.cancelled ? 'line-through' : ''}`}>{job.customerName}</h1>
+                  <EditedBadge job={job} className="mt-1" />
                   <p className="text-lg text-gray-600">{job.serviceType}</p>
                 </div>
 
@@ -385,7 +483,7 @@ export default function JobView({ data, viewMode }) {
                   <div className="flex items-center gap-2 text-gray-700">
                     <Clock className="w-4 h-4 text-[#0382E5]" />
                     <span>
-                      {job.schedule.startTime} - {job.schedule.endTime}
+                      {formatTimeRange(job.schedule)}{formatZoneSuffix(job, showZones)}
                       {job.allowedTime > 0 && ` (${job.allowedTime.toFixed(2)} hrs allowed)`}
                     </span>
                   </div>
@@ -438,12 +536,21 @@ export default function JobView({ data, viewMode }) {
                       <h3 className="text-sm font-semibold text-gray-600">Assigned Employees</h3>
                     </div>
                     <ul className="space-y-2">
-                      {assignedEmployees.map(emp => (
-                        <li key={emp.id} className="text-sm flex items-center gap-2 ml-6">
-                          <span className="font-medium text-gray-900">{emp.name}</span>
-                          <span className="text-gray-500">({emp.position.name})</span>
-                        </li>
-                      ))}
+                      {assignedEmployees.map(emp => {
+                        // Role held on this job, which may differ from the employee's usual one
+                        const shift = getShiftForJob(emp, job.id)
+                        const position = getShiftPosition(shift, emp, data)
+                        const shiftTeam = data.teams.find(t => t.id === getShiftTeamId(shift, emp))
+                        return (
+                          <li key={emp.id} className="text-sm flex flex-wrap items-center gap-2 ml-6">
+                            <span className="font-medium text-gray-900">{emp.name}</span>
+                            <span className="text-gray-500">({position.name})</span>
+                            {shiftTeam && shiftTeam.id !== '0' && !job.scheduledTeams.includes(shiftTeam.id) && (
+                              <span className="text-xs text-gray-500">from {shiftTeam.name}</span>
+                            )}
+                          </li>
+                        )
+                      })}
                     </ul>
                   </div>
                 )}
@@ -815,6 +922,9 @@ export default function JobView({ data, viewMode }) {
           })()}
         </div>
 
+        {/* Row 4: Dispatcher Notes */}
+        <JobNotes job={job} editor={editor} />
+
         {/* Footer */}
         <div className="mt-8 pt-4 border-t text-center text-sm text-gray-500">
           Generated from MaidCentral Backup System
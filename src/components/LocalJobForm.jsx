@@ -0,0 +1,143 @@
+import { useState } from 'react'
+import { PlusCircle, X } from 'lucide-react'
+import { Input } from './ui/input'
+import { Select } from './ui/select'
+import { Label } from './ui/switch'
+import { describeJobCreate } from '../utils/scheduleEdits'
+
+/**
+ * Add a job that isn't in the export (a call-in request during the outage)
+ * as a local schedule edit
+ */
+export default function LocalJobForm({ data, editor, date, companyId, onClose }) {
+  const companies = data.companies || []
+  const [fields, setFields] = useState({
+    customerName: '',
+    address: '',
+    serviceType: '',
+    companyId: companyId && companyId !== 'all' ? companyId : companies[0]?.id || '',
+    teamId: '0',
+    date: date || '',
+    startTime: '09:00',
+    endTime: '11:00',
+    instructions: '',
+    tags: ''
+  })
+  const [saving, setSaving] = useState(false)
+
+  const teams = data.teams.filter(team => team.id !== '0')
+  const canSave = Boolean(fields.customerName.trim() && fields.date && fields.startTime && fields.endTime)
+
+  const update = (name) => (e) => setFields({ ...fields, [name]: e.target.value })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canSave) return
+
+    setSaving(true)
+    const tags = fields.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    const saved = await editor.record(describeJobCreate(data, { ...fields, tags }))
+    setSaving(false)
+    if (saved) {
+      onClose()
+    } else {
+      alert('Could not save the job. Please try again.')
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4 sm:p-6">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-2 text-lg font-bold text-gray-900">
+            <PlusCircle className="w-5 h-5 text-[#01726B]" />
+            New Local Job
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 rounded-lg text-gray-500 hover:bg-gray-100"
+            aria-label="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="local-customer">Customer *</Label>
+            <Input id="local-customer" value={fields.customerName} onChange={update('customerName')} required />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="local-service">Service type</Label>
+            <Input id="local-service" value={fields.serviceType} onChange={update('serviceType')} placeholder="Local job" />
+          </div>
+          <div className="space-y-1 sm:col-span-2">
+            <Label htmlFor="local-address">Address</Label>
+            <Input id="local-address" value={fields.address} onChange={update('address')} />
+          </div>
+          {companies.length > 1 && (
+            <div className="space-y-1">
+              <Label htmlFor="local-company">Company</Label>
+              <Select id="local-company" value={fields.companyId} onChange={update('companyId')}>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </Select>
+            </div>
+          )}
+          <div className="space-y-1">
+            <Label htmlFor="local-team">Team</Label>
+            <Select id="local-team" value={fields.teamId} onChange={update('teamId')}>
+              <option value="0">Unassigned</option>
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="local-date">Date *</Label>
+            <Input id="local-date" type="date" value={fields.date} onChange={update('date')} required />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="local-start">Start *</Label>
+              <Input id="local-start" type="time" value={fields.startTime} onChange={update('startTime')} required />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="local-end">End *</Label>
+              <Input id="local-end" type="time" value={fields.endTime} onChange={update('endTime')} required />
+            </div>
+          </div>
+          <div className="space-y-1 sm:col-span-2">
+            <Label htmlFor="local-instructions">Instructions</Label>
+            <textarea
+              id="local-instructions"
+              value={fields.instructions}
+              onChange={update('instructions')}
+              rows={3}
+              className="w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+            />
+          </div>
+          <div className="space-y-1 sm:col-span-2">
+            <Label htmlFor="local-tags">Tags</Label>
+            <Input id="local-tags" value={fields.tags} onChange={update('tags')} placeholder="Comma-separated, e.g. Same day, Key under mat" />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="submit"
+            disabled={!canSave || saving}
+            className="px-5 py-2.5 bg-[#01726B] hover:bg-[#015a55] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Add Job'}
+          </button>
+          <p className="text-xs text-gray-500">
+            Kept on this device with the other local edits; it stays after re-importing the same data.
+          </p>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import { useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { format, parseISO } from 'date-fns'
+import { Alert, AlertDescription } from './ui/alert'
+import { Badge } from './ui/badge'
+import { Select } from './ui/select'
+import IdentityPicker from './IdentityPicker'
+import EditedBadge from './EditedBadge'
+import { UserCircle, Clock, MapPin, ChevronRight, CalendarX } from 'lucide-react'
+import { getEmployeeAgenda } from '../utils/employeeScope'
+import { formatTimeRange } from '../utils/scheduleTime'
+import { hasMixedTimeZones, formatZoneSuffix } from '../utils/timeZones'
+
+export default function MySchedule({ data, viewMode, myEmployeeId, setMyEmployeeId, users, currentUser, onSelectUser }) {
+  const today = format(new Date(), 'yyyy-MM-dd')
+
+  const employees = useMemo(() => {
+    if (!data) return []
+    return [...data.employees].sort((a, b) => a.name.localeCompare(b.name))
+  }, [data])
+
+  const agenda = useMemo(() => getEmployeeAgenda(data, myEmployeeId, today), [data, myEmployeeId, today])
+
+  if (!data) {
+    return (
+      <div className="space-y-6">
+        <h1 className="text-3xl font-bold tracking-tight">My Schedule</h1>
+        <Alert>
+          <AlertDescription>
+            No data loaded. Please upload a JSON file on the Admin page.
+          </AlertDescription>
+        </Alert>
+      </div>
+    )
+  }
+
+  const me = data.employees.find(emp => emp.id === myEmployeeId)
+  const teamsById = new Map(data.teams.map(team => [team.id, team]))
+  const showZones = hasMixedTimeZones(data)
+
+  return (
+    <div className="space-y-6 max-w-2xl mx-auto">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">My Schedule</h1>
+        <p className="text-sm text-gray-600 mt-1">
+          {me ? `Upcoming jobs for ${me.name}` : 'Choose who you are to see your jobs'}
+        </p>
+      </div>
+
+      {/* Who am I: pick from imported users when users.json is loaded, otherwise from employees */}
+      {users?.length > 0 ? (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4 space-y-3">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#005DA5] rounded-lg flex items-center justify-center shrink-0">
+              <UserCircle className="w-5 h-5 text-white" />
+            </div>
+            <div className="min-w-0">
+              <p className="text-xs font-medium text-gray-600">I am</p>
+              <p className="font-semibold text-gray-900 truncate">
+                {currentUser ? `${currentUser.name} (${currentUser.email})` : 'Pick your name below'}
+              </p>
+            </div>
+          </div>
+          <IdentityPicker users={users} data={data} currentUser={currentUser} onSelect={onSelectUser} />
+        </div>
+      ) : (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4 flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#005DA5] rounded-lg flex items-center justify-center shrink-0">
+            <UserCircle className="w-5 h-5 text-white" />
+          </div>
+          <div className="flex-1 min-w-0">
+            <label htmlFor="my-employee" className="text-xs font-medium text-gray-600">I am</label>
+            <Select
+              id="my-employee"
+              value={myEmployeeId || ''}
+              onChange={(e) => setMyEmployeeId(e.target.value || null)}
+            >
+              <option value="">Select employee...</option>
+              {employees.map(emp => (
+                <option key={emp.id} value={emp.id}>{emp.name}</option>
+              ))}
+            </Select>
+          </div>
+        </div>
+      )}
+
+      {myEmployeeId && !me && (
+        <Alert>
+          <AlertDescription>
+            The remembered employee is not in the loaded data. Choose again above.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {me && viewMode === 'technician' && (
+        <p className="text-xs text-gray-500">
+          Technician view shows only {me.name}'s jobs on every page.
+        </p>
+      )}
+
+      {me && agenda.length === 0 && (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-8 text-center">
+          <CalendarX className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-600">No jobs scheduled from today onwards.</p>
+        </div>
+      )}
+
+      {/* Agenda */}
+      {me && agenda.map(({ date, items }) => (
+        <section key={date} className="space-y-3">
+          <h2 className="text-sm font-bold text-gray-700 uppercase tracking-wide">
+            {date === today ? 'Today' : format(parseISO(date), 'EEEE, MMM d')}
+          </h2>
+          {items.map(({ shift, job }) => (
+            <Link
+              key={`${shift.jobId}-${shift.date}`}
+              to={`/jobs/${shift.jobId}`}
+              className="block bg-white rounded-2xl shadow-sm border border-gray-200 p-4 hover:border-[#005DA5]/40 transition-colors"
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0 space-y-1">
+                  <div className="flex items-center gap-2 text-sm font-semibold text-[#005DA5]">
+                    <Clock className="w-4 h-4" />
+                    {formatTimeRange(shift)}{job ? formatZoneSuffix(job, showZones) : ''}
+                  </div>
+                  <p className={`font-bold text-gray-900 truncate ${job?.cancelled ? 'line-through' : ''}`}>{job?.customerName || `Job ${shift.jobId}`}</p>
+                  <EditedBadge job={job} shift={shift} />
+                  {job?.serviceType && (
+                    <p className="text-sm text-gray-600">{job.serviceType}</p>
+                  )}
+                  {job?.address && (
+                    <p className="text-sm text-gray-600 flex items-start gap-1">
+                      <MapPin className="w-4 h-4 mt-0.5 shrink-0" />
+                      <span>{job.address}</span>
+                    </p>
+                  )}
+                  {job?.scheduledTeams?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 pt-1">
+                      {job.scheduledTeams.map(teamId => {
+                        const team = teamsById.get(teamId)
+                        return (
+                          <Badge
+                            key={teamId}
+                            style={{ backgroundColor: team?.color || '#CCCCCC', color: '#fff' }}
+                          >
+                            {team?.name || teamId}
+                          </Badge>
+                        )
+                      })}
+                    </div>
+                  )}
+                </div>
+                <ChevronRight className="w-5 h-5 text-gray-400 shrink-0" />
+              </div>
+            </Link>
+          ))}
+        </section>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+import { CalendarX } from 'lucide-react'
+import { format } from 'date-fns'
+import { Alert, AlertTitle, AlertDescription } from './ui/alert'
+import { isDateInDataRange, formatDataRange } from '../utils/freshness'
+
+/**
+ * Explains an empty view when the selected date is outside the exported range
+ * Renders nothing when data was exported for the date
+ */
+export default function NoDataForDate({ date, dataRange }) {
+  if (isDateInDataRange(date, dataRange)) return null
+
+  return (
+    <Alert className="border-amber-300 bg-amber-50 text-amber-900">
+      <CalendarX className="h-4 w-4" />
+      <AlertTitle>No data exported for this date</AlertTitle>
+      <AlertDescription>
+        {format(new Date(date + 'T12:00:00'), 'EEEE, MMMM d, yyyy')} is outside the loaded data,
+        which covers {formatDataRange(dataRange)}. Pick a date in that range or load newer data.
+      </AlertDescription>
+    </Alert>
+  )
+}
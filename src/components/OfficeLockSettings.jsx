@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react'
+import { KeyRound, Lock } from 'lucide-react'
+
+const MIN_PIN_LENGTH = 4
+
+export default function OfficeLockSettings({ officeLock }) {
+  const [pin, setPin] = useState('')
+  const [confirmPin, setConfirmPin] = useState('')
+  const [idleMinutes, setIdleMinutes] = useState(officeLock?.idleMinutes ?? 10)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    setIdleMinutes(officeLock?.idleMinutes ?? 10)
+  }, [officeLock?.idleMinutes])
+
+  if (!officeLock) return null
+
+  const { pinSet, setPin: savePin, removePin, setIdleMinutes: saveIdleMinutes, lock } = officeLock
+
+  const tooShort = pin.length > 0 && pin.length < MIN_PIN_LENGTH
+  const mismatch = confirmPin.length > 0 && pin !== confirmPin
+  const canSave = pin.length >= MIN_PIN_LENGTH && pin === confirmPin
+
+  const showMessage = (text) => {
+    setMessage(text)
+    setTimeout(() => setMessage(null), 3000)
+  }
+
+  const handleSavePin = async (e) => {
+    e.preventDefault()
+    if (!canSave) return
+    const saved = await savePin(pin)
+    setPin('')
+    setConfirmPin('')
+    showMessage(saved ? 'Office PIN saved' : 'Failed to save office PIN')
+  }
+
+  const handleRemovePin = () => {
+    if (window.confirm('Remove the office PIN? Anyone will be able to switch to office view.')) {
+      showMessage(removePin() ? 'Office PIN removed' : 'Failed to remove office PIN')
+    }
+  }
+
+  const handleIdleChange = (e) => {
+    const minutes = Math.max(1, Number(e.target.value) || 1)
+    setIdleMinutes(minutes)
+    saveIdleMinutes(minutes)
+  }
+
+  const inputClass = 'w-full h-10 rounded-md border border-gray-300 px-3 text-sm'
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#01726B] rounded-lg flex items-center justify-center">
+              <KeyRound className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold">Office PIN</h2>
+              <p className="text-sm text-gray-600">
+                {pinSet
+                  ? 'Office view, Admin, feature toggles and clearing data require the PIN'
+                  : 'No PIN set: anyone can switch to office view'}
+              </p>
+            </div>
+          </div>
+          {pinSet && (
+            <button
+              onClick={lock}
+              className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all flex items-center gap-2"
+            >
+              <Lock className="w-4 h-4" />
+              Lock Now
+            </button>
+          )}
+        </div>
+
+        <form onSubmit={handleSavePin} className="space-y-3">
+          <h3 className="text-sm font-semibold text-gray-900">{pinSet ? 'Change PIN' : 'Set a PIN'}</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="password"
+              placeholder="New PIN or passphrase"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              className={inputClass}
+              autoComplete="new-password"
+            />
+            <input
+              type="password"
+              placeholder="Confirm"
+              value={confirmPin}
+              onChange={(e) => setConfirmPin(e.target.value)}
+              className={inputClass}
+              autoComplete="new-password"
+            />
+          </div>
+          {tooShort && <p className="text-xs text-red-700">Use at least {MIN_PIN_LENGTH} characters.</p>}
+          {mismatch && <p className="text-xs text-red-700">The PINs do not match.</p>}
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={!canSave}
+              className="px-4 py-2 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50"
+            >
+              Save PIN
+            </button>
+            {pinSet && (
+              <button
+                type="button"
+                onClick={handleRemovePin}
+                className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all text-red-700"
+              >
+                Remove PIN
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm pt-4 border-t">
+          <label htmlFor="idle-minutes" className="font-medium text-gray-700">Lock office mode after</label>
+          <input
+            id="idle-minutes"
+            type="number"
+            min="1"
+            value={idleMinutes}
+            onChange={handleIdleChange}
+            className="w-20 h-9 rounded-md border border-gray-300 px-3 text-sm"
+          />
+          <span className="text-gray-700">minutes idle</span>
+        </div>
+
+        {message && <p className="text-sm text-gray-700">{message}</p>}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { Lock, Loader2 } from 'lucide-react'
+
+export default function OfficePinPrompt({ onSubmit, onCancel, title = 'Office PIN required', description = 'Enter the office PIN to continue.' }) {
+  const [pin, setPin] = useState('')
+  const [error, setError] = useState(false)
+  const [checking, setChecking] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!pin) return
+    setChecking(true)
+    const valid = await onSubmit(pin)
+    setChecking(false)
+    if (!valid) {
+      setError(true)
+      setPin('')
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 sm:p-8 space-y-4 w-full max-w-sm">
+      <div className="flex items-center gap-3">
+        <div className="w-10 h-10 bg-[#005DA5] rounded-lg flex items-center justify-center">
+          <Lock className="w-5 h-5 text-white" />
+        </div>
+        <div>
+          <h2 className="text-xl font-bold">{title}</h2>
+          <p className="text-sm text-gray-600">{description}</p>
+        </div>
+      </div>
+
+      <input
+        type="password"
+        autoFocus
+        autoComplete="off"
+        placeholder="PIN or passphrase"
+        value={pin}
+        onChange={(e) => {
+          setPin(e.target.value)
+          setError(false)
+        }}
+        className="w-full h-10 rounded-md border border-gray-300 px-3 text-sm"
+      />
+      {error && <p className="text-xs text-red-700">Incorrect PIN.</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={!pin || checking}
+          className="flex-1 px-4 py-2 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50 flex items-center justify-center gap-2"
+        >
+          {checking && <Loader2 className="w-4 h-4 animate-spin" />}
+          Unlock
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
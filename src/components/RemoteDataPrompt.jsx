@@ -0,0 +1,46 @@
+import { DownloadCloud, X } from 'lucide-react'
+
+/**
+ * Offer to switch to the remote sources snapshot after a background fetch
+ * updated it while another snapshot is in use
+ */
+export default function RemoteDataPrompt({ remoteSync, activeSnapshotId, activateSnapshot }) {
+  const { availableSnapshotId, dismissAvailable } = remoteSync
+  if (!availableSnapshotId || availableSnapshotId === activeSnapshotId) return null
+
+  const handleSwitch = async () => {
+    const switched = await activateSnapshot(availableSnapshotId)
+    if (switched) {
+      dismissAvailable()
+    } else {
+      alert('Could not switch to the remote data. Please try again from Admin.')
+    }
+  }
+
+  return (
+    <div className="border-b bg-blue-50 border-blue-200 text-blue-900">
+      <div className="container max-w-7xl mx-auto px-4 sm:px-6 py-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+        <DownloadCloud className="w-4 h-4 flex-shrink-0" />
+        <span className="font-semibold">Remote data available</span>
+        <span className="text-xs opacity-80">
+          New schedule data was fetched into the "Remote sources" snapshot. Local edits stay with the snapshot they were made in.
+        </span>
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={handleSwitch}
+            className="px-3 py-1 bg-[#0382E5] hover:bg-[#005DA5] text-white border-2 border-[#1A1A1A] rounded-full text-xs font-bold transition-all shadow-sm"
+          >
+            Switch to it
+          </button>
+          <button
+            onClick={dismissAvailable}
+            className="p-1 rounded-lg hover:bg-blue-100"
+            aria-label="Dismiss"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
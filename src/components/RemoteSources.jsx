@@ -0,0 +1,201 @@
+import { useState } from 'react'
+import { Cloud, RefreshCw, Plus, Trash2, CheckCircle2, XCircle, Loader2, WifiOff } from 'lucide-react'
+import { getSourceLabel } from '../utils/remoteSources'
+
+const EMPTY_SOURCE = { url: '', sasToken: '', headerName: '', headerValue: '' }
+
+/**
+ * Format an ISO timestamp for the status lines
+ * @param {string|null} value - ISO timestamp
+ * @returns {string} - Local date/time or 'Never'
+ */
+function formatTimestamp(value) {
+  return value ? new Date(value).toLocaleString() : 'Never'
+}
+
+export default function RemoteSources({ remoteSync }) {
+  const [newSource, setNewSource] = useState(EMPTY_SOURCE)
+  const [showAuth, setShowAuth] = useState(false)
+
+  if (!remoteSync) return null
+
+  const { config, syncing, syncError, isOnline, syncNow, addSource, updateSource, removeSource, setPollInterval } = remoteSync
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    if (!newSource.url.trim()) return
+    addSource(newSource)
+    setNewSource(EMPTY_SOURCE)
+    setShowAuth(false)
+  }
+
+  const handleRemove = (source) => {
+    if (window.confirm(`Remove remote source "${getSourceLabel(source.url)}"?`)) {
+      removeSource(source.id)
+    }
+  }
+
+  const inputClass = 'w-full h-10 rounded-md border border-gray-300 px-3 text-sm'
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#0382E5] rounded-lg flex items-center justify-center">
+              <Cloud className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold">Remote Sources</h2>
+              <p className="text-sm text-gray-600">
+                Fetch schedule files (e.g. <code>1_schedules.json</code>) automatically while online
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={syncNow}
+            disabled={syncing || !isOnline || config.sources.length === 0}
+            className="px-4 py-2 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50 flex items-center gap-2"
+          >
+            {syncing ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+            {syncing ? 'Fetching...' : 'Fetch Now'}
+          </button>
+        </div>
+
+        {!isOnline && config.sources.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl p-3 flex items-center gap-2 text-sm text-amber-900">
+            <WifiOff className="w-4 h-4" />
+            Offline. Fetching resumes when the connection is back; the last good data stays available.
+          </div>
+        )}
+
+        {syncError && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 flex items-center gap-2 text-sm text-red-800">
+            <XCircle className="w-4 h-4" />
+            Last fetch failed: {syncError}
+          </div>
+        )}
+
+        {/* Polling Interval */}
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label htmlFor="poll-interval" className="font-medium text-gray-700">Fetch every</label>
+          <input
+            id="poll-interval"
+            type="number"
+            min="1"
+            value={config.pollIntervalMinutes}
+            onChange={(e) => setPollInterval(Math.max(1, Number(e.target.value) || 1))}
+            className="w-20 h-9 rounded-md border border-gray-300 px-3 text-sm"
+          />
+          <span className="text-gray-700">minutes</span>
+          <span className="text-gray-500">• Last fetch: {formatTimestamp(config.lastSyncAt)}</span>
+        </div>
+
+        {/* Source List */}
+        {config.sources.length > 0 && (
+          <div className="space-y-3">
+            {config.sources.map(source => (
+              <div key={source.id} className="rounded-xl border border-gray-200 p-4">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="flex-1 min-w-[200px]">
+                    <h3 className="font-semibold text-gray-900">{getSourceLabel(source.url)}</h3>
+                    <p className="text-xs text-gray-500 break-all">{source.url}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {source.sasToken ? 'SAS token set' : 'No SAS token'}
+                      {source.headerName && ` • Header: ${source.headerName}`}
+                    </p>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs">
+                      <span className="flex items-center gap-1 text-green-700">
+                        <CheckCircle2 className="w-3 h-3" />
+                        Last success: {formatTimestamp(source.lastSuccessAt)}
+                      </span>
+                      <span className="flex items-center gap-1 text-red-700">
+                        <XCircle className="w-3 h-3" />
+                        Last error: {formatTimestamp(source.lastErrorAt)}
+                      </span>
+                    </div>
+                    {source.lastError && (
+                      <p className="text-xs text-red-700 mt-1">{source.lastError}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={source.enabled}
+                        onChange={(e) => updateSource(source.id, { enabled: e.target.checked })}
+                      />
+                      Enabled
+                    </label>
+                    <button
+                      onClick={() => handleRemove(source)}
+                      className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+                      title="Remove source"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Add Source */}
+        <form onSubmit={handleAdd} className="space-y-3 pt-4 border-t">
+          <h3 className="text-sm font-semibold text-gray-900">Add a source</h3>
+          <input
+            type="url"
+            placeholder="https://account.blob.core.windows.net/container/1_schedules.json"
+            value={newSource.url}
+            onChange={(e) => setNewSource({ ...newSource, url: e.target.value })}
+            className={inputClass}
+            required
+          />
+          {showAuth ? (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <input
+                type="password"
+                placeholder="SAS token (sv=...&sig=...)"
+                value={newSource.sasToken}
+                onChange={(e) => setNewSource({ ...newSource, sasToken: e.target.value })}
+                className={inputClass}
+                autoComplete="off"
+              />
+              <input
+                type="text"
+                placeholder="Header name (e.g. Authorization)"
+                value={newSource.headerName}
+                onChange={(e) => setNewSource({ ...newSource, headerName: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="password"
+                placeholder="Header value"
+                value={newSource.headerValue}
+                onChange={(e) => setNewSource({ ...newSource, headerValue: e.target.value })}
+                className={inputClass}
+                autoComplete="off"
+              />
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowAuth(true)}
+              className="text-sm text-[#005DA5] font-medium hover:underline"
+            >
+              Add SAS token or header...
+            </button>
+          )}
+          <button
+            type="submit"
+            className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Source
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
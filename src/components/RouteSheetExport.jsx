@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { Route } from 'lucide-react'
+import { Card } from './ui/card'
+import { Button } from './ui/button'
+import { Select } from './ui/select'
+import { Label } from './ui/switch'
+import { getExportFieldVisibility } from '../utils/userPreferences'
+import { ROUTE_PERIODS, getRouteDates, getScheduledRoutes } from '../utils/routeSheet'
+import { createRouteSheetPdf } from '../utils/schedulePdf'
+import { toFileNamePart } from '../utils/download'
+
+/**
+ * Printable route sheets for employees who float or work alone: their own
+ * jobs in order for a day or week, one employee or everyone scheduled
+ */
+export default function RouteSheetExport({ data, selectedDate, selectedCompany, hideSensitive, showZones, pdfOptions }) {
+  const [employeeId, setEmployeeId] = useState('all')
+  const [period, setPeriod] = useState('day')
+  const [isExporting, setIsExporting] = useState(false)
+
+  const dates = getRouteDates(selectedDate, period)
+  const routes = getScheduledRoutes(data, dates, selectedCompany)
+  const selectedRoutes = employeeId === 'all' ? routes : routes.filter(route => route.employee.id === employeeId)
+
+  // Route sheets go to technicians, so they follow the technician view
+  const visibleFields = getExportFieldVisibility('technician', hideSensitive, data.metadata?.featureToggles)
+
+  const handleExport = () => {
+    if (selectedRoutes.length === 0) return
+
+    setIsExporting(true)
+    try {
+      const pdf = createRouteSheetPdf({ data, routes: selectedRoutes, dates, visibleFields, showZones }, pdfOptions)
+      const who = selectedRoutes.length === 1 ? toFileNamePart(selectedRoutes[0].employee.name) : 'All_Employees'
+      const when = dates.length > 1 ? `Week_of_${dates[0]}` : dates[0]
+      pdf.save(`${who}_Route_${when}.pdf`)
+    } catch (error) {
+      console.error('Error generating route sheets:', error)
+      alert('Error generating route sheets. Please try again.')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <Card className="p-4 sm:p-6">
+      <div className="space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#01726B] rounded-lg flex items-center justify-center">
+            <Route className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Route Sheets</h2>
+            <p className="text-xs text-gray-500">Each employee's own jobs in order, as technicians see them</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Label htmlFor="route-employee">Employee:</Label>
+            <Select
+              id="route-employee"
+              value={employeeId}
+              onChange={(e) => setEmployeeId(e.target.value)}
+              className="w-[220px]"
+            >
+              <option value="all">All scheduled employees</option>
+              {routes.map(({ employee }) => (
+                <option key={employee.id} value={employee.id}>{employee.name}</option>
+              ))}
+            </Select>
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="route-period">Period:</Label>
+            <Select
+              id="route-period"
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="w-[130px]"
+            >
+              {Object.entries(ROUTE_PERIODS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Select>
+          </div>
+          <Button
+            variant="mcTeal"
+            onClick={handleExport}
+            disabled={isExporting || selectedRoutes.length === 0}
+            className="ml-auto"
+          >
+            {isExporting ? 'Exporting...' : `Export ${selectedRoutes.length} Route Sheet${selectedRoutes.length === 1 ? '' : 's'}`}
+          </Button>
+        </div>
+
+        {selectedRoutes.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            {employeeId === 'all' ? 'No employees have jobs in this period.' : 'This employee has no jobs in this period.'}
+          </p>
+        ) : (
+          <ul className="divide-y border rounded-lg text-sm">
+            {selectedRoutes.map(({ employee, days }) => {
+              const stopCount = days.reduce((total, day) => total + day.jobCount, 0)
+              const hours = days.reduce((total, day) => total + day.hours, 0)
+              return (
+                <li key={employee.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                  <span className="font-medium text-gray-900">{employee.name}</span>
+                  <span className="text-gray-600">
+                    {stopCount} job{stopCount === 1 ? '' : 's'} • {hours.toFixed(2)} hrs
+                    {days.length > 1 && ` • ${days.length} days`}
+                  </span>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </Card>
+  )
+}
@@ -0,0 +1,175 @@
+import { useState } from 'react'
+import { Layers, CheckCircle2, Pencil, Trash2, Check, X, PlayCircle } from 'lucide-react'
+import { getFormatLabel } from '../utils/dataTransform'
+
+export default function SnapshotLibrary({ snapshots, activeSnapshotId, activateSnapshot, renameSnapshot, deleteSnapshot }) {
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+  const [busyId, setBusyId] = useState(null)
+
+  if (!snapshots || snapshots.length === 0) {
+    return null
+  }
+
+  const startRename = (snapshot) => {
+    setEditingId(snapshot.id)
+    setEditName(snapshot.name)
+  }
+
+  const cancelRename = () => {
+    setEditingId(null)
+    setEditName('')
+  }
+
+  const handleRename = async (snapshotId) => {
+    const name = editName.trim()
+    if (!name) return
+    setBusyId(snapshotId)
+    const renamed = await renameSnapshot(snapshotId, name)
+    setBusyId(null)
+    if (renamed) {
+      cancelRename()
+    }
+  }
+
+  const handleActivate = async (snapshotId) => {
+    setBusyId(snapshotId)
+    await activateSnapshot(snapshotId)
+    setBusyId(null)
+  }
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete snapshot "${snapshot.name}"? This cannot be undone.`)) return
+    setBusyId(snapshot.id)
+    await deleteSnapshot(snapshot.id)
+    setBusyId(null)
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-10 h-10 bg-[#BF9F50] rounded-lg flex items-center justify-center">
+            <Layers className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">Snapshots</h2>
+            <p className="text-sm text-gray-600">
+              Every upload is kept as a snapshot. All pages read from the active one.
+            </p>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {snapshots.map(snapshot => {
+            const isActive = snapshot.id === activeSnapshotId
+            const isEditing = snapshot.id === editingId
+            const isBusy = snapshot.id === busyId
+            const { summary = {} } = snapshot
+
+            return (
+              <div
+                key={snapshot.id}
+                className={`rounded-xl border p-4 ${
+                  isActive ? 'border-[#01726B] bg-[#01726B]/5' : 'border-gray-200'
+                }`}
+              >
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="flex-1 min-w-[200px]">
+                    {isEditing ? (
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={editName}
+                          onChange={(e) => setEditName(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleRename(snapshot.id)
+                            if (e.key === 'Escape') cancelRename()
+                          }}
+                          className="flex-1 h-9 rounded-md border border-gray-300 px-3 text-sm"
+                          autoFocus
+                        />
+                        <button
+                          onClick={() => handleRename(snapshot.id)}
+                          disabled={isBusy || !editName.trim()}
+                          className="p-2 rounded-lg text-[#01726B] hover:bg-[#01726B]/10 disabled:opacity-50"
+                          title="Save name"
+                        >
+                          <Check className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={cancelRename}
+                          className="p-2 rounded-lg text-gray-500 hover:bg-gray-100"
+                          title="Cancel"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <h3 className="font-semibold text-gray-900">{snapshot.name}</h3>
+                        {isActive && (
+                          <span className="inline-flex items-center gap-1 text-xs font-bold text-[#01726B] bg-[#01726B]/10 px-2 py-0.5 rounded-full">
+                            <CheckCircle2 className="w-3 h-3" />
+                            Active
+                          </span>
+                        )}
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Saved {new Date(snapshot.createdAt).toLocaleString()}
+                      {summary.lastUpdated && ` • Generated ${new Date(summary.lastUpdated).toLocaleString()}`}
+                    </p>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-700">
+                      <span><strong>Format:</strong> {getFormatLabel(summary.dataFormat)}</span>
+                      <span>
+                        <strong>Dates:</strong>{' '}
+                        {summary.dataRange?.startDate
+                          ? `${summary.dataRange.startDate} to ${summary.dataRange.endDate}`
+                          : 'Unknown'}
+                      </span>
+                      <span><strong>Jobs:</strong> {summary.stats?.totalJobs || 0}</span>
+                      <span><strong>Teams:</strong> {summary.stats?.totalTeams || 0}</span>
+                      <span><strong>Employees:</strong> {summary.stats?.totalEmployees || 0}</span>
+                    </div>
+                  </div>
+
+                  {!isEditing && (
+                    <div className="flex items-center gap-2">
+                      {!isActive && (
+                        <button
+                          onClick={() => handleActivate(snapshot.id)}
+                          disabled={isBusy}
+                          className="inline-flex items-center gap-1 px-4 py-1.5 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full text-xs font-bold transition-all disabled:opacity-50"
+                        >
+                          <PlayCircle className="w-4 h-4" />
+                          Activate
+                        </button>
+                      )}
+                      <button
+                        onClick={() => startRename(snapshot)}
+                        disabled={isBusy}
+                        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                        title="Rename"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(snapshot)}
+                        disabled={isBusy}
+                        className="p-2 rounded-lg text-red-600 hover:bg-red-50 disabled:opacity-50"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { Table } from 'lucide-react'
+import { Card } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Select } from './ui/select'
+import { Label } from './ui/switch'
+import { EXPORT_TABLES, getTableColumns, buildTable } from '../utils/tabularExport'
+import { MAX_BATCH_DAYS, getDatesInRange } from '../utils/batchExport'
+import { toXlsx, XLSX_MIME_TYPE } from '../utils/xlsx'
+import { downloadFile, toCsv, toFileNamePart } from '../utils/download'
+
+/**
+ * CSV and Excel export of jobs, shifts, hours, team days and rate breakdowns
+ * over a date range, with selectable columns
+ */
+export default function TabularExport({ data, selectedDate, selectedCompany, visibleFields }) {
+  const [tableId, setTableId] = useState('jobs')
+  const [fromDate, setFromDate] = useState(selectedDate)
+  const [toDate, setToDate] = useState(selectedDate)
+  // Unchecked column keys per table; everything the export may show starts checked
+  const [hiddenColumns, setHiddenColumns] = useState({})
+
+  const columns = getTableColumns(tableId, visibleFields)
+  const hidden = hiddenColumns[tableId] || []
+  const columnKeys = columns.map(column => column.key).filter(key => !hidden.includes(key))
+  const dates = getDatesInRange(fromDate, toDate || fromDate)
+  const table = buildTable(data, tableId, { fromDate, toDate: toDate || fromDate, companyId: selectedCompany, visibleFields, columnKeys })
+
+  const toggleColumn = (key) => {
+    const next = hidden.includes(key) ? hidden.filter(k => k !== key) : [...hidden, key]
+    setHiddenColumns({ ...hiddenColumns, [tableId]: next })
+  }
+
+  const fileName = () => {
+    const range = dates.length > 1 ? `${dates[0]}_to_${dates[dates.length - 1]}` : dates[0]
+    return `${toFileNamePart(EXPORT_TABLES[tableId].label)}_${range}`
+  }
+
+  const handleDownload = (fileFormat) => {
+    try {
+      if (fileFormat === 'csv') {
+        downloadFile(toCsv(table.headers, table.rows), `${fileName()}.csv`, 'text/csv;charset=utf-8')
+      } else {
+        downloadFile(new Blob([toXlsx([table])], { type: XLSX_MIME_TYPE }), `${fileName()}.xlsx`)
+      }
+    } catch (error) {
+      console.error('Error generating table export:', error)
+      alert('Error generating the export. Please try again.')
+    }
+  }
+
+  const canDownload = dates.length > 0 && columnKeys.length > 0 && table.rows.length > 0
+
+  return (
+    <Card className="p-4 sm:p-6">
+      <div className="space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#BF9F50] rounded-lg flex items-center justify-center">
+            <Table className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Spreadsheet Export</h2>
+            <p className="text-xs text-gray-500">CSV or Excel files for payroll and the office, up to {MAX_BATCH_DAYS} days at a time</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Label htmlFor="table-type">Data:</Label>
+            <Select
+              id="table-type"
+              value={tableId}
+              onChange={(e) => setTableId(e.target.value)}
+              className="w-[200px]"
+            >
+              {Object.entries(EXPORT_TABLES).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </Select>
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="table-from">From:</Label>
+            <Input
+              id="table-from"
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="w-[160px]"
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="table-to">To:</Label>
+            <Input
+              id="table-to"
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="w-[160px]"
+            />
+          </div>
+          <div className="flex gap-2 ml-auto">
+            <Button onClick={() => handleDownload('csv')} disabled={!canDownload} variant="outline">
+              Download CSV
+            </Button>
+            <Button onClick={() => handleDownload('xlsx')} disabled={!canDownload} variant="primary">
+              Download Excel
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-gray-700">Columns</p>
+          <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {columns.map(column => (
+              <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!hidden.includes(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                />
+                {column.header}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          {dates.length === 0
+            ? `Choose a range of up to ${MAX_BATCH_DAYS} days, ending on or after the start date.`
+            : `${table.rows.length} row${table.rows.length === 1 ? '' : 's'} over ${dates.length} day${dates.length === 1 ? '' : 's'}.`}
+          {columns.length < EXPORT_TABLES[tableId].columns.length && ' Some columns are left out by the current privacy settings.'}
+        </p>
+      </div>
+    </Card>
+  )
+}
@@ -7,7 +7,12 @@ import { Badge } from './ui/badge'
 import { Input } from './ui/input'
 import { Select } from './ui/select'
 import { Label } from './ui/switch'
+import NoDataForDate from './NoDataForDate'
+import EditedBadge from './EditedBadge'
 import { shouldHideField } from '../utils/userPreferences'
+import { hasMixedTimeZones, formatZoneSuffix } from '../utils/timeZones'
+import { sumShiftHours, getCancelledJobIds, formatTimeRange } from '../utils/scheduleTime'
+import { getPrimaryTeamId, getPositionsOnDate } from '../utils/shiftRoles'
 import { Bed, Bath, Ruler, Bell, AlertCircle, Check } from 'lucide-react'
 
 export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDate, selectedCompany, setSelectedCompany }) {
@@ -29,6 +34,7 @@ export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDa
 
   // Find the team
   const team = data.teams.find(t => t.id === teamId)
+  const showZones = hasMixedTimeZones(data)
 
   if (!team) {
     return (
@@ -45,9 +51,9 @@ export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDa
     )
   }
 
-  // Get team members
+  // Get team members (employees whose primary team on the selected date is this team)
   const teamMembers = data.employees.filter(emp => {
-    if (emp.teamId !== teamId) return false
+    if (getPrimaryTeamId(emp, selectedDate) !== teamId) return false
 
     // Filter by company
     if (selectedCompany !== 'all') {
@@ -69,17 +75,9 @@ export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDa
     return true
   })
 
-  // Calculate total hours
-  let totalHours = 0
-  teamMembers.forEach(emp => {
-    const shiftsToday = emp.shifts.filter(shift => shift.date === selectedDate)
-    shiftsToday.forEach(shift => {
-      const [startHour, startMin] = shift.startTime.split(':').map(Number)
-      const [endHour, endMin] = shift.endTime.split(':').map(Number)
-      const hours = (endHour - startHour) + (endMin - startMin) / 60
-      totalHours += hours
-    })
-  })
+  // Calculate total hours (cancelled jobs aren't worked)
+  const cancelledJobIds = getCancelledJobIds(data.jobs)
+  const totalHours = teamMembers.reduce((total, emp) => total + sumShiftHours(emp.shifts, selectedDate, cancelledJobIds), 0)
 
   return (
     <div className="space-y-6">
@@ -159,26 +157,25 @@ export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDa
         </div>
       </Card>
 
+      {/* Selected date outside the exported range */}
+      <NoDataForDate date={selectedDate} dataRange={data.metadata?.dataRange} />
+
       {/* Team Members */}
       {teamMembers.length > 0 ? (
         <Card className="p-6">
           <h2 className="text-xl font-semibold mb-4">Team Members</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
             {teamMembers.map(emp => {
-              const shiftsToday = emp.shifts.filter(shift => shift.date === selectedDate)
-              let empHours = 0
-              shiftsToday.forEach(shift => {
-                const [startHour, startMin] = shift.startTime.split(':').map(Number)
-                const [endHour, endMin] = shift.endTime.split(':').map(Number)
-                const hours = (endHour - startHour) + (endMin - startMin) / 60
-                empHours += hours
-              })
+              const empHours = sumShiftHours(emp.shifts, selectedDate, cancelledJobIds)
+              const positions = getPositionsOnDate(emp, selectedDate, data)
 
               return (
                 <div key={emp.id} className="flex items-center justify-between p-3 border rounded-lg">
                   <div>
                     <p className="font-medium">{emp.name}</p>
-                    <p className="text-sm text-gray-600">{emp.position.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {positions.map(position => position.name).join(' / ')}
+                    </p>
                   </div>
                   <Badge variant="outline">{empHours.toFixed(1)}h</Badge>
                 </div>
@@ -207,7 +204,9 @@ export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDa
               >
                 <div className="flex items-start justify-between mb-2">
                   <div className="flex-1">
-                    <h4 className="font-semibold text-lg hover:text-gray-700">{job.customerName}</h4>
+                    <h4 className="font-semibold text-lg hover:text-gray-700">
+                      {job.customerName} <EditedBadge job={job} className="align-middle" />
+                    </h4>
                     <div className="flex items-center gap-2 mt-1">
                       <p className="text-sm text-gray-600">{job.serviceType}</p>
                       {job.frequency && job.frequency.description && (
@@ -228,7 +227,7 @@ export default function TeamDetail({ data, viewMode, selectedDate, setSelectedDa
                     )}
                   </div>
                   <Badge>
-                    {job.schedule.startTime} - {job.schedule.endTime}
+                    {formatTimeRange(job.schedule)}{formatZoneSuffix(job, showZones)}
                     {job.allowedTime > 0 && ` (${job.allowedTime.toFixed(2)} hrs)`}
                   </Badge>
                 </div>
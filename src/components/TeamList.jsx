@@ -5,6 +5,9 @@ import { Alert, AlertDescription } from './ui/alert'
 import { Select } from './ui/select'
 import { Input } from './ui/input'
 import { Label } from './ui/switch'
+import NoDataForDate from './NoDataForDate'
+import { sumShiftHours, getCancelledJobIds } from '../utils/scheduleTime'
+import { getPrimaryTeamId } from '../utils/shiftRoles'
 
 export default function TeamList({ data, selectedDate, setSelectedDate, selectedCompany, setSelectedCompany }) {
   const navigate = useNavigate()
@@ -24,12 +27,13 @@ export default function TeamList({ data, selectedDate, setSelectedDate, selected
 
   // Get teams (exclude Unassigned)
   const teams = data.teams.filter(t => t.id !== '0')
+  const cancelledJobIds = getCancelledJobIds(data.jobs)
 
   // Calculate stats for each team
   const getTeamStats = (teamId) => {
     // Get employees for this team
     const teamEmployees = data.employees.filter(emp => {
-      if (emp.teamId !== teamId) return false
+      if (getPrimaryTeamId(emp, selectedDate) !== teamId) return false
 
       // Filter by company
       if (selectedCompany !== 'all') {
@@ -52,16 +56,7 @@ export default function TeamList({ data, selectedDate, setSelectedDate, selected
     })
 
     // Calculate total hours
-    let totalHours = 0
-    teamEmployees.forEach(emp => {
-      const shiftsToday = emp.shifts.filter(shift => shift.date === selectedDate)
-      shiftsToday.forEach(shift => {
-        const [startHour, startMin] = shift.startTime.split(':').map(Number)
-        const [endHour, endMin] = shift.endTime.split(':').map(Number)
-        const hours = (endHour - startHour) + (endMin - startMin) / 60
-        totalHours += hours
-      })
-    })
+    const totalHours = teamEmployees.reduce((total, emp) => total + sumShiftHours(emp.shifts, selectedDate, cancelledJobIds), 0)
 
     return {
       memberCount: teamEmployees.length,
@@ -111,6 +106,9 @@ export default function TeamList({ data, selectedDate, setSelectedDate, selected
         </div>
       </Card>
 
+      {/* Selected date outside the exported range */}
+      <NoDataForDate date={selectedDate} dataRange={data.metadata?.dataRange} />
+
       {/* Teams Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {teams.map(team => {
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react'
+import { BadgeCheck, Plus, RotateCcw } from 'lucide-react'
+import { getAllPositions } from '../constants/teamPositions'
+
+/**
+ * Editable copy of the current position definitions
+ * @param {Object} definitions - Merged definitions (built-in, uploaded, overrides)
+ * @returns {Object} - { [id]: { name, color, description } }
+ */
+function toDraft(definitions) {
+  const draft = {}
+  getAllPositions(definitions).forEach(position => {
+    draft[position.id] = { name: position.name, color: position.color, description: position.description || '' }
+  })
+  return draft
+}
+
+export default function TeamPositionSettings({ data, overrides, setOverrides }) {
+  const definitions = data?.metadata?.teamPositions
+  const [draft, setDraft] = useState(() => toDraft(definitions))
+  const [edited, setEdited] = useState(() => new Set())
+  const [newId, setNewId] = useState('')
+  const [saved, setSaved] = useState(false)
+
+  // Follow changes made elsewhere (new upload, overrides loaded after mount)
+  useEffect(() => {
+    setDraft(toDraft(definitions))
+    setEdited(new Set())
+  }, [definitions])
+
+  if (!setOverrides) return null
+
+  const overrideCount = Object.keys(overrides || {}).length
+  const parsedNewId = Number(newId)
+  const canAdd = newId !== '' && Number.isInteger(parsedNewId) && parsedNewId > 0 && !draft[parsedNewId]
+
+  const updateField = (id, field, value) => {
+    setDraft({ ...draft, [id]: { ...draft[id], [field]: value } })
+    setEdited(new Set([...edited, String(id)]))
+  }
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    if (!canAdd) return
+    setDraft({ ...draft, [parsedNewId]: { name: `Position ${parsedNewId}`, color: '#999999', description: '' } })
+    setEdited(new Set([...edited, String(parsedNewId)]))
+    setNewId('')
+  }
+
+  const handleSave = () => {
+    const next = { ...(overrides || {}) }
+    edited.forEach(id => {
+      const { name, color, description } = draft[id]
+      next[id] = { name: name.trim() || `Position ${id}`, color, description }
+    })
+    setOverrides(next)
+    setEdited(new Set())
+    setSaved(true)
+    setTimeout(() => setSaved(false), 2000)
+  }
+
+  const handleReset = () => {
+    if (window.confirm('Discard all position edits and use the definitions from the uploaded data?')) {
+      setOverrides({})
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#01726B] rounded-lg flex items-center justify-center">
+            <BadgeCheck className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold">Team Positions</h2>
+            <p className="text-sm text-gray-600">
+              Names and colors for TeamPosition ids. Edits here override the uploaded data on this device.
+            </p>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          {Object.entries(draft)
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([id, position]) => (
+              <div key={id} className="flex flex-wrap items-center gap-3">
+                <span className="w-8 text-sm font-mono text-gray-500">{id}</span>
+                <input
+                  type="color"
+                  value={position.color}
+                  onChange={(e) => updateField(id, 'color', e.target.value)}
+                  className="w-10 h-10 rounded-md border border-gray-300 p-1"
+                  aria-label={`Color for position ${id}`}
+                />
+                <input
+                  type="text"
+                  value={position.name}
+                  onChange={(e) => updateField(id, 'name', e.target.value)}
+                  className="w-48 h-10 rounded-md border border-gray-300 px-3 text-sm"
+                  aria-label={`Name for position ${id}`}
+                />
+                <input
+                  type="text"
+                  value={position.description}
+                  placeholder="Description"
+                  onChange={(e) => updateField(id, 'description', e.target.value)}
+                  className="flex-1 min-w-[160px] h-10 rounded-md border border-gray-300 px-3 text-sm"
+                  aria-label={`Description for position ${id}`}
+                />
+                {overrides?.[id] && (
+                  <span className="text-xs font-medium text-[#01726B]">Edited</span>
+                )}
+              </div>
+            ))}
+        </div>
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-3 pt-4 border-t">
+          <label htmlFor="new-position-id" className="text-sm font-medium text-gray-700">Add position id</label>
+          <input
+            id="new-position-id"
+            type="number"
+            min="1"
+            value={newId}
+            onChange={(e) => setNewId(e.target.value)}
+            className="w-24 h-9 rounded-md border border-gray-300 px-3 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!canAdd}
+            className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all disabled:opacity-50 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        </form>
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={handleSave}
+            disabled={edited.size === 0}
+            className="px-4 py-2 bg-[#01726B] hover:bg-[#005952] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50"
+          >
+            {saved ? 'Saved' : 'Save Positions'}
+          </button>
+          <button
+            onClick={handleReset}
+            disabled={overrideCount === 0}
+            className="px-4 py-2 border-2 border-gray-300 hover:bg-gray-50 hover:border-gray-400 rounded-full text-sm font-bold transition-all disabled:opacity-50 flex items-center gap-2"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset to Uploaded
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
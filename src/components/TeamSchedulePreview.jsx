@@ -0,0 +1,154 @@
+import { format } from 'date-fns'
+import { Alert, AlertDescription } from './ui/alert'
+import { Badge } from './ui/badge'
+import EditedBadge from './EditedBadge'
+import { formatZoneSuffix } from '../utils/timeZones'
+import { formatTimeRange } from '../utils/scheduleTime'
+import { getCrewRow, getJobInstructions, getJobContact } from '../utils/teamSchedule'
+
+/**
+ * A team's printable schedule for one day, as previewed on the Export page
+ * and captured for PNG exports
+ */
+export default function TeamSchedulePreview({ data, team, date, employees, jobs, visibleFields, showZones, onJobClick }) {
+  return (
+    <div className="bg-white p-8">
+      {/* Header */}
+      <div className="mb-6 pb-4 border-b-2">
+        <h2 className="text-2xl font-bold" style={{ color: team.color }}>
+          {team.name}
+        </h2>
+        <p className="text-lg text-gray-600 mt-1">
+          Schedule for {format(new Date(date + 'T12:00:00'), 'EEEE, MMMM d, yyyy')}
+        </p>
+      </div>
+
+      {/* Team Members */}
+      {employees.length > 0 ? (
+        <div className="mb-6">
+          <h3 className="text-xl font-semibold mb-3">Team Members</h3>
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border p-2 text-left">Name</th>
+                <th className="border p-2 text-left">Position</th>
+                <th className="border p-2 text-center">Hours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {employees.map(emp => {
+                const row = getCrewRow(emp, date, data)
+                return (
+                  <tr key={emp.id}>
+                    <td className="border p-2">{row.name}</td>
+                    <td className="border p-2">{row.positions}</td>
+                    <td className="border p-2 text-center">{row.hours}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="mb-6">
+          <Alert>
+            <AlertDescription>
+              No employees scheduled for this team on this date.
+            </AlertDescription>
+          </Alert>
+        </div>
+      )}
+
+      {/* Jobs */}
+      {jobs.length > 0 ? (
+        <div className="mb-6">
+          <h3 className="text-xl font-semibold mb-3">
+            Jobs ({jobs.length})
+          </h3>
+          <div className="space-y-4">
+            {jobs.map(job => (
+              <div
+                key={job.id}
+                className="border rounded-lg p-4 hover:shadow-md hover:border-gray-400 transition-all cursor-pointer"
+                onClick={onJobClick ? () => onJobClick(job) : undefined}
+              >
+                <div className="flex items-start justify-between mb-2">
+                  <div>
+                    <h4 className="font-semibold text-lg hover:text-blue-600">
+                      {job.customerName} <EditedBadge job={job} className="align-middle" />
+                    </h4>
+                    <p className="text-sm text-gray-600">{job.serviceType}</p>
+                  </div>
+                  <Badge>{formatTimeRange(job.schedule)}{formatZoneSuffix(job, showZones)}</Badge>
+                </div>
+
+                <div className="text-sm space-y-1">
+                  <p><strong>Address:</strong> {job.address}</p>
+
+                  {getJobContact(job, visibleFields) && (
+                    <p><strong>Contact:</strong> {getJobContact(job, visibleFields)}</p>
+                  )}
+
+                  {visibleFields.billRate && job.billRate > 0 && (
+                    <p><strong>Rate:</strong> ${job.billRate}</p>
+                  )}
+
+                  {job.tags && job.tags.length > 0 && (
+                    <p><strong>Tags:</strong> {job.tags.map(tag => tag.description || tag).join(', ')}</p>
+                  )}
+
+                  {renderJobInstructions(job, visibleFields)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="mb-6">
+          <Alert>
+            <AlertDescription>
+              No jobs scheduled for this team on this date.
+            </AlertDescription>
+          </Alert>
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="mt-8 pt-4 border-t text-center text-sm text-gray-500">
+        Generated from MaidCentral Backup System
+      </div>
+    </div>
+  )
+}
+
+// Helper function to render job instructions with privacy filtering
+function renderJobInstructions(job, visibleFields) {
+  const instructions = getJobInstructions(job, visibleFields)
+
+  // Dispatcher notes added during the outage are plain text
+  const notes = job.notes || []
+
+  if (instructions.length === 0 && notes.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="mt-2 pt-2 border-t">
+      <strong>Instructions:</strong>
+      <div className="text-sm mt-1 text-gray-700 space-y-1">
+        {instructions.map((inst, idx) => (
+          <div key={idx}>
+            <strong className="text-xs text-gray-500">{inst.label}:</strong>{' '}
+            <span dangerouslySetInnerHTML={{ __html: inst.content }} />
+          </div>
+        ))}
+        {notes.map(note => (
+          <div key={note.id}>
+            <strong className="text-xs text-[#01726B]">Local note ({note.by}):</strong>{' '}
+            <span className="whitespace-pre-wrap">{note.text}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
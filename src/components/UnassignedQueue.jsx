@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { format, parseISO } from 'date-fns'
+import { Card } from './ui/card'
+import { Alert, AlertDescription } from './ui/alert'
+import { Badge } from './ui/badge'
+import { Input } from './ui/input'
+import { Select } from './ui/select'
+import { Label } from './ui/switch'
+import EditedBadge from './EditedBadge'
+import { Inbox, MapPin, Clock } from 'lucide-react'
+import { getUnassignedJobs } from '../utils/conflicts'
+import { hasMixedTimeZones, formatZoneSuffix } from '../utils/timeZones'
+import { formatTimeRange } from '../utils/scheduleTime'
+
+export default function UnassignedQueue({ data, selectedCompany, setSelectedCompany }) {
+  const navigate = useNavigate()
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+
+  if (!data) {
+    return (
+      <div className="space-y-6">
+        <h1 className="text-3xl font-bold tracking-tight">Unassigned Jobs</h1>
+        <Alert>
+          <AlertDescription>
+            No data loaded. Please upload a JSON file on the Admin page.
+          </AlertDescription>
+        </Alert>
+      </div>
+    )
+  }
+
+  const showZones = hasMixedTimeZones(data)
+  const jobs = getUnassignedJobs(data, { companyId: selectedCompany, fromDate, toDate })
+  const totalCount = getUnassignedJobs(data).length
+  const companiesById = new Map((data.companies || []).map(company => [company.id, company]))
+
+  // Group by date, keeping the start-time order within each day
+  const jobsByDate = new Map()
+  jobs.forEach(job => {
+    const date = job.schedule?.date || ''
+    if (!jobsByDate.has(date)) jobsByDate.set(date, [])
+    jobsByDate.get(date).push(job)
+  })
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Unassigned Jobs</h1>
+        <p className="text-sm text-gray-600 mt-1">
+          Jobs with no scheduled team. These don't appear in the team timeline.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="flex flex-wrap items-center gap-4">
+          {/* Company Filter - only show if multiple companies */}
+          {data.companies && data.companies.length > 1 && (
+            <div className="flex items-center gap-2">
+              <Label>Company:</Label>
+              <Select
+                value={selectedCompany}
+                onChange={(e) => setSelectedCompany(e.target.value)}
+                className="w-[200px]"
+              >
+                <option value="all">All Companies</option>
+                {data.companies.map(company => (
+                  <option key={company.id} value={company.id}>
+                    {company.name}
+                  </option>
+                ))}
+              </Select>
+            </div>
+          )}
+
+          {/* Date Range */}
+          <div className="flex items-center gap-2">
+            <Label>From:</Label>
+            <Input
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="w-[160px]"
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Label>To:</Label>
+            <Input
+              type="date"
+              value={toDate}
+              min={fromDate || undefined}
+              onChange={(e) => setToDate(e.target.value)}
+              className="w-[160px]"
+            />
+          </div>
+          {(fromDate || toDate) && (
+            <button
+              onClick={() => {
+                setFromDate('')
+                setToDate('')
+              }}
+              className="text-sm text-[#005DA5] font-medium hover:underline"
+            >
+              Clear dates
+            </button>
+          )}
+
+          <span className="ml-auto text-sm text-gray-600">
+            Showing <span className="font-semibold text-gray-900">{jobs.length}</span> of {totalCount}
+          </span>
+        </div>
+      </Card>
+
+      {jobs.length === 0 ? (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-8 text-center">
+          <Inbox className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-600">
+            {totalCount === 0 ? 'Every job has a team assigned.' : 'No unassigned jobs match these filters.'}
+          </p>
+        </div>
+      ) : (
+        Array.from(jobsByDate.entries()).map(([date, dateJobs]) => (
+          <section key={date} className="space-y-3">
+            <h2 className="text-sm font-bold text-gray-700 uppercase tracking-wide">
+              {date ? format(parseISO(date), 'EEEE, MMM d, yyyy') : 'No date'} ({dateJobs.length})
+            </h2>
+            <div className="space-y-3">
+              {dateJobs.map(job => (
+                <div
+                  key={job.id}
+                  className="bg-white rounded-2xl shadow-sm border border-gray-200 p-4 hover:border-[#005DA5]/40 transition-colors cursor-pointer"
+                  onClick={() => navigate(`/jobs/${job.id}`)}
+                >
+                  <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0 space-y-1">
+                      <p className="font-bold text-gray-900">
+                        {job.customerName} <EditedBadge job={job} className="align-middle" />
+                      </p>
+                      {job.serviceType && (
+                        <p className="text-sm text-gray-600">{job.serviceType}</p>
+                      )}
+                      {job.address && (
+                        <p className="text-sm text-gray-600 flex items-start gap-1">
+                          <MapPin className="w-4 h-4 mt-0.5 shrink-0" />
+                          <span>{job.address}</span>
+                        </p>
+                      )}
+                      {data.companies?.length > 1 && companiesById.has(job.companyId) && (
+                        <p className="text-xs text-gray-500">{companiesById.get(job.companyId).name}</p>
+                      )}
+                    </div>
+                    <div className="flex flex-col items-end gap-1">
+                      <Badge>
+                        <Clock className="w-3 h-3 mr-1" />
+                        {formatTimeRange(job.schedule)}{formatZoneSuffix(job, showZones)}
+                      </Badge>
+                      <span className="text-xs text-gray-600">
+                        {job.allowedTime > 0 ? `${job.allowedTime.toFixed(2)} hrs allowed` : 'No allowed time'}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        ))
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import { ShieldCheck, Loader2 } from 'lucide-react'
+
+export default function UnlockData({ onUnlock, onReset }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [error, setError] = useState(false)
+  const [unlocking, setUnlocking] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!passphrase) return
+    setUnlocking(true)
+    const success = await onUnlock(passphrase)
+    setUnlocking(false)
+    if (!success) {
+      setError(true)
+      setPassphrase('')
+    }
+  }
+
+  const handleReset = () => {
+    if (window.confirm('Without the passphrase the stored data cannot be recovered. Delete all stored data and snapshots?')) {
+      onReset()
+    }
+  }
+
+  return (
+    <div className="flex justify-center py-12">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 sm:p-8 space-y-4 w-full max-w-md">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-[#005DA5] rounded-lg flex items-center justify-center">
+            <ShieldCheck className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold">Stored data is encrypted</h1>
+            <p className="text-sm text-gray-600">Enter the passphrase to open the saved schedules.</p>
+          </div>
+        </div>
+
+        <input
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          placeholder="Passphrase"
+          value={passphrase}
+          onChange={(e) => {
+            setPassphrase(e.target.value)
+            setError(false)
+          }}
+          className="w-full h-10 rounded-md border border-gray-300 px-3 text-sm"
+        />
+        {error && <p className="text-xs text-red-700">Incorrect passphrase. Please try again.</p>}
+
+        <button
+          type="submit"
+          disabled={!passphrase || unlocking}
+          className="w-full px-4 py-2 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full text-sm font-bold transition-all shadow-sm disabled:opacity-50 flex items-center justify-center gap-2"
+        >
+          {unlocking && <Loader2 className="w-4 h-4 animate-spin" />}
+          {unlocking ? 'Unlocking...' : 'Unlock'}
+        </button>
+
+        <div className="pt-4 border-t text-center">
+          <button
+            type="button"
+            onClick={handleReset}
+            className="text-sm text-red-700 font-medium hover:underline"
+          >
+            Forgot the passphrase? Delete stored data
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import { useRegisterSW } from 'virtual:pwa-register/react'
+import { RefreshCw, CheckCircle2, X } from 'lucide-react'
+
+// Check for a newly deployed build once an hour while the app stays open
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+export default function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return
+      setInterval(() => {
+        if (navigator.onLine) {
+          registration.update()
+        }
+      }, UPDATE_CHECK_INTERVAL)
+    },
+    onRegisterError(error) {
+      console.error('Service worker registration failed:', error)
+    }
+  })
+
+  const close = () => {
+    setNeedRefresh(false)
+    setOfflineReady(false)
+  }
+
+  if (!needRefresh && !offlineReady) {
+    return null
+  }
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 max-w-sm bg-white rounded-2xl shadow-2xl border-2 border-[#005DA5]/20 p-4">
+      <div className="flex items-start gap-3">
+        <div className={`w-8 h-8 rounded-lg flex items-center justify-center flex-shrink-0 ${needRefresh ? 'bg-[#005DA5]' : 'bg-[#01726B]'}`}>
+          {needRefresh ? (
+            <RefreshCw className="w-4 h-4 text-white" />
+          ) : (
+            <CheckCircle2 className="w-4 h-4 text-white" />
+          )}
+        </div>
+        <div className="flex-1">
+          <h3 className="font-bold text-sm text-gray-900">
+            {needRefresh ? 'Update available' : 'Ready to work offline'}
+          </h3>
+          <p className="text-xs text-gray-600 mt-0.5">
+            {needRefresh
+              ? 'A new version of the app has been deployed. Reload to use it.'
+              : 'The app is cached and will open without an internet connection.'}
+          </p>
+          {needRefresh && (
+            <button
+              onClick={() => updateServiceWorker(true)}
+              className="mt-3 px-4 py-1.5 bg-[#005DA5] hover:bg-[#004a85] text-white border-2 border-[#1A1A1A] rounded-full text-xs font-bold transition-all shadow-sm"
+            >
+              Reload
+            </button>
+          )}
+        </div>
+        <button
+          onClick={close}
+          className="p-1 rounded-lg hover:bg-gray-100 transition-colors"
+          aria-label="Dismiss"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,76 @@
+import { UserCog, Trash2 } from 'lucide-react'
+import { findUserEmployee, getUserViewMode } from '../utils/userDirectory'
+
+export default function UserDirectorySummary({ userDirectory, data }) {
+  if (!userDirectory?.directory) return null
+
+  const { directory, clearDirectory } = userDirectory
+  const users = directory.users
+  const linked = users.filter(user => findUserEmployee(user, data))
+  const unlinked = users.filter(user => !findUserEmployee(user, data))
+  const officeCount = users.filter(user => getUserViewMode(user) === 'office').length
+
+  const handleClear = () => {
+    if (window.confirm('Remove the imported users? Identities picked on this device will be cleared.')) {
+      clearDirectory()
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-6 sm:p-8 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-[#01726B] rounded-lg flex items-center justify-center">
+              <UserCog className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold">Users</h2>
+              <p className="text-sm text-gray-600">
+                Imported from users.json
+                {directory.generatedAt && ` • generated ${new Date(directory.generatedAt).toLocaleString()}`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleClear}
+            className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+            title="Remove imported users"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3 text-center">
+          <div className="rounded-xl bg-gray-50 p-3">
+            <p className="text-2xl font-bold text-gray-900">{users.length}</p>
+            <p className="text-xs text-gray-600">Users</p>
+          </div>
+          <div className="rounded-xl bg-gray-50 p-3">
+            <p className="text-2xl font-bold text-gray-900">{linked.length}</p>
+            <p className="text-xs text-gray-600">On the schedule</p>
+          </div>
+          <div className="rounded-xl bg-gray-50 p-3">
+            <p className="text-2xl font-bold text-gray-900">{officeCount}</p>
+            <p className="text-xs text-gray-600">Administrators</p>
+          </div>
+        </div>
+
+        {data && unlinked.length > 0 && (
+          <details className="text-sm">
+            <summary className="cursor-pointer text-gray-700 font-medium">
+              {unlinked.length} user{unlinked.length === 1 ? '' : 's'} without a matching employee
+            </summary>
+            <ul className="mt-2 space-y-1 text-xs text-gray-600">
+              {unlinked.map(user => (
+                <li key={user.id}>
+                  {user.name} ({user.email}){user.employeeId ? ` • EmployeeInformationId ${user.employeeId}` : ' • no EmployeeInformationId'}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+    </div>
+  )
+}
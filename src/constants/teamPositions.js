@@ -1,7 +1,8 @@
 /**
  * Team Position Mappings
- * Maps TeamPosition IDs (from EmployeeSchedules) to position names and colors
- * Based on MaidCentral data structure
+ * Maps TeamPosition IDs (from EmployeeSchedules) to position names and colors.
+ * These are built-in fallbacks: definitions in the uploaded data
+ * (metadata.teamPositions) and Admin overrides take precedence.
  */
 
 export const TEAM_POSITIONS = {
@@ -45,25 +46,53 @@ export const TEAM_POSITIONS = {
 
 /**
  * Get position info by ID
+ * Unknown ids keep their own id instead of collapsing to Unassigned
  * @param {number} positionId - The position ID
+ * @param {Object} definitions - Definitions from the data/Admin, keyed by id (optional)
  * @returns {Object} - Position object with name, color, description
  */
-export function getPositionById(positionId) {
-  return TEAM_POSITIONS[positionId] || TEAM_POSITIONS[0]
+export function getPositionById(positionId, definitions = {}) {
+  const id = Number(positionId) || 0
+  const fallback = TEAM_POSITIONS[id] || {
+    id,
+    name: `Position ${id}`,
+    color: '#999999',
+    description: ''
+  }
+  return { ...fallback, ...(definitions?.[id] || {}), id }
+}
+
+/**
+ * Combine position definition layers, later layers winning per field
+ * @param {...Object} layers - Definitions keyed by id (e.g. uploaded, then Admin overrides)
+ * @returns {Object} - Merged definitions keyed by id
+ */
+export function mergePositionDefinitions(...layers) {
+  const merged = {}
+  layers.filter(Boolean).forEach(layer => {
+    Object.entries(layer).forEach(([id, definition]) => {
+      merged[id] = { ...(merged[id] || {}), ...definition, id: Number(id) }
+    })
+  })
+  return merged
 }
 
 /**
  * Get all position IDs
+ * @param {Object} definitions - Definitions from the data/Admin (optional)
  * @returns {number[]} - Array of position IDs
  */
-export function getAllPositionIds() {
-  return Object.keys(TEAM_POSITIONS).map(Number)
+export function getAllPositionIds(definitions = {}) {
+  return [...new Set([...Object.keys(TEAM_POSITIONS), ...Object.keys(definitions || {})])]
+    .map(Number)
+    .sort((a, b) => a - b)
 }
 
 /**
  * Get all positions as array
+ * @param {Object} definitions - Definitions from the data/Admin (optional)
  * @returns {Object[]} - Array of position objects
  */
-export function getAllPositions() {
-  return Object.values(TEAM_POSITIONS)
+export function getAllPositions(definitions = {}) {
+  return getAllPositionIds(definitions).map(id => getPositionById(id, definitions))
 }
@@ -0,0 +1,163 @@
+/**
+ * useOfficeLock Hook
+ * Gates office-only features behind the office PIN. Once unlocked, office
+ * access stays open until the idle timeout, after which the app locks again
+ * and drops back to technician view.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { loadOfficeLock, saveOfficeLock, hasOfficePin, createPinHash, verifyPin } from '../utils/officeLock'
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel']
+
+/**
+ * @param {string} viewMode - Current view mode
+ * @param {Function} setViewMode - Setter from useUserPreferences
+ */
+export function useOfficeLock(viewMode, setViewMode) {
+  const [settings, setSettings] = useState(loadOfficeLock)
+  const [unlocked, setUnlocked] = useState(false)
+  // Action waiting for the PIN prompt; null when the prompt is closed
+  const [pendingAction, setPendingAction] = useState(null)
+  const lastActivityRef = useRef(Date.now())
+
+  const pinSet = hasOfficePin(settings)
+  // Without a PIN nothing is locked
+  const officeAccess = !pinSet || unlocked
+
+  const lock = useCallback(() => {
+    setUnlocked(false)
+    setPendingAction(null)
+  }, [])
+
+  // Office view is never shown while locked (e.g. after reload or idle relock)
+  useEffect(() => {
+    if (!officeAccess && viewMode === 'office') {
+      setViewMode('technician')
+    }
+  }, [officeAccess, viewMode, setViewMode])
+
+  // Relock after the configured idle time
+  useEffect(() => {
+    if (!pinSet || !unlocked) return
+
+    const markActivity = () => {
+      lastActivityRef.current = Date.now()
+    }
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, markActivity, { passive: true }))
+
+    const idleMs = Math.max(1, Number(settings.idleMinutes) || 1) * 60 * 1000
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivityRef.current >= idleMs) {
+        lock()
+      }
+    }, 15 * 1000)
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, markActivity))
+      clearInterval(timer)
+    }
+  }, [pinSet, unlocked, settings.idleMinutes, lock])
+
+  /**
+   * Try to unlock with a PIN
+   * @param {string} pin - PIN entered
+   * @returns {Promise<boolean>} - True if the PIN was correct
+   */
+  const unlock = async (pin) => {
+    const valid = await verifyPin(pin, settings)
+    if (valid) {
+      lastActivityRef.current = Date.now()
+      setUnlocked(true)
+    }
+    return valid
+  }
+
+  /**
+   * Run an action now if office access is open, otherwise after the PIN is entered
+   * @param {Function} action - Action to run
+   */
+  const requireOffice = (action) => {
+    if (officeAccess) {
+      action()
+    } else {
+      // Wrapped so React stores the function instead of calling it as an updater
+      setPendingAction(() => action)
+    }
+  }
+
+  /**
+   * Submit the PIN prompt, running the pending action on success
+   * @param {string} pin - PIN entered
+   * @returns {Promise<boolean>} - True if the PIN was correct
+   */
+  const submitPrompt = async (pin) => {
+    const valid = await unlock(pin)
+    if (valid) {
+      const action = pendingAction
+      setPendingAction(null)
+      action?.()
+    }
+    return valid
+  }
+
+  const cancelPrompt = () => {
+    setPendingAction(null)
+  }
+
+  /**
+   * Set or change the office PIN
+   * @param {string} pin - New PIN or passphrase
+   * @returns {Promise<boolean>} - Success status
+   */
+  const setPin = async (pin) => {
+    try {
+      const next = { ...settings, ...await createPinHash(pin) }
+      if (!saveOfficeLock(next)) return false
+      setSettings(next)
+      setUnlocked(true)
+      return true
+    } catch (error) {
+      console.error('Error setting office PIN:', error)
+      return false
+    }
+  }
+
+  /**
+   * Remove the office PIN, opening office mode to everyone
+   * @returns {boolean} - Success status
+   */
+  const removePin = () => {
+    const next = { ...settings, salt: null, hash: null }
+    if (!saveOfficeLock(next)) return false
+    setSettings(next)
+    return true
+  }
+
+  /**
+   * Change the idle timeout
+   * @param {number} idleMinutes - Minutes without activity before relocking
+   * @returns {boolean} - Success status
+   */
+  const setIdleMinutes = (idleMinutes) => {
+    const next = { ...settings, idleMinutes }
+    if (!saveOfficeLock(next)) return false
+    setSettings(next)
+    return true
+  }
+
+  return {
+    pinSet,
+    officeAccess,
+    idleMinutes: settings.idleMinutes,
+    promptOpen: pendingAction !== null,
+    unlock,
+    lock,
+    requireOffice,
+    submitPrompt,
+    cancelPrompt,
+    setPin,
+    removePin,
+    setIdleMinutes
+  }
+}
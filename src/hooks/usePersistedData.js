@@ -1,7 +1,10 @@
 /**
  * usePersistedData Hook
- * Custom React hook for managing persisted data in localStorage
- * Loads data on mount and provides save/clear functions
+ * Custom React hook for managing persisted data in IndexedDB
+ * Loads the active snapshot asynchronously on mount and provides
+ * save/clear functions plus snapshot library management.
+ * When at-rest encryption is on, nothing is loaded until the passphrase is
+ * entered; `locked` tells the routes to show the unlock screen instead.
  */
 
 import { useState, useEffect } from 'react'
@@ -9,40 +12,171 @@ import { DataStorage } from '../utils/storage'
 
 export function usePersistedData() {
   const [data, setData] = useState(null)
+  const [snapshots, setSnapshots] = useState([])
+  const [activeSnapshotId, setActiveSnapshotId] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  // 'off' | 'locked' | 'unlocked' (null until checked)
+  const [encryptionStatus, setEncryptionStatus] = useState(null)
 
-  // Load data from localStorage on mount
-  useEffect(() => {
+  /**
+   * Load the active snapshot and snapshot list from IndexedDB
+   * @param {Function} isCancelled - Returns true once the caller no longer wants the result
+   */
+  const loadStoredData = async (isCancelled = () => false) => {
     try {
-      const stored = DataStorage.load()
-      if (stored) {
+      const stored = await DataStorage.load()
+      const [storedSnapshots, storedActiveId] = await Promise.all([
+        DataStorage.listSnapshots(),
+        DataStorage.getActiveSnapshotId()
+      ])
+      if (!isCancelled()) {
         setData(stored)
+        setSnapshots(storedSnapshots)
+        setActiveSnapshotId(storedActiveId)
       }
     } catch (err) {
       console.error('Error loading persisted data:', err)
-      setError('Failed to load saved data')
+      if (!isCancelled()) {
+        setError('Failed to load saved data')
+      }
     } finally {
-      setLoading(false)
+      if (!isCancelled()) {
+        setLoading(false)
+      }
+    }
+  }
+
+  // Load stored data on mount, unless it is encrypted and waiting for the passphrase
+  useEffect(() => {
+    let cancelled = false
+
+    const init = async () => {
+      const status = await DataStorage.getEncryptionStatus()
+      if (cancelled) return
+      setEncryptionStatus(status)
+      if (status === 'locked') {
+        setLoading(false)
+        return
+      }
+      await loadStoredData(() => cancelled)
+    }
+
+    init()
+
+    return () => {
+      cancelled = true
     }
   }, [])
 
   /**
-   * Save data to localStorage and update state
+   * Enter the passphrase and load the decrypted data
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<boolean>} - False if the passphrase is wrong
+   */
+  const unlock = async (passphrase) => {
+    const success = await DataStorage.unlock(passphrase)
+    if (success) {
+      setEncryptionStatus('unlocked')
+      setLoading(true)
+      await loadStoredData()
+    }
+    return success
+  }
+
+  /**
+   * Forget the key and hide all data until the passphrase is entered again
+   */
+  const forgetKey = () => {
+    DataStorage.lock()
+    setData(null)
+    setSnapshots([])
+    setActiveSnapshotId(null)
+    setEncryptionStatus('locked')
+  }
+
+  /**
+   * Turn on encryption, or re-key it with a new passphrase
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<boolean>} - Success status
+   */
+  const setPassphrase = async (passphrase) => {
+    const success = await DataStorage.setPassphrase(passphrase)
+    if (success) {
+      setEncryptionStatus('unlocked')
+      setError(null)
+    } else {
+      setError('Failed to encrypt stored data')
+    }
+    return success
+  }
+
+  /**
+   * Turn off encryption, decrypting all stored data
+   * @returns {Promise<boolean>} - Success status
+   */
+  const disableEncryption = async () => {
+    const success = await DataStorage.disableEncryption()
+    if (success) {
+      setEncryptionStatus('off')
+      setError(null)
+    } else {
+      setError('Failed to decrypt stored data')
+    }
+    return success
+  }
+
+  /**
+   * Reload the snapshot list from storage
+   */
+  const refreshSnapshots = async () => {
+    setSnapshots(await DataStorage.listSnapshots())
+  }
+
+  /**
+   * Save data to IndexedDB and update state
+   * By default each save becomes a new snapshot and is activated; pass
+   * `activate: false` to store a new snapshot without switching to it.
+   * Pass `snapshotId` to replace an existing snapshot's data instead.
+   * `diff` is kept on a new snapshot so the import report can be viewed later.
    * @param {Object} newData - The data to save
-   * @returns {boolean} - Success status
+   * @param {Object} options - { name, snapshotId, diff, activate }
+   * @returns {Promise<string|boolean>} - Id of the new snapshot, true when an existing one was updated, false on failure
    */
-  const saveData = (newData) => {
+  const saveData = async (newData, options = {}) => {
+    const { activate = true } = options
     try {
-      const success = DataStorage.save(newData)
-      if (success) {
-        setData(newData)
-        setError(null)
-        return true
+      let result = true
+      if (options.snapshotId) {
+        const success = await DataStorage.updateSnapshot(options.snapshotId, newData)
+        if (!success) {
+          setError('Failed to save data')
+          return false
+        }
       } else {
-        setError('Failed to save data')
-        return false
+        const snapshot = await DataStorage.createSnapshot(
+          newData,
+          options.name || newData.metadata?.companyName || 'Imported data',
+          options.diff ? { diff: options.diff } : {},
+          { activate }
+        )
+        if (!snapshot) {
+          setError('Failed to save data')
+          return false
+        }
+        if (activate) {
+          setActiveSnapshotId(snapshot.id)
+        }
+        result = snapshot.id
+      }
+
+      const isActive = options.snapshotId ? options.snapshotId === activeSnapshotId : activate
+      if (isActive) {
+        setData(newData)
       }
+      setError(null)
+      await refreshSnapshots()
+      return result
     } catch (err) {
       console.error('Error saving data:', err)
       setError('Failed to save data: ' + err.message)
@@ -51,14 +185,17 @@ export function usePersistedData() {
   }
 
   /**
-   * Clear data from localStorage and reset state
-   * @returns {boolean} - Success status
+   * Clear all snapshots from IndexedDB and reset state
+   * @returns {Promise<boolean>} - Success status
    */
-  const clearData = () => {
+  const clearData = async () => {
     try {
-      const success = DataStorage.clear()
+      const success = await DataStorage.clear()
       if (success) {
         setData(null)
+        setSnapshots([])
+        setActiveSnapshotId(null)
+        setEncryptionStatus(await DataStorage.getEncryptionStatus())
         setError(null)
         return true
       } else {
@@ -72,6 +209,72 @@ export function usePersistedData() {
     }
   }
 
+  /**
+   * Make a snapshot active and load its data
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<boolean>} - Success status
+   */
+  const activateSnapshot = async (snapshotId) => {
+    try {
+      const success = await DataStorage.activateSnapshot(snapshotId)
+      if (!success) {
+        setError('Failed to activate snapshot')
+        return false
+      }
+      const snapshotData = await DataStorage.loadSnapshot(snapshotId)
+      setData(snapshotData)
+      setActiveSnapshotId(snapshotId)
+      setError(null)
+      return true
+    } catch (err) {
+      console.error('Error activating snapshot:', err)
+      setError('Failed to activate snapshot: ' + err.message)
+      return false
+    }
+  }
+
+  /**
+   * Rename a snapshot
+   * @param {string} snapshotId - Snapshot id
+   * @param {string} name - New display name
+   * @returns {Promise<boolean>} - Success status
+   */
+  const renameSnapshot = async (snapshotId, name) => {
+    const success = await DataStorage.renameSnapshot(snapshotId, name)
+    if (success) {
+      await refreshSnapshots()
+    } else {
+      setError('Failed to rename snapshot')
+    }
+    return success
+  }
+
+  /**
+   * Delete a snapshot; if it was active, the newest remaining one is loaded
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<boolean>} - Success status
+   */
+  const deleteSnapshot = async (snapshotId) => {
+    try {
+      const newActiveId = await DataStorage.deleteSnapshot(snapshotId)
+      if (newActiveId === false) {
+        setError('Failed to delete snapshot')
+        return false
+      }
+      if (snapshotId === activeSnapshotId) {
+        setData(newActiveId ? await DataStorage.loadSnapshot(newActiveId) : null)
+      }
+      setActiveSnapshotId(newActiveId)
+      await refreshSnapshots()
+      setError(null)
+      return true
+    } catch (err) {
+      console.error('Error deleting snapshot:', err)
+      setError('Failed to delete snapshot: ' + err.message)
+      return false
+    }
+  }
+
   /**
    * Check if data exists
    * @returns {boolean} - True if data exists
@@ -86,6 +289,17 @@ export function usePersistedData() {
     error,
     saveData,
     clearData,
-    hasData
+    hasData,
+    snapshots,
+    activeSnapshotId,
+    activateSnapshot,
+    renameSnapshot,
+    deleteSnapshot,
+    locked: encryptionStatus === 'locked',
+    encryptionStatus,
+    unlock,
+    forgetKey,
+    setPassphrase,
+    disableEncryption
   }
 }
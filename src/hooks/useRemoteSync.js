@@ -0,0 +1,289 @@
+/**
+ * useRemoteSync Hook
+ * Fetches schedule files from the configured remote sources in the background
+ * while online, merges them and saves the result into a dedicated snapshot.
+ * A source that fails keeps contributing its last good dataset. The remote
+ * snapshot is never made active behind the user's back: when another
+ * snapshot is in use, the new data is offered for them to switch to.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { DataStorage } from '../utils/storage'
+import { mergeDatasets } from '../utils/dataMerge'
+import {
+  loadRemoteConfig,
+  saveRemoteConfig,
+  createRemoteSource,
+  fetchRemoteSource,
+  getRemoteSecrets,
+  loadRemoteSecrets,
+  saveRemoteSecrets,
+  loadLastGoodDataset,
+  saveLastGoodDataset,
+  getSourceLabel
+} from '../utils/remoteSources'
+import { useOnlineStatus } from './useOnlineStatus'
+
+const REMOTE_SNAPSHOT_NAME = 'Remote sources'
+
+/**
+ * @param {Function} saveData - saveData from usePersistedData
+ * @param {boolean} ready - False until stored data has loaded, so a fetch can't race the initial load
+ */
+export function useRemoteSync(saveData, ready = true) {
+  const [config, setConfig] = useState(loadRemoteConfig)
+  const [syncing, setSyncing] = useState(false)
+  const [secretsLoaded, setSecretsLoaded] = useState(false)
+  // Failure of the sync itself (e.g. the merge threw), as opposed to a source's fetch error
+  const [syncError, setSyncError] = useState(null)
+  // Remote snapshot with data the user hasn't switched to yet
+  const [availableSnapshotId, setAvailableSnapshotId] = useState(null)
+  const isOnline = useOnlineStatus()
+
+  // Refs keep the polling timer working with the latest config and saveData
+  const configRef = useRef(config)
+  const saveDataRef = useRef(saveData)
+  const syncingRef = useRef(false)
+  const secretsLoadedRef = useRef(false)
+  saveDataRef.current = saveData
+
+  /**
+   * Apply changes to the configuration and persist them
+   * @param {Function} updater - (config) => partial config
+   */
+  const updateConfig = (updater) => {
+    const previous = configRef.current
+    const next = { ...previous, ...updater(previous) }
+    configRef.current = next
+    setConfig(next)
+    saveRemoteConfig(next)
+
+    const secretsChanged = JSON.stringify(getRemoteSecrets(previous.sources)) !== JSON.stringify(getRemoteSecrets(next.sources))
+    if (secretsChanged && secretsLoadedRef.current) {
+      saveRemoteSecrets(next.sources)
+    }
+  }
+
+  // Credentials live in the settings store, which can be read once stored data is unlocked
+  useEffect(() => {
+    if (!ready || secretsLoadedRef.current) return
+
+    let cancelled = false
+    const loadSecrets = async () => {
+      const stored = await loadRemoteSecrets()
+      if (cancelled) return
+
+      // Credentials still in memory (saved to localStorage by older versions) win over stored ones
+      const inMemory = getRemoteSecrets(configRef.current.sources)
+      const next = {
+        ...configRef.current,
+        sources: configRef.current.sources.map(source => ({ ...source, ...stored[source.id], ...inMemory[source.id] }))
+      }
+      configRef.current = next
+      setConfig(next)
+
+      // Move them into the settings store, and out of localStorage once that worked
+      if (Object.keys(inMemory).length > 0 && await saveRemoteSecrets(next.sources)) {
+        saveRemoteConfig(next)
+      }
+
+      secretsLoadedRef.current = true
+      setSecretsLoaded(true)
+    }
+    loadSecrets()
+    return () => { cancelled = true }
+  }, [ready])
+
+  /**
+   * Write merged remote data into the remote snapshot, creating it if needed
+   * @param {Object} merged - Merged dataset
+   * @returns {Promise<boolean>} - Success status
+   */
+  const saveRemoteSnapshot = async (merged) => {
+    const { snapshotId } = configRef.current
+    const snapshots = await DataStorage.listSnapshots()
+    const activeSnapshotId = await DataStorage.getActiveSnapshotId()
+
+    if (snapshotId && snapshots.some(snapshot => snapshot.id === snapshotId)) {
+      const saved = await saveDataRef.current(merged, { snapshotId })
+      if (saved && snapshotId !== activeSnapshotId) {
+        setAvailableSnapshotId(snapshotId)
+      }
+      return Boolean(saved)
+    }
+
+    // First sync, or the remote snapshot was deleted: start a new one, only
+    // loading it right away when no other data is in use
+    const newSnapshotId = await saveDataRef.current(merged, { name: REMOTE_SNAPSHOT_NAME, activate: !activeSnapshotId })
+    if (newSnapshotId) {
+      updateConfig(() => ({ snapshotId: newSnapshotId }))
+      if (activeSnapshotId) {
+        setAvailableSnapshotId(newSnapshotId)
+      }
+    }
+    return Boolean(newSnapshotId)
+  }
+
+  /**
+   * Fetch every enabled source now
+   * @returns {Promise<boolean>} - True if new data was saved
+   */
+  const syncNow = useCallback(async () => {
+    const enabled = configRef.current.sources.filter(source => source.enabled)
+    if (syncingRef.current || !secretsLoadedRef.current || enabled.length === 0) return false
+
+    syncingRef.current = true
+    setSyncing(true)
+    setSyncError(null)
+
+    try {
+      const results = await Promise.all(enabled.map(async source => {
+        try {
+          return { source, dataset: await fetchRemoteSource(source) }
+        } catch (err) {
+          console.error(`Error fetching remote source ${source.url}:`, err)
+          return { source, error: err.message || 'Fetch failed' }
+        }
+      }))
+
+      const succeeded = results.filter(result => result.dataset)
+
+      // Skip saving when every fetched file has the GeneratedAt we already have
+      const hasNewData = succeeded.some(({ source, dataset }) =>
+        !dataset.metadata?.generatedAt || dataset.metadata.generatedAt !== source.lastGeneratedAt
+      )
+
+      let saveError = null
+      if (hasNewData) {
+        await Promise.all(succeeded.map(({ source, dataset }) => saveLastGoodDataset(source.id, dataset)))
+
+        const datasets = []
+        const names = []
+        for (const result of results) {
+          const dataset = result.dataset || await loadLastGoodDataset(result.source.id)
+          if (dataset) {
+            datasets.push(dataset)
+            names.push(getSourceLabel(result.source.url))
+          }
+        }
+
+        const saved = await saveRemoteSnapshot(mergeDatasets(datasets, names))
+        if (!saved) {
+          saveError = 'Fetched, but saving to browser storage failed'
+        }
+      }
+
+      const now = new Date().toISOString()
+      const byId = new Map(results.map(result => [result.source.id, result]))
+
+      updateConfig(current => ({
+        lastSyncAt: now,
+        sources: current.sources.map(source => {
+          const result = byId.get(source.id)
+          if (!result) return source
+
+          const error = result.error || saveError
+          if (error) {
+            return { ...source, lastErrorAt: now, lastError: error }
+          }
+          return {
+            ...source,
+            lastSuccessAt: now,
+            lastError: null,
+            lastGeneratedAt: result.dataset.metadata?.generatedAt || null
+          }
+        })
+      }))
+
+      return hasNewData && !saveError
+    } catch (error) {
+      // Timer callers don't handle rejections, so report the failure here
+      console.error('Error syncing remote sources:', error)
+      setSyncError(error.message || 'Sync failed')
+      return false
+    } finally {
+      syncingRef.current = false
+      setSyncing(false)
+    }
+  }, [])
+
+  const enabledCount = config.sources.filter(source => source.enabled).length
+
+  // Poll while online; sync right away if the last sync is older than the interval
+  useEffect(() => {
+    if (!ready || !secretsLoaded || !isOnline || enabledCount === 0) return
+
+    const intervalMs = Math.max(1, Number(config.pollIntervalMinutes) || 15) * 60 * 1000
+    const lastSyncAt = configRef.current.lastSyncAt ? Date.parse(configRef.current.lastSyncAt) : 0
+    if (Date.now() - lastSyncAt >= intervalMs) {
+      syncNow()
+    }
+
+    const timer = setInterval(syncNow, intervalMs)
+    return () => clearInterval(timer)
+  }, [ready, secretsLoaded, isOnline, enabledCount, config.pollIntervalMinutes, syncNow])
+
+  /**
+   * Add a source
+   * @param {Object} fields - { url, sasToken, headerName, headerValue }
+   */
+  const addSource = (fields) => {
+    updateConfig(current => ({ sources: [...current.sources, createRemoteSource(fields)] }))
+  }
+
+  /**
+   * Update fields of a source
+   * @param {string} sourceId - Source id
+   * @param {Object} updates - Fields to change
+   */
+  const updateSource = (sourceId, updates) => {
+    updateConfig(current => ({
+      sources: current.sources.map(source =>
+        source.id === sourceId ? { ...source, ...updates } : source
+      )
+    }))
+  }
+
+  /**
+   * Remove a source and its cached dataset
+   * @param {string} sourceId - Source id
+   */
+  const removeSource = async (sourceId) => {
+    // Clearing lastGeneratedAt makes the next fetch rebuild the snapshot without this source
+    updateConfig(current => ({
+      sources: current.sources
+        .filter(source => source.id !== sourceId)
+        .map(source => ({ ...source, lastGeneratedAt: null }))
+    }))
+    await saveLastGoodDataset(sourceId, null)
+  }
+
+  /**
+   * Change the polling interval
+   * @param {number} minutes - Minutes between fetches
+   */
+  const setPollInterval = (minutes) => {
+    updateConfig(() => ({ pollIntervalMinutes: minutes }))
+  }
+
+  /**
+   * Forget the "remote data available" offer (after switching or dismissing it)
+   */
+  const dismissAvailable = () => {
+    setAvailableSnapshotId(null)
+  }
+
+  return {
+    config,
+    syncing,
+    syncError,
+    availableSnapshotId,
+    dismissAvailable,
+    isOnline,
+    syncNow,
+    addSource,
+    updateSource,
+    removeSource,
+    setPollInterval
+  }
+}
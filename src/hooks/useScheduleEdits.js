@@ -0,0 +1,97 @@
+/**
+ * useScheduleEdits Hook
+ * Loads the local change records for the active snapshot (plus the local
+ * jobs and notes of its dataset) and provides functions to add and revert them
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { loadScheduleEdits, saveScheduleEdits, createChange } from '../utils/scheduleEdits'
+
+/**
+ * @param {string|null} snapshotId - Active snapshot id
+ * @param {string|null} datasetKey - Key of the active dataset (see getDatasetKey)
+ * @param {boolean} ready - False until storage can be read (loaded and unlocked)
+ */
+export function useScheduleEdits(snapshotId, datasetKey, ready = true) {
+  const [changes, setChanges] = useState([])
+  // Latest records, so edits made in quick succession don't overwrite each other
+  const changesRef = useRef([])
+
+  useEffect(() => {
+    changesRef.current = []
+    setChanges([])
+    if (!ready || !snapshotId) return
+
+    let cancelled = false
+    loadScheduleEdits(snapshotId, datasetKey).then(stored => {
+      if (!cancelled) {
+        changesRef.current = stored
+        setChanges(stored)
+      }
+    }).catch(error => {
+      // Fall back to no edits rather than leaving the overlay unloaded
+      console.error('Error loading schedule edits:', error)
+      if (!cancelled) {
+        changesRef.current = []
+        setChanges([])
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [snapshotId, datasetKey, ready])
+
+  /**
+   * Replace the records and persist them
+   * @param {Array} next - Change records, oldest first
+   * @returns {Promise<boolean>} - Success status
+   */
+  const commit = async (next) => {
+    const previous = changesRef.current
+    changesRef.current = next
+    setChanges(next)
+
+    const saved = await saveScheduleEdits(snapshotId, next, datasetKey)
+    if (!saved) {
+      changesRef.current = previous
+      setChanges(previous)
+    }
+    return saved
+  }
+
+  /**
+   * Record a change
+   * @param {Object} fields - Change fields (from a describe* helper)
+   * @param {string} by - Who made the change
+   * @returns {Promise<boolean>} - Success status
+   */
+  const addChange = (fields, by) => {
+    if (!snapshotId) return Promise.resolve(false)
+    return commit([...changesRef.current, createChange(fields, by)])
+  }
+
+  /**
+   * Revert changes by id
+   * @param {string[]} changeIds - Change ids to remove
+   * @returns {Promise<boolean>} - Success status
+   */
+  const revertChanges = (changeIds) => {
+    return commit(changesRef.current.filter(change => !changeIds.includes(change.id)))
+  }
+
+  /**
+   * Revert every change in the active snapshot
+   * @returns {Promise<boolean>} - Success status
+   */
+  const clearChanges = () => {
+    return commit([])
+  }
+
+  return {
+    changes,
+    addChange,
+    revertChanges,
+    clearChanges
+  }
+}
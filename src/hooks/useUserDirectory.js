@@ -0,0 +1,69 @@
+/**
+ * useUserDirectory Hook
+ * Loads the user directory imported from users.json and provides
+ * save/clear functions
+ */
+
+import { useState, useEffect } from 'react'
+import { loadUserDirectory, saveUserDirectory } from '../utils/userDirectory'
+
+/**
+ * @param {boolean} ready - False until storage can be read (loaded and unlocked)
+ */
+export function useUserDirectory(ready = true) {
+  const [directory, setDirectory] = useState(null)
+
+  useEffect(() => {
+    if (!ready) {
+      setDirectory(null)
+      return
+    }
+
+    let cancelled = false
+    loadUserDirectory().then(stored => {
+      if (!cancelled) {
+        setDirectory(stored)
+      }
+    }).catch(error => {
+      console.error('Error loading user directory:', error)
+      if (!cancelled) {
+        setDirectory(null)
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [ready])
+
+  /**
+   * Replace the stored directory
+   * @param {Object} newDirectory - Output of parseUsersFiles
+   * @returns {Promise<boolean>} - Success status
+   */
+  const saveDirectory = async (newDirectory) => {
+    const saved = await saveUserDirectory(newDirectory)
+    if (saved) {
+      setDirectory(newDirectory)
+    }
+    return saved
+  }
+
+  /**
+   * Remove the stored directory
+   * @returns {Promise<boolean>} - Success status
+   */
+  const clearDirectory = async () => {
+    const cleared = await saveUserDirectory(null)
+    if (cleared) {
+      setDirectory(null)
+    }
+    return cleared
+  }
+
+  return {
+    directory,
+    saveDirectory,
+    clearDirectory
+  }
+}
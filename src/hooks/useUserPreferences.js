@@ -4,15 +4,18 @@
  * Similar pattern to usePersistedData.js
  */
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { loadPreferences, savePreferences, DEFAULT_PREFERENCES } from '../utils/userPreferences'
 
 export function useUserPreferences() {
   const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES)
+  // Latest preferences, so several updates in one handler (or a deferred one) don't overwrite each other
+  const preferencesRef = useRef(DEFAULT_PREFERENCES)
 
   // Load preferences from localStorage on mount
   useEffect(() => {
     const loaded = loadPreferences()
+    preferencesRef.current = loaded
     setPreferences(loaded)
   }, [])
 
@@ -22,7 +25,8 @@ export function useUserPreferences() {
    * @returns {boolean} - Success status
    */
   const updatePreferences = (updates) => {
-    const newPreferences = { ...preferences, ...updates }
+    const newPreferences = { ...preferencesRef.current, ...updates }
+    preferencesRef.current = newPreferences
     setPreferences(newPreferences)
     return savePreferences(newPreferences)
   }
@@ -63,16 +67,71 @@ export function useUserPreferences() {
     return updatePreferences({ selectedTeam })
   }
 
+  /**
+   * Remember which employee is using this device
+   * @param {string|null} myEmployeeId - Employee ID, or null to clear
+   * @returns {boolean} - Success status
+   */
+  const setMyEmployeeId = (myEmployeeId) => {
+    return updatePreferences({ myEmployeeId })
+  }
+
+  /**
+   * Remember which imported user (users.json) is using this device
+   * @param {string|null} myUserId - User ID, or null to clear
+   * @returns {boolean} - Success status
+   */
+  const setMyUserId = (myUserId) => {
+    return updatePreferences({ myUserId })
+  }
+
+  /**
+   * Update freshness banner thresholds
+   * @param {Object} freshnessThresholds - { warningHours, criticalHours }
+   * @returns {boolean} - Success status
+   */
+  const setFreshnessThresholds = (freshnessThresholds) => {
+    return updatePreferences({ freshnessThresholds })
+  }
+
+  /**
+   * Update position definition overrides
+   * @param {Object} positionOverrides - { [positionId]: { name, color, description } }
+   * @returns {boolean} - Success status
+   */
+  const setPositionOverrides = (positionOverrides) => {
+    return updatePreferences({ positionOverrides })
+  }
+
+  /**
+   * Update page size and orientation of generated PDFs
+   * @param {Object} pdfOptions - { pageSize, orientation }
+   * @returns {boolean} - Success status
+   */
+  const setPdfOptions = (pdfOptions) => {
+    return updatePreferences({ pdfOptions })
+  }
+
   return {
     preferences,
     viewMode: preferences.viewMode,
     selectedDate: preferences.selectedDate,
     selectedCompany: preferences.selectedCompany,
     selectedTeam: preferences.selectedTeam,
+    myEmployeeId: preferences.myEmployeeId,
+    myUserId: preferences.myUserId,
+    freshnessThresholds: preferences.freshnessThresholds,
+    positionOverrides: preferences.positionOverrides,
+    pdfOptions: preferences.pdfOptions,
     updatePreferences,
     setViewMode,
     setSelectedDate,
     setSelectedCompany,
-    setSelectedTeam
+    setSelectedTeam,
+    setMyEmployeeId,
+    setMyUserId,
+    setFreshnessThresholds,
+    setPositionOverrides,
+    setPdfOptions
   }
 }
@@ -0,0 +1,163 @@
+/**
+ * Batch Export Utility
+ * Collects every team's schedule over a date range for the batch export:
+ * the day-by-day list of team schedules, their job and hour totals for the
+ * packet's cover page, and a ZIP of per-team files.
+ */
+
+import { eachDayOfInterval, format, parseISO, isValid } from 'date-fns'
+import { zipSync } from 'fflate'
+import { sumShiftHours, getCancelledJobIds } from './scheduleTime'
+import { getTeamSchedule } from './teamSchedule'
+import { createTeamSchedulePdf, createJobPdf, createSchedulePacketPdf } from './schedulePdf'
+import { toFileNamePart } from './download'
+
+// Longest range one batch may cover, so a typo can't build a year of schedules
+export const MAX_BATCH_DAYS = 31
+
+/**
+ * Dates from one day to another, inclusive
+ * @param {string} fromDate - yyyy-MM-dd
+ * @param {string} toDate - yyyy-MM-dd (defaults to fromDate)
+ * @returns {Array<string>} - yyyy-MM-dd dates, or [] when the range is invalid or too long
+ */
+export function getDatesInRange(fromDate, toDate = fromDate) {
+  const start = parseISO(fromDate || '')
+  const end = parseISO(toDate || fromDate || '')
+  if (!isValid(start) || !isValid(end) || end < start) return []
+
+  const days = eachDayOfInterval({ start, end })
+  if (days.length > MAX_BATCH_DAYS) return []
+  return days.map(day => format(day, 'yyyy-MM-dd'))
+}
+
+/**
+ * Schedules of every team with crew or jobs on each date of a range
+ * @param {Object} data - Transformed data
+ * @param {Object} options - { fromDate, toDate, companyId }
+ * @returns {Array} - [{ team, date, employees, jobs }] ordered by date, then team
+ */
+export function getBatchSchedules(data, { fromDate, toDate, companyId = 'all' }) {
+  if (!data) return []
+
+  const teams = data.teams.filter(team => team.id !== '0')
+  const schedules = []
+  getDatesInRange(fromDate, toDate).forEach(date => {
+    teams.forEach(team => {
+      const { employees, jobs } = getTeamSchedule(data, team.id, date, companyId)
+      if (employees.length > 0 || jobs.length > 0) {
+        schedules.push({ team, date, employees, jobs })
+      }
+    })
+  })
+  return schedules
+}
+
+/**
+ * Job count and hours of one team schedule, leaving out cancelled jobs
+ * @param {Object} schedule - From getBatchSchedules
+ * @param {Object} data - Transformed data (for the crew's cancelled jobs)
+ * @returns {Object} - { jobCount, crewCount, crewHours, allowedHours }
+ */
+export function summarizeSchedule({ date, employees, jobs }, data) {
+  const cancelledJobIds = getCancelledJobIds(data.jobs)
+  return {
+    jobCount: jobs.filter(job => !job.cancelled).length,
+    crewCount: employees.length,
+    crewHours: employees.reduce((total, emp) => total + sumShiftHours(emp.shifts, date, cancelledJobIds), 0),
+    allowedHours: jobs.filter(job => !job.cancelled).reduce((total, job) => total + (job.allowedTime || 0), 0)
+  }
+}
+
+/**
+ * Jobs of several schedules, each once (a job can be on more than one team)
+ * @param {Array} schedules - From getBatchSchedules
+ * @returns {Array} - Jobs in schedule order
+ */
+export function getBatchJobs(schedules) {
+  const jobs = new Map()
+  schedules.forEach(schedule => {
+    schedule.jobs.forEach(job => {
+      if (!jobs.has(job.id)) jobs.set(job.id, job)
+    })
+  })
+  return Array.from(jobs.values())
+}
+
+/**
+ * File name of a team's schedule (without extension)
+ * @param {Object} schedule - From getBatchSchedules
+ * @returns {string} - e.g. "Team_A_Schedule_2024-01-05"
+ */
+export function getScheduleFileName({ team, date }) {
+  return `${toFileNamePart(team.name)}_Schedule_${date}`
+}
+
+/**
+ * One PDF with a cover page of totals, a section per team schedule and,
+ * optionally, every job's detail sheet as an appendix
+ * @param {Array} schedules - From getBatchSchedules
+ * @param {Object} options - { data, fromDate, toDate, visibleFields, showZones, includeJobDetails, pdfOptions }
+ * @returns {jsPDF}
+ */
+export function createBatchPdf(schedules, { data, fromDate, toDate, visibleFields, showZones, includeJobDetails, pdfOptions }) {
+  const summarized = schedules.map(schedule => ({ ...schedule, summary: summarizeSchedule(schedule, data) }))
+  const totals = summarized.reduce((sum, { summary }) => ({
+    jobCount: sum.jobCount + summary.jobCount,
+    crewCount: sum.crewCount + summary.crewCount,
+    crewHours: sum.crewHours + summary.crewHours,
+    allowedHours: sum.allowedHours + summary.allowedHours
+  }), { jobCount: 0, crewCount: 0, crewHours: 0, allowedHours: 0 })
+
+  return createSchedulePacketPdf({
+    data,
+    schedules: summarized,
+    totals,
+    jobs: includeJobDetails ? getBatchJobs(schedules) : [],
+    fromDate,
+    toDate,
+    visibleFields,
+    showZones
+  }, pdfOptions)
+}
+
+/**
+ * ZIP of per-team schedule PDFs (and PNGs), in one folder per date
+ * @param {Array} schedules - From getBatchSchedules
+ * @param {Object} options - { data, visibleFields, showZones, includeJobDetails, pdfOptions,
+ *                           renderPng(schedule) => Promise<Uint8Array> (optional),
+ *                           onProgress(done, total) (optional) }
+ * @returns {Promise<Uint8Array>} - ZIP file content
+ */
+export async function createBatchZip(schedules, { data, visibleFields, showZones, includeJobDetails, pdfOptions, renderPng, onProgress }) {
+  const files = {}
+  const jobs = includeJobDetails ? getBatchJobs(schedules) : []
+  const total = schedules.length + jobs.length
+  let done = 0
+
+  const step = async () => {
+    done++
+    if (onProgress) onProgress(done, total)
+    // Let the page repaint between files
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  for (const schedule of schedules) {
+    const fileName = `${schedule.date}/${getScheduleFileName(schedule)}`
+    const pdf = createTeamSchedulePdf({ ...schedule, data, visibleFields, showZones }, pdfOptions)
+    files[`${fileName}.pdf`] = new Uint8Array(pdf.output('arraybuffer'))
+    if (renderPng) {
+      files[`${fileName}.png`] = await renderPng(schedule)
+    }
+    await step()
+  }
+
+  for (const job of jobs) {
+    const pdf = createJobPdf({ data, job, visibleFields, showZones }, pdfOptions)
+    files[`${job.schedule.date}/jobs/Job_${toFileNamePart(job.customerName)}_${toFileNamePart(job.id)}.pdf`] = new Uint8Array(pdf.output('arraybuffer'))
+    await step()
+  }
+
+  // PDFs and PNGs are already compressed
+  return zipSync(files, { level: 0 })
+}
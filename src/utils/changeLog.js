@@ -0,0 +1,186 @@
+/**
+ * Change Log Utility
+ * Turns the local change records (see scheduleEdits.js) into a log for
+ * re-entering outage changes into MaidCentral: JSON keyed by
+ * JobInformationId and EmployeeInformationId, or a CSV checklist.
+ * Jobs added locally are keyed by their local id until they exist in MaidCentral.
+ * Every entry carries before/after values, who made it and when.
+ */
+
+import { CHANGE_TYPES } from './scheduleEdits'
+import { toCsv } from './download'
+
+/**
+ * Team name for the log
+ * @param {Object} data - Transformed data
+ * @param {string} teamId - Team id
+ * @returns {string}
+ */
+function teamName(data, teamId) {
+  if (!teamId || teamId === '0') return 'Unassigned'
+  return data?.teams.find(team => team.id === teamId)?.name || `Team ${teamId}`
+}
+
+/**
+ * Before/after values of a change record
+ * Types without a specific mapping use the record's own before/after
+ * @param {Object} change - Change record
+ * @param {Object} data - Transformed data (for team names)
+ * @returns {Object} - { before, after }
+ */
+function describeValues(change, data) {
+  switch (change.type) {
+    case 'jobMove':
+      return {
+        before: { teamId: change.fromTeamId, team: teamName(data, change.fromTeamId), ...change.before },
+        after: { teamId: change.toTeamId, team: teamName(data, change.toTeamId), ...change.after }
+      }
+    case 'jobCancel':
+      return { before: { status: 'Scheduled' }, after: { status: 'Cancelled' } }
+    case 'jobRestore':
+      return { before: { status: 'Cancelled' }, after: { status: 'Scheduled' } }
+    case 'employeeMove':
+      return {
+        before: { teamId: change.fromTeamId, team: teamName(data, change.fromTeamId) },
+        after: { teamId: change.toTeamId, team: teamName(data, change.toTeamId) }
+      }
+    case 'jobCreate':
+      return {
+        before: null,
+        after: {
+          customer: change.job.customerName,
+          address: change.job.address,
+          service: change.job.serviceType,
+          teamId: change.job.scheduledTeams[0],
+          team: teamName(data, change.job.scheduledTeams[0]),
+          start: change.job.schedule.start,
+          end: change.job.schedule.end,
+          instructions: change.instructions,
+          tags: change.job.tags.map(tag => tag.description).join(', ')
+        }
+      }
+    case 'jobNote':
+      return { before: null, after: { note: change.text } }
+    default:
+      return { before: change.before || null, after: change.after || null }
+  }
+}
+
+/**
+ * Build log entries from change records
+ * @param {Array} changes - Change records, oldest first
+ * @param {Object} data - Transformed data (for customer, employee and team names)
+ * @returns {Array} - [{ changeId, type, label, jobId, customerName, employeeId, employeeName, date, before, after, summary, by, at }]
+ */
+export function buildChangeLog(changes, data) {
+  const jobsById = new Map((data?.jobs || []).map(job => [job.id, job]))
+  const employeesById = new Map((data?.employees || []).map(emp => [emp.id, emp]))
+
+  return (changes || []).map(change => {
+    const job = change.jobId ? jobsById.get(change.jobId) : null
+    const employee = change.employeeId ? employeesById.get(change.employeeId) : null
+    const { before, after } = describeValues(change, data)
+
+    return {
+      changeId: change.id,
+      type: change.type,
+      label: CHANGE_TYPES[change.type] || change.type,
+      jobId: change.jobId || null,
+      customerName: job?.customerName || change.job?.customerName || null,
+      employeeId: change.employeeId || null,
+      employeeName: employee?.name || null,
+      date: change.date || job?.original?.schedule?.date || job?.schedule?.date || null,
+      before,
+      after,
+      summary: change.summary || '',
+      by: change.by,
+      at: change.at
+    }
+  })
+}
+
+/**
+ * Change log as JSON, grouped by JobInformationId and EmployeeInformationId
+ * @param {Array} entries - Output of buildChangeLog
+ * @param {Object} info - { snapshotName } for the header
+ * @returns {string} - Pretty-printed JSON
+ */
+export function changeLogToJson(entries, { snapshotName } = {}) {
+  const jobs = {}
+  const employees = {}
+  const pick = ({ changeId, type, label, date, before, after, summary, by, at }) =>
+    ({ changeId, type, label, date, before, after, summary, by, at })
+
+  entries.forEach(entry => {
+    if (entry.jobId) {
+      if (!jobs[entry.jobId]) {
+        jobs[entry.jobId] = { JobInformationId: entry.jobId, customerName: entry.customerName, changes: [] }
+      }
+      jobs[entry.jobId].changes.push(pick(entry))
+    }
+    if (entry.employeeId) {
+      if (!employees[entry.employeeId]) {
+        employees[entry.employeeId] = { EmployeeInformationId: entry.employeeId, name: entry.employeeName, changes: [] }
+      }
+      employees[entry.employeeId].changes.push(pick(entry))
+    }
+  })
+
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    snapshot: snapshotName || null,
+    changeCount: entries.length,
+    jobs,
+    employees
+  }, null, 2)
+}
+
+/**
+ * Flatten before/after values for one CSV cell
+ * @param {Object|null} values - Before or after values
+ * @returns {string} - e.g. "team: Team A; start: 2024-01-05T08:00"
+ */
+function formatValues(values) {
+  if (!values) return ''
+  return Object.entries(values)
+    .filter(([key, value]) => key !== 'teamId' && value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('; ')
+}
+
+/**
+ * Change log as a CSV checklist (empty "Done" column to tick off re-entry)
+ * @param {Array} entries - Output of buildChangeLog
+ * @returns {string} - CSV text
+ */
+export function changeLogToCsv(entries) {
+  const headers = [
+    'Done',
+    'Changed At',
+    'Changed By',
+    'Change',
+    'Date',
+    'JobInformationId',
+    'Customer',
+    'EmployeeInformationId',
+    'Employee',
+    'Before',
+    'After',
+    'Summary'
+  ]
+  const rows = entries.map(entry => [
+    '',
+    new Date(entry.at).toLocaleString(),
+    entry.by,
+    entry.label,
+    entry.date,
+    entry.jobId,
+    entry.customerName,
+    entry.employeeId,
+    entry.employeeName,
+    formatValues(entry.before),
+    formatValues(entry.after),
+    entry.summary
+  ])
+  return toCsv(headers, rows)
+}
@@ -0,0 +1,243 @@
+/**
+ * Conflict Analysis Utility
+ * Scans a transformed dataset for scheduling problems: employees booked on
+ * overlapping shifts, teams booked on overlapping jobs, jobs left in the
+ * Unassigned team or without employees, and shifts whose job is missing.
+ * The result feeds the Dashboard conflicts panel and the calendar markers.
+ */
+
+import { getScheduleRange, getStartDateTime } from './scheduleTime'
+
+/**
+ * Conflict types, in the order the Dashboard lists them
+ */
+export const CONFLICT_TYPES = {
+  employeeOverlap: { label: 'Overlapping shifts', severity: 'error' },
+  teamOverlap: { label: 'Team double-booked', severity: 'error' },
+  unassignedJob: { label: 'Unassigned jobs', severity: 'warning' },
+  unstaffedJob: { label: 'Jobs without employees', severity: 'warning' },
+  orphanShift: { label: 'Shifts without a job', severity: 'warning' }
+}
+
+const EMPTY_ANALYSIS = { conflicts: [], byJob: new Map(), byShift: new Map() }
+
+/**
+ * Key for looking up an employee's shift on a job
+ * @param {string} employeeId - Employee id
+ * @param {string} jobId - Job id
+ * @returns {string}
+ */
+function shiftKey(employeeId, jobId) {
+  return `${employeeId}:${jobId}`
+}
+
+/**
+ * Find every overlapping pair in a list of timed items
+ * Touching ranges (one ends when the next starts) do not overlap
+ * @param {Array} items - [{ range: { start, end }, ... }]
+ * @returns {Array} - [[itemA, itemB]]
+ */
+function findOverlaps(items) {
+  const sorted = items
+    .filter(item => item.range)
+    .sort((a, b) => a.range.start - b.range.start)
+
+  const pairs = []
+  const active = []
+  sorted.forEach(item => {
+    // Drop items that ended before this one starts
+    for (let i = active.length - 1; i >= 0; i -= 1) {
+      if (active[i].range.end <= item.range.start) active.splice(i, 1)
+    }
+    active.forEach(other => pairs.push([other, item]))
+    active.push(item)
+  })
+  return pairs
+}
+
+/**
+ * Whether a job has no real team (extractScheduledTeams puts these in team '0')
+ * @param {Object} job - Transformed job
+ * @returns {boolean}
+ */
+export function isUnassignedJob(job) {
+  return !job.cancelled && !(job.scheduledTeams || []).some(teamId => teamId !== '0')
+}
+
+/**
+ * Unassigned jobs, sorted by start, optionally limited to a company and date range
+ * @param {Object} data - Transformed data
+ * @param {Object} filters - { companyId ('all' for every company), fromDate, toDate } (yyyy-MM-dd, inclusive)
+ * @returns {Array} - Jobs
+ */
+export function getUnassignedJobs(data, { companyId = 'all', fromDate = '', toDate = '' } = {}) {
+  if (!data) return []
+  return data.jobs
+    .filter(job => {
+      if (!isUnassignedJob(job)) return false
+      if (companyId !== 'all' && job.companyId !== companyId) return false
+      const date = job.schedule?.date || ''
+      if (fromDate && date < fromDate) return false
+      if (toDate && date > toDate) return false
+      return true
+    })
+    .sort((a, b) => getStartDateTime(a.schedule).localeCompare(getStartDateTime(b.schedule)))
+}
+
+/**
+ * Analyze a dataset for scheduling conflicts
+ * @param {Object} data - Transformed data
+ * @returns {Object} - { conflicts, byJob: Map<jobId, conflicts>, byShift: Map<employeeId:jobId, conflicts> }
+ */
+export function analyzeConflicts(data) {
+  if (!data) return EMPTY_ANALYSIS
+
+  const conflicts = []
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+  const teamsById = new Map(data.teams.map(team => [team.id, team]))
+  const staffedJobIds = new Set()
+
+  const jobLabel = (job) => job?.customerName || `Job ${job?.id}`
+
+  data.employees.forEach(emp => {
+    const timedShifts = []
+
+    ;(emp.shifts || []).forEach(shift => {
+      const job = jobsById.get(shift.jobId)
+      if (!job) {
+        conflicts.push({
+          id: `orphanShift:${emp.id}:${shift.jobId}:${shift.date}`,
+          type: 'orphanShift',
+          date: shift.date,
+          message: `${emp.name} has a shift on ${shift.date} for job ${shift.jobId}, which is not in the data`,
+          jobIds: [],
+          shifts: [{ employeeId: emp.id, jobId: shift.jobId }]
+        })
+        return
+      }
+
+      // Cancelled jobs (local edit) can't clash with anything
+      if (job.cancelled) return
+
+      staffedJobIds.add(job.id)
+      timedShifts.push({ shift, job, range: getScheduleRange(shift) })
+    })
+
+    findOverlaps(timedShifts).forEach(([a, b]) => {
+      conflicts.push({
+        id: `employeeOverlap:${emp.id}:${a.shift.date}:${a.job.id}:${b.job.id}`,
+        type: 'employeeOverlap',
+        date: a.shift.date,
+        message: `${emp.name} is booked on ${jobLabel(a.job)} and ${jobLabel(b.job)} at the same time`,
+        jobIds: [a.job.id, b.job.id],
+        shifts: [
+          { employeeId: emp.id, jobId: a.job.id },
+          { employeeId: emp.id, jobId: b.job.id }
+        ]
+      })
+    })
+  })
+
+  // Jobs per team, skipping the Unassigned team
+  const jobsByTeam = new Map()
+  data.jobs.forEach(job => {
+    if (job.cancelled) return
+
+    const teamIds = (job.scheduledTeams || []).filter(teamId => teamId !== '0')
+
+    if (isUnassignedJob(job)) {
+      conflicts.push({
+        id: `unassignedJob:${job.id}`,
+        type: 'unassignedJob',
+        date: job.schedule?.date,
+        message: `${jobLabel(job)} has no team assigned`,
+        jobIds: [job.id],
+        shifts: []
+      })
+    } else if (!staffedJobIds.has(job.id)) {
+      // Unassigned jobs are already flagged above; one warning per job is enough
+      conflicts.push({
+        id: `unstaffedJob:${job.id}`,
+        type: 'unstaffedJob',
+        date: job.schedule?.date,
+        message: `${jobLabel(job)} has no employees scheduled`,
+        jobIds: [job.id],
+        shifts: []
+      })
+    }
+
+    teamIds.forEach(teamId => {
+      if (!jobsByTeam.has(teamId)) jobsByTeam.set(teamId, [])
+      jobsByTeam.get(teamId).push({ job, range: getScheduleRange(job.schedule) })
+    })
+  })
+
+  jobsByTeam.forEach((teamJobs, teamId) => {
+    const teamName = teamsById.get(teamId)?.name || `Team ${teamId}`
+    findOverlaps(teamJobs).forEach(([a, b]) => {
+      conflicts.push({
+        id: `teamOverlap:${teamId}:${a.job.id}:${b.job.id}`,
+        type: 'teamOverlap',
+        date: a.job.schedule?.date,
+        message: `${teamName} is scheduled on ${jobLabel(a.job)} and ${jobLabel(b.job)} at the same time`,
+        jobIds: [a.job.id, b.job.id],
+        shifts: []
+      })
+    })
+  })
+
+  conflicts.forEach(conflict => {
+    conflict.severity = CONFLICT_TYPES[conflict.type].severity
+  })
+
+  // Index for the calendars
+  const byJob = new Map()
+  const byShift = new Map()
+  const addTo = (map, key, conflict) => {
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(conflict)
+  }
+  conflicts.forEach(conflict => {
+    conflict.jobIds.forEach(jobId => addTo(byJob, jobId, conflict))
+    conflict.shifts.forEach(({ employeeId, jobId }) => addTo(byShift, shiftKey(employeeId, jobId), conflict))
+  })
+
+  conflicts.sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+
+  return { conflicts, byJob, byShift }
+}
+
+/**
+ * Conflicts involving a job
+ * @param {Object} analysis - Result of analyzeConflicts
+ * @param {string} jobId - Job id
+ * @returns {Array} - Conflicts (empty if none)
+ */
+export function getJobConflicts(analysis, jobId) {
+  return analysis?.byJob.get(jobId) || []
+}
+
+/**
+ * Conflicts involving an employee's shift, including those on the shift's job
+ * @param {Object} analysis - Result of analyzeConflicts
+ * @param {string} employeeId - Employee id
+ * @param {string} jobId - Job id
+ * @returns {Array} - Conflicts (empty if none)
+ */
+export function getShiftConflicts(analysis, employeeId, jobId) {
+  if (!analysis) return []
+  return [...(analysis.byShift.get(shiftKey(employeeId, jobId)) || []), ...getJobConflicts(analysis, jobId)]
+    .filter((conflict, index, all) => all.indexOf(conflict) === index)
+}
+
+/**
+ * Count conflicts per type
+ * @param {Array} conflicts - Conflicts
+ * @returns {Object} - { [type]: count }
+ */
+export function countConflictsByType(conflicts) {
+  const counts = {}
+  Object.keys(CONFLICT_TYPES).forEach(type => { counts[type] = 0 })
+  conflicts.forEach(conflict => { counts[conflict.type] += 1 })
+  return counts
+}
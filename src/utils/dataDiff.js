@@ -0,0 +1,210 @@
+/**
+ * Data Diff Utility
+ * Compares the stored dataset with a newly uploaded one so dispatchers can see
+ * what changed before accepting the new file: added/removed jobs, changed
+ * schedules, teams and addresses, employees moved between teams, and shifts
+ * added or dropped per employee.
+ * Values are resolved to display strings at diff time so a saved report stays
+ * readable after the underlying data changes again.
+ */
+
+import { formatTimeRange } from './scheduleTime'
+
+/**
+ * Format a job schedule for display
+ * @param {Object} schedule - Job schedule object
+ * @returns {string} - e.g. "2025-11-19 08:00-11:00"
+ */
+function formatSchedule(schedule) {
+  if (!schedule || !schedule.date) return 'Unscheduled'
+  return `${schedule.date} ${formatTimeRange(schedule, '-')}`
+}
+
+/**
+ * Build a team id -> name lookup across both datasets (new names win)
+ * @param {Object} previous - Previous dataset
+ * @param {Object} next - Incoming dataset
+ * @returns {Function} - (teamId) => team name
+ */
+function buildTeamNameLookup(previous, next) {
+  const names = new Map()
+  ;[...previous.teams, ...next.teams].forEach(team => names.set(team.id, team.name))
+  return (teamId) => names.get(teamId) || `Team ${teamId}`
+}
+
+/**
+ * Summarize a job for the report
+ * @param {Object} job - Transformed job
+ * @param {Function} teamName - Team name lookup
+ * @returns {Object} - Job summary
+ */
+function summarizeJob(job, teamName) {
+  return {
+    id: job.id,
+    customerName: job.customerName,
+    schedule: formatSchedule(job.schedule),
+    address: job.address,
+    teams: job.scheduledTeams.map(teamName).join(', ')
+  }
+}
+
+/**
+ * Compare two sets of team ids regardless of order
+ * @param {Array} a - Team ids
+ * @param {Array} b - Team ids
+ * @returns {boolean} - True if both contain the same ids
+ */
+function sameTeams(a = [], b = []) {
+  return [...a].sort().join('|') === [...b].sort().join('|')
+}
+
+/**
+ * List the tracked field changes between two versions of a job
+ * @param {Object} before - Job in the previous dataset
+ * @param {Object} after - Job in the incoming dataset
+ * @param {Function} teamName - Team name lookup
+ * @returns {Array} - Changes as { field, label, before, after }
+ */
+function diffJob(before, after, teamName) {
+  const changes = []
+
+  // Compare as displayed so schedules saved before start/end datetimes existed don't all show as changed
+  if (formatSchedule(before.schedule) !== formatSchedule(after.schedule)) {
+    changes.push({
+      field: 'schedule',
+      label: 'Schedule',
+      before: formatSchedule(before.schedule),
+      after: formatSchedule(after.schedule)
+    })
+  }
+
+  if (!sameTeams(before.scheduledTeams, after.scheduledTeams)) {
+    changes.push({
+      field: 'scheduledTeams',
+      label: 'Teams',
+      before: before.scheduledTeams.map(teamName).join(', '),
+      after: after.scheduledTeams.map(teamName).join(', ')
+    })
+  }
+
+  if (before.address !== after.address) {
+    changes.push({
+      field: 'address',
+      label: 'Address',
+      before: before.address,
+      after: after.address
+    })
+  }
+
+  return changes
+}
+
+/**
+ * Describe a shift using the job it belongs to
+ * @param {Object} shift - Employee shift
+ * @param {Map} jobs - jobId -> job lookup
+ * @returns {Object} - Shift summary
+ */
+function summarizeShift(shift, jobs) {
+  const job = jobs.get(shift.jobId)
+  return {
+    jobId: shift.jobId,
+    customerName: job?.customerName || 'Unknown Customer',
+    schedule: `${shift.date} ${formatTimeRange(shift, '-')}`
+  }
+}
+
+/**
+ * Compare the previous dataset with an incoming one
+ * @param {Object} previous - Currently stored dataset
+ * @param {Object} next - Newly uploaded (transformed) dataset
+ * @returns {Object} - Diff report
+ */
+export function diffDatasets(previous, next) {
+  const teamName = buildTeamNameLookup(previous, next)
+  const prevJobs = new Map(previous.jobs.map(job => [job.id, job]))
+  const nextJobs = new Map(next.jobs.map(job => [job.id, job]))
+
+  const addedJobs = next.jobs
+    .filter(job => !prevJobs.has(job.id))
+    .map(job => summarizeJob(job, teamName))
+
+  const removedJobs = previous.jobs
+    .filter(job => !nextJobs.has(job.id))
+    .map(job => summarizeJob(job, teamName))
+
+  const changedJobs = next.jobs
+    .filter(job => prevJobs.has(job.id))
+    .map(job => ({
+      ...summarizeJob(job, teamName),
+      changes: diffJob(prevJobs.get(job.id), job, teamName)
+    }))
+    .filter(job => job.changes.length > 0)
+
+  const prevEmployees = new Map(previous.employees.map(emp => [emp.id, emp]))
+  const nextEmployees = new Map(next.employees.map(emp => [emp.id, emp]))
+  const employeeIds = [...new Set([...prevEmployees.keys(), ...nextEmployees.keys()])]
+
+  const employeeMoves = []
+  const shiftChanges = []
+
+  employeeIds.forEach(empId => {
+    const before = prevEmployees.get(empId)
+    const after = nextEmployees.get(empId)
+    const name = after?.name || before?.name || `Employee ${empId}`
+
+    if (before && after && before.teamId !== after.teamId) {
+      employeeMoves.push({
+        id: empId,
+        name,
+        fromTeam: teamName(before.teamId),
+        toTeam: teamName(after.teamId)
+      })
+    }
+
+    const beforeShifts = new Map((before?.shifts || []).map(shift => [shift.jobId, shift]))
+    const afterShifts = new Map((after?.shifts || []).map(shift => [shift.jobId, shift]))
+
+    const added = [...afterShifts.values()]
+      .filter(shift => !beforeShifts.has(shift.jobId))
+      .map(shift => summarizeShift(shift, nextJobs))
+    const dropped = [...beforeShifts.values()]
+      .filter(shift => !afterShifts.has(shift.jobId))
+      .map(shift => summarizeShift(shift, prevJobs))
+
+    if (added.length > 0 || dropped.length > 0) {
+      shiftChanges.push({ id: empId, name, added, dropped })
+    }
+  })
+
+  shiftChanges.sort((a, b) => a.name.localeCompare(b.name))
+  employeeMoves.sort((a, b) => a.name.localeCompare(b.name))
+
+  return {
+    createdAt: new Date().toISOString(),
+    previousGeneratedAt: previous.metadata?.lastUpdated || null,
+    nextGeneratedAt: next.metadata?.lastUpdated || null,
+    summary: {
+      addedJobs: addedJobs.length,
+      removedJobs: removedJobs.length,
+      changedJobs: changedJobs.length,
+      employeeMoves: employeeMoves.length,
+      employeesWithShiftChanges: shiftChanges.length
+    },
+    addedJobs,
+    removedJobs,
+    changedJobs,
+    employeeMoves,
+    shiftChanges
+  }
+}
+
+/**
+ * Check whether a diff report contains any changes
+ * @param {Object} diff - Diff report from diffDatasets()
+ * @returns {boolean} - True if anything changed
+ */
+export function hasDiffChanges(diff) {
+  if (!diff) return false
+  return Object.values(diff.summary).some(count => count > 0)
+}
@@ -0,0 +1,174 @@
+/**
+ * Data Merge Utility
+ * Combines several transformed datasets (any mix of Format A, Single Company
+ * and DR All Data) into one dataset in the internal format.
+ * Jobs, teams, employees and companies are deduplicated by id; when two files
+ * describe the same job, the file with the newer GeneratedAt wins.
+ */
+
+import { summarizeEmployee } from './shiftRoles'
+
+/**
+ * Compare two datasets by generation time, oldest first
+ * Datasets without a GeneratedAt sort before those with one
+ * @param {Object} a - Entry with dataset and original index
+ * @param {Object} b - Entry with dataset and original index
+ * @returns {number} - Sort comparison result
+ */
+function compareByGeneratedAt(a, b) {
+  const timeA = a.dataset.metadata?.generatedAt ? Date.parse(a.dataset.metadata.generatedAt) : -Infinity
+  const timeB = b.dataset.metadata?.generatedAt ? Date.parse(b.dataset.metadata.generatedAt) : -Infinity
+  if (timeA !== timeB) {
+    return timeA - timeB
+  }
+  // Same (or missing) timestamp: later files in the upload win
+  return a.index - b.index
+}
+
+/**
+ * Merge several transformed datasets into one
+ * @param {Array<Object>} datasets - Results of transformData()
+ * @param {Array<string>} sourceNames - Optional file names, parallel to datasets
+ * @returns {Object} - Merged data in internal format
+ */
+export function mergeDatasets(datasets, sourceNames = []) {
+  if (!Array.isArray(datasets) || datasets.length === 0) {
+    throw new Error('No datasets to merge')
+  }
+
+  if (datasets.length === 1) {
+    return datasets[0]
+  }
+
+  // Process oldest to newest so newer files overwrite older ones
+  const ordered = datasets
+    .map((dataset, index) => ({ dataset, index }))
+    .sort(compareByGeneratedAt)
+
+  const jobMap = new Map()
+  const jobWinner = new Map() // jobId -> original dataset index
+  const teamMap = new Map()
+  const companyMap = new Map()
+  const featureToggles = {}
+  const teamPositions = {}
+
+  ordered.forEach(({ dataset, index }) => {
+    dataset.jobs.forEach(job => {
+      jobMap.set(job.id, job)
+      jobWinner.set(job.id, index)
+    })
+    dataset.teams.forEach(team => teamMap.set(team.id, team))
+    ;(dataset.companies || []).forEach(company => companyMap.set(company.id, company))
+    Object.assign(featureToggles, dataset.metadata?.featureToggles || {})
+    Object.assign(teamPositions, dataset.metadata?.teamPositions || {})
+  })
+
+  const employees = mergeEmployees(ordered, jobWinner)
+    .map(emp => summarizeEmployee(emp, teamPositions))
+  const teams = Array.from(teamMap.values()).sort((a, b) => a.sortOrder - b.sortOrder)
+  const jobs = Array.from(jobMap.values())
+  const companies = Array.from(companyMap.values())
+
+  const metadata = calculateMergedMetadata(datasets, sourceNames, {
+    jobs,
+    teams,
+    employees,
+    companies,
+    featureToggles,
+    teamPositions
+  })
+
+  return {
+    metadata,
+    companies,
+    teams,
+    jobs,
+    employees
+  }
+}
+
+/**
+ * Merge employees across datasets
+ * Profile fields come from the newest file listing the employee; shifts are
+ * unioned, keeping only shifts from the file whose version of the job won
+ * @param {Array<Object>} ordered - Datasets sorted oldest to newest
+ * @param {Map} jobWinner - jobId -> index of the dataset that supplied the job
+ * @returns {Array} - Merged employees
+ */
+function mergeEmployees(ordered, jobWinner) {
+  const employeeMap = new Map()
+
+  ordered.forEach(({ dataset, index }) => {
+    dataset.employees.forEach(emp => {
+      const existing = employeeMap.get(emp.id)
+      const shifts = existing ? existing.shifts : new Map()
+
+      // Only the winning file's crew for a job counts, so an employee the
+      // newer file dropped from a job doesn't keep a stale shift
+      emp.shifts.forEach(shift => {
+        if (jobWinner.get(shift.jobId) === index || !jobWinner.has(shift.jobId)) {
+          shifts.set(shift.jobId, shift)
+        }
+      })
+
+      employeeMap.set(emp.id, { ...emp, shifts })
+    })
+  })
+
+  return Array.from(employeeMap.values())
+    .map(emp => ({ ...emp, shifts: Array.from(emp.shifts.values()) }))
+    .filter(emp => emp.shifts.length > 0)
+}
+
+/**
+ * Recalculate metadata for a merged dataset
+ * @param {Array<Object>} datasets - Source datasets in upload order
+ * @param {Array<string>} sourceNames - File names, parallel to datasets
+ * @param {Object} merged - Merged jobs, teams, employees, companies and toggles
+ * @returns {Object} - Metadata object
+ */
+function calculateMergedMetadata(datasets, sourceNames, merged) {
+  const { jobs, teams, employees, companies, featureToggles, teamPositions } = merged
+
+  // Date range spans every source range plus every merged job date
+  const dates = [
+    ...datasets.flatMap(d => [d.metadata?.dataRange?.startDate, d.metadata?.dataRange?.endDate]),
+    ...jobs.map(job => job.schedule.date)
+  ].filter(Boolean).sort()
+
+  const generatedTimes = datasets
+    .map(d => d.metadata?.generatedAt)
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a) - Date.parse(b))
+  const newestGeneratedAt = generatedTimes.length > 0 ? generatedTimes[generatedTimes.length - 1] : null
+  // Freshness goes by the oldest file; unknown if any file has no GeneratedAt
+  const oldestGeneratedAt = generatedTimes.length === datasets.length && generatedTimes.length > 0 ? generatedTimes[0] : null
+
+  const companyNames = [...new Set(datasets.map(d => d.metadata?.companyName).filter(Boolean))]
+
+  return {
+    companyName: companyNames.length === 1 ? companyNames[0] : `${companies.length || datasets.length} companies`,
+    lastUpdated: newestGeneratedAt || new Date().toISOString(),
+    generatedAt: newestGeneratedAt,
+    oldestGeneratedAt,
+    dataFormat: 'merged',
+    dataVersion: '1.0',
+    dataRange: {
+      startDate: dates.length > 0 ? dates[0] : '',
+      endDate: dates.length > 0 ? dates[dates.length - 1] : ''
+    },
+    stats: {
+      totalJobs: jobs.length,
+      totalTeams: teams.filter(t => t.id !== '0').length,
+      totalEmployees: employees.length
+    },
+    featureToggles,
+    teamPositions,
+    sources: datasets.map((d, index) => ({
+      name: sourceNames[index] || `File ${index + 1}`,
+      dataFormat: d.metadata?.dataFormat || '',
+      generatedAt: d.metadata?.generatedAt || null,
+      totalJobs: d.jobs.length
+    }))
+  }
+}
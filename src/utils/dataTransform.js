@@ -5,14 +5,15 @@
  */
 
 import { format, parseISO, min, max } from 'date-fns'
-import { getPositionById } from '../constants/teamPositions'
+import { windowsToIana, toZonedDateTime } from './timeZones'
+import { summarizeEmployee } from './shiftRoles'
 
 /**
  * Detect which data format is being used
  * @param {Object} jsonData - Raw JSON data
  * @returns {string} - 'formatA', 'drAllData', or 'singleCompany'
  */
-function detectFormat(jsonData) {
+export function detectFormat(jsonData) {
   if (!jsonData) {
     throw new Error('Invalid data: No data provided')
   }
@@ -40,6 +41,26 @@ function detectFormat(jsonData) {
   throw new Error('Unknown data format: Unable to detect format')
 }
 
+/**
+ * Human-readable label for a metadata.dataFormat value
+ * @param {string} dataFormat - 'getall', 'single-company' or 'dr-all-data'
+ * @returns {string} - Display label
+ */
+export function getFormatLabel(dataFormat) {
+  switch (dataFormat) {
+    case 'dr-all-data':
+      return 'DR All Data'
+    case 'single-company':
+      return 'Single Company'
+    case 'getall':
+      return 'Format A'
+    case 'merged':
+      return 'Merged Files'
+    default:
+      return 'Unknown'
+  }
+}
+
 /**
  * Main transformation function - auto-detects format
  * @param {Object} jsonData - Raw JSON data from MaidCentral API
@@ -48,15 +69,78 @@ function detectFormat(jsonData) {
 export function transformData(jsonData) {
   const detectedFormat = detectFormat(jsonData)
 
+  let transformed
   if (detectedFormat === 'formatA') {
-    return transformFormatA(jsonData)
+    transformed = transformFormatA(jsonData)
   } else if (detectedFormat === 'singleCompany') {
-    return transformSingleCompany(jsonData)
+    transformed = transformSingleCompany(jsonData)
   } else {
-    return transformDRAllData(jsonData)
+    transformed = transformDRAllData(jsonData)
+  }
+
+  // Position definitions shipped with the data override the built-in table
+  const teamPositions = extractPositionDefinitions(jsonData)
+
+  return {
+    ...transformed,
+    metadata: { ...transformed.metadata, teamPositions },
+    employees: transformed.employees.map(emp => summarizeEmployee(emp, teamPositions))
   }
 }
 
+/**
+ * Collect TeamPosition definitions from the uploaded data
+ * Reads `TeamPositions` lists (top level, Result, or per service company) and
+ * position names carried on EmployeeSchedules entries
+ * @param {Object} jsonData - Raw JSON data
+ * @returns {Object} - Definitions keyed by position id ({ id, name, color, description })
+ */
+export function extractPositionDefinitions(jsonData) {
+  const definitions = {}
+
+  const addDefinition = (id, fields) => {
+    if (id === undefined || id === null || Number.isNaN(Number(id))) return
+    const definition = { ...(definitions[Number(id)] || {}), id: Number(id) }
+    if (fields.name) definition.name = fields.name
+    if (fields.color) definition.color = fields.color
+    if (fields.description) definition.description = fields.description
+    definitions[Number(id)] = definition
+  }
+
+  const addList = (list) => {
+    if (!Array.isArray(list)) return
+    list.forEach(item => addDefinition(item.TeamPosition ?? item.TeamPositionId ?? item.Id, {
+      name: item.Name || item.TeamPositionName,
+      color: item.Color || item.TeamPositionColor,
+      description: item.Description || item.TeamPositionDescription
+    }))
+  }
+
+  const addSchedules = (jobs) => {
+    if (!Array.isArray(jobs)) return
+    jobs.forEach(job => (job.EmployeeSchedules || []).forEach(schedule => {
+      if (schedule.TeamPositionName) {
+        addDefinition(schedule.TeamPosition || 0, {
+          name: schedule.TeamPositionName,
+          color: schedule.TeamPositionColor
+        })
+      }
+    }))
+  }
+
+  addList(jsonData?.TeamPositions)
+  addList(jsonData?.Result?.TeamPositions)
+  addSchedules(Array.isArray(jsonData?.Result) ? jsonData.Result : jsonData?.Jobs)
+  ;(jsonData?.Result?.ServiceCompanyGroups || []).forEach(group => {
+    ;(group.ServiceCompanies || []).forEach(company => {
+      addList(company.TeamPositions)
+      addSchedules(company.Jobs)
+    })
+  })
+
+  return definitions
+}
+
 /**
  * Main transformation function for Format A (api/jobs/getall)
  * @param {Object} jsonData - Raw JSON data from MaidCentral API
@@ -109,7 +193,9 @@ export function transformSingleCompany(jsonData) {
   // Create company entry from top-level data
   const companies = [{
     id: String(jsonData.ServiceCompanyId),
-    name: jsonData.Name || 'Unknown Company'
+    name: jsonData.Name || 'Unknown Company',
+    timeZoneId: jsonData.TimeZoneInfoId || '',
+    timeZone: windowsToIana(jsonData.TimeZoneInfoId)
   }]
 
   // Extract FeatureToggles from top level
@@ -119,7 +205,8 @@ export function transformSingleCompany(jsonData) {
   const jobsWithCompanyInfo = jobs.map(job => ({
     ...job,
     ServiceCompanyId: jsonData.ServiceCompanyId,
-    ServiceCompanyName: jsonData.Name
+    ServiceCompanyName: jsonData.Name,
+    ServiceCompanyTimeZoneInfoId: jsonData.TimeZoneInfoId
   }))
 
   // Extract unique teams from all jobs (using DR format fields since structure is similar)
@@ -187,6 +274,7 @@ function calculateMetadataSingleCompany(jobs, teams, employees, companyData, fea
   return {
     companyName: companyData.Name || 'MaidCentral',
     lastUpdated: companyData.GeneratedAt || new Date().toISOString(),
+    generatedAt: companyData.GeneratedAt || null,
     dataFormat: 'single-company',
     dataVersion: '1.0',
     dataRange: {
@@ -301,6 +389,7 @@ function transformJob(job) {
     tags,
     scheduledTeams,
     schedule,
+    timeZone: getJobTimeZone(job),
     allowedTime: job.AllowedTime || 0,
     billRate: job.BillRate || 0,
     feeSplitRate: job.FeeSplitRate || 0,
@@ -508,20 +597,39 @@ function extractScheduledTeams(scheduledTeams) {
 }
 
 /**
- * Extract schedule information
+ * Resolve the IANA time zone of a job's company
+ * @param {Object} job - Raw job object (with company info added for DR/Single Company)
+ * @returns {string|null} - IANA zone, or null if the export doesn't say
+ */
+function getJobTimeZone(job) {
+  return windowsToIana(job.ServiceCompanyTimeZoneInfoId || job.TimeZoneInfoId)
+}
+
+/**
+ * Extract schedule information in the company's local time
+ * Keeps full start/end datetimes so overnight and multi-day jobs end after they start
  * @param {Object} job - Raw job object
- * @returns {Object} - Schedule object with date and times
+ * @returns {Object} - Schedule object with date, times, endDate and start/end datetimes
  */
 function extractSchedule(job) {
-  try {
-    const date = job.JobDate ? format(parseISO(job.JobDate), 'yyyy-MM-dd') : ''
-    const startTime = job.ScheduledStartTime ? format(parseISO(job.ScheduledStartTime), 'HH:mm') : ''
-    const endTime = job.ScheduledEndTime ? format(parseISO(job.ScheduledEndTime), 'HH:mm') : ''
+  const timeZone = getJobTimeZone(job)
+  const jobDate = toZonedDateTime(job.JobDate, timeZone)
+  const start = toZonedDateTime(job.ScheduledStartTime, timeZone)
+  const end = toZonedDateTime(job.ScheduledEndTime, timeZone)
 
-    return { date, startTime, endTime }
-  } catch (error) {
-    console.error('Error parsing schedule:', error)
-    return { date: '', startTime: '', endTime: '' }
+  // Take the day from the local start time so JobDate and the start can't land on different days
+  const date = start?.date || jobDate?.date || ''
+  const startTime = start?.time || ''
+  const endTime = end?.time || ''
+  const endDate = end?.date || date
+
+  return {
+    date,
+    startTime,
+    endTime,
+    endDate,
+    start: date && startTime ? `${date}T${startTime}` : '',
+    end: endDate && endTime ? `${endDate}T${endTime}` : ''
   }
 }
 
@@ -543,24 +651,17 @@ function extractEmployees(jobs) {
 
       // If employee doesn't exist, create entry
       if (!employeeMap.has(empId)) {
-        const position = getPositionById(empSchedule.TeamPosition || 0)
-
         employeeMap.set(empId, {
           id: empId,
           firstName: empSchedule.FirstName || '',
           lastName: empSchedule.LastName || '',
           name: `${empSchedule.FirstName || ''} ${empSchedule.LastName || ''}`.trim(),
           teamId: String(empSchedule.TeamListId || '0'),
-          position: {
-            id: position.id,
-            name: position.name,
-            color: position.color
-          },
           shifts: []
         })
       }
 
-      // Add shift for this job
+      // Add shift for this job, keeping the team and position held on it
       const employee = employeeMap.get(empId)
       const schedule = extractSchedule(job)
 
@@ -569,13 +670,19 @@ function extractEmployees(jobs) {
           jobId: String(job.JobInformationId),
           date: schedule.date,
           startTime: schedule.startTime,
-          endTime: schedule.endTime
+          endTime: schedule.endTime,
+          endDate: schedule.endDate,
+          start: schedule.start,
+          end: schedule.end,
+          teamId: String(empSchedule.TeamListId || '0'),
+          positionId: Number(empSchedule.TeamPosition) || 0
         })
       }
     })
   })
 
-  return Array.from(employeeMap.values())
+  // Employee-level team and position summarise the per-shift values
+  return Array.from(employeeMap.values()).map(emp => summarizeEmployee(emp))
 }
 
 /**
@@ -598,6 +705,7 @@ function calculateMetadata(jobs, teams, employees) {
   return {
     companyName: 'MaidCentral',
     lastUpdated: new Date().toISOString(),
+    generatedAt: null, // Format A carries no GeneratedAt timestamp
     dataFormat: 'getall',
     dataRange: {
       startDate,
@@ -671,7 +779,8 @@ function flattenDRAllDataJobs(serviceCompanyGroups) {
           const jobsWithCompanyInfo = company.Jobs.map(job => ({
             ...job,
             ServiceCompanyId: company.ServiceCompanyId,
-            ServiceCompanyName: company.Name
+            ServiceCompanyName: company.Name,
+            ServiceCompanyTimeZoneInfoId: company.TimeZoneInfoId
           }))
           allJobs.push(...jobsWithCompanyInfo)
         }
@@ -695,7 +804,9 @@ function extractCompanies(serviceCompanyGroups) {
       group.ServiceCompanies.forEach(company => {
         companies.push({
           id: String(company.ServiceCompanyId),
-          name: company.Name
+          name: company.Name,
+          timeZoneId: company.TimeZoneInfoId || '',
+          timeZone: windowsToIana(company.TimeZoneInfoId)
         })
       })
     }
@@ -852,6 +963,7 @@ function transformJobDR(job) {
     rooms,
     scheduledTeams,
     schedule,
+    timeZone: getJobTimeZone(job),
     allowedTime: job.AllowedTime || 0,
     // Use BillRate if available, fallback to BaseFeeLog.Amount
     billRate: job.BillRate || job.BaseFeeLog?.Amount || 0,
@@ -963,6 +1075,7 @@ function calculateMetadataDR(jobs, teams, employees, resultData, companyName, fe
   return {
     companyName: companyName,
     lastUpdated: resultData.GeneratedAt || new Date().toISOString(),
+    generatedAt: resultData.GeneratedAt || null,
     dataFormat: 'dr-all-data',
     dataVersion: resultData.DataVersion || '1.0',
     dataRange: {
@@ -0,0 +1,266 @@
+/**
+ * Data Validation Utility
+ * Checks every raw job against the expected shape of its detected format
+ * before transformation, so bad records are reported instead of silently
+ * replaced with defaults like 'Unknown Customer' or '#CCCCCC'.
+ * Errors block an import; warnings are shown but the import can continue.
+ */
+
+import { parseISO, isValid } from 'date-fns'
+import { detectFormat } from './dataTransform'
+import { windowsToIana } from './timeZones'
+
+// detectFormat() result -> metadata.dataFormat value (for getFormatLabel)
+const FORMAT_NAMES = {
+  formatA: 'getall',
+  singleCompany: 'single-company',
+  drAllData: 'dr-all-data'
+}
+
+/**
+ * Check whether a value is a parseable ISO date/time string
+ * @param {*} value - Raw field value
+ * @returns {boolean} - True if parseISO() gives a valid date
+ */
+function isValidDateTime(value) {
+  return typeof value === 'string' && isValid(parseISO(value))
+}
+
+/**
+ * Warn when a company's TimeZoneInfoId is missing or can't be mapped
+ * @param {Object} company - Raw company (or Single Company root) object
+ * @param {string} path - Record path of the company
+ * @param {Function} addIssue - Issue collector
+ */
+function validateTimeZone(company, path, addIssue) {
+  if (!company.TimeZoneInfoId) {
+    addIssue('warning', `${path}TimeZoneInfoId`, 'Missing TimeZoneInfoId; times will be shown as exported')
+  } else if (!windowsToIana(company.TimeZoneInfoId)) {
+    addIssue('warning', `${path}TimeZoneInfoId`, `Unknown TimeZoneInfoId "${company.TimeZoneInfoId}"; times will be shown as exported`)
+  }
+}
+
+/**
+ * Collect raw jobs with their record paths for the detected format
+ * @param {Object} jsonData - Raw JSON data
+ * @param {string} detectedFormat - Result of detectFormat()
+ * @param {Function} addIssue - Issue collector
+ * @returns {Array} - [{ job, path }]
+ */
+function collectJobs(jsonData, detectedFormat, addIssue) {
+  if (detectedFormat === 'formatA') {
+    return jsonData.Result.map((job, i) => ({ job, path: `Result[${i}]` }))
+  }
+
+  if (detectedFormat === 'singleCompany') {
+    validateTimeZone(jsonData, '', addIssue)
+    return jsonData.Jobs.map((job, i) => ({ job, path: `Jobs[${i}]` }))
+  }
+
+  const records = []
+  jsonData.Result.ServiceCompanyGroups.forEach((group, g) => {
+    const groupPath = `Result.ServiceCompanyGroups[${g}]`
+    if (!Array.isArray(group.ServiceCompanies)) {
+      addIssue('warning', `${groupPath}.ServiceCompanies`, 'Company group has no ServiceCompanies array and was skipped')
+      return
+    }
+    group.ServiceCompanies.forEach((company, c) => {
+      const companyPath = `${groupPath}.ServiceCompanies[${c}]`
+      if (!company.ServiceCompanyId) {
+        addIssue('warning', `${companyPath}.ServiceCompanyId`, 'Company is missing ServiceCompanyId')
+      }
+      validateTimeZone(company, `${companyPath}.`, addIssue)
+      if (!Array.isArray(company.Jobs)) {
+        addIssue('warning', `${companyPath}.Jobs`, 'Company has no Jobs array and was skipped')
+        return
+      }
+      company.Jobs.forEach((job, j) => records.push({ job, path: `${companyPath}.Jobs[${j}]` }))
+    })
+  })
+  return records
+}
+
+/**
+ * Check whether a job has a customer name in the fields its format uses
+ * @param {Object} job - Raw job
+ * @param {string} detectedFormat - Result of detectFormat()
+ * @returns {boolean} - True if a customer name is present
+ */
+function hasCustomerName(job, detectedFormat) {
+  if (detectedFormat === 'formatA') {
+    const info = job.CustomerInformation
+    return Boolean(info && (info.CustomerFirstName || info.CustomerLastName))
+  }
+  return Boolean(job.CustomerFullName || job.CustomerFirstName || job.CustomerLastName)
+}
+
+/**
+ * Check whether a job has any address fields in the shape its format uses
+ * @param {Object} job - Raw job
+ * @param {string} detectedFormat - Result of detectFormat()
+ * @returns {boolean} - True if an address is present
+ */
+function hasAddress(job, detectedFormat) {
+  const home = detectedFormat === 'formatA' ? job.HomeInformation : job
+  return Boolean(home && (home.HomeAddress1 || home.HomeCity || home.HomePostalCode))
+}
+
+/**
+ * Validate a single raw job
+ * @param {Object} job - Raw job
+ * @param {string} path - Record path, e.g. "Result[3]"
+ * @param {string} detectedFormat - Result of detectFormat()
+ * @param {Function} addIssue - Issue collector
+ */
+function validateJob(job, path, detectedFormat, addIssue) {
+  if (!job || typeof job !== 'object') {
+    addIssue('error', path, 'Job record is not an object')
+    return
+  }
+
+  const jobId = job.JobInformationId ? String(job.JobInformationId) : null
+
+  if (!jobId) {
+    addIssue('error', `${path}.JobInformationId`, 'Missing JobInformationId')
+  }
+
+  // Schedule
+  if (!job.JobDate) {
+    addIssue('error', `${path}.JobDate`, 'Missing JobDate', jobId)
+  } else if (!isValidDateTime(job.JobDate)) {
+    addIssue('error', `${path}.JobDate`, `Unparseable JobDate "${job.JobDate}"`, jobId)
+  }
+
+  const startValid = isValidDateTime(job.ScheduledStartTime)
+  const endValid = isValidDateTime(job.ScheduledEndTime)
+
+  if (!job.ScheduledStartTime) {
+    addIssue('warning', `${path}.ScheduledStartTime`, 'Missing ScheduledStartTime', jobId)
+  } else if (!startValid) {
+    addIssue('error', `${path}.ScheduledStartTime`, `Unparseable ScheduledStartTime "${job.ScheduledStartTime}"`, jobId)
+  }
+
+  if (!job.ScheduledEndTime) {
+    addIssue('warning', `${path}.ScheduledEndTime`, 'Missing ScheduledEndTime', jobId)
+  } else if (!endValid) {
+    addIssue('error', `${path}.ScheduledEndTime`, `Unparseable ScheduledEndTime "${job.ScheduledEndTime}"`, jobId)
+  }
+
+  if (startValid && endValid && parseISO(job.ScheduledEndTime) < parseISO(job.ScheduledStartTime)) {
+    addIssue('error', `${path}.ScheduledEndTime`, `End time ${job.ScheduledEndTime} is before start time ${job.ScheduledStartTime}`, jobId)
+  }
+
+  // Fields the transform would otherwise fill with placeholders
+  if (!hasCustomerName(job, detectedFormat)) {
+    addIssue('warning', path, 'No customer name; will show as "Unknown Customer"', jobId)
+  }
+
+  if (!hasAddress(job, detectedFormat)) {
+    addIssue('warning', path, 'No address; will show as "Unknown Address"', jobId)
+  }
+
+  // Teams
+  if (job.ScheduledTeams !== undefined && job.ScheduledTeams !== null && !Array.isArray(job.ScheduledTeams)) {
+    addIssue('error', `${path}.ScheduledTeams`, 'ScheduledTeams is not an array', jobId)
+  } else {
+    ;(job.ScheduledTeams || []).forEach((team, t) => {
+      const teamPath = `${path}.ScheduledTeams[${t}]`
+      if (!team.TeamListId) {
+        addIssue('warning', `${teamPath}.TeamListId`, 'Scheduled team has no TeamListId and was ignored', jobId)
+        return
+      }
+      if (!team.TeamListDescription) {
+        addIssue('warning', `${teamPath}.TeamListDescription`, 'Team has no name; will show as "Unknown Team"', jobId)
+      }
+      if (!team.Color) {
+        addIssue('warning', `${teamPath}.Color`, 'Team has no color; defaulting to #CCCCCC', jobId)
+      }
+    })
+  }
+
+  // Employees
+  if (job.EmployeeSchedules !== undefined && job.EmployeeSchedules !== null && !Array.isArray(job.EmployeeSchedules)) {
+    addIssue('error', `${path}.EmployeeSchedules`, 'EmployeeSchedules is not an array', jobId)
+  } else {
+    ;(job.EmployeeSchedules || []).forEach((emp, e) => {
+      const empPath = `${path}.EmployeeSchedules[${e}]`
+      const empName = `${emp.FirstName || ''} ${emp.LastName || ''}`.trim() || 'Employee'
+      if (!emp.EmployeeInformationId) {
+        addIssue('warning', `${empPath}.EmployeeInformationId`, `${empName} has no EmployeeInformationId and was skipped`, jobId)
+        return
+      }
+      if (!emp.TeamListId) {
+        addIssue('warning', `${empPath}.TeamListId`, `${empName} has no TeamListId; will be placed in Unassigned`, jobId)
+      }
+    })
+  }
+}
+
+/**
+ * Validate raw JSON data against the expected shape of its detected format
+ * @param {Object} jsonData - Raw JSON data from MaidCentral API
+ * @returns {Object} - { dataFormat, totalRecords, errors, warnings }
+ *   where each issue is { severity, path, jobId, message }
+ */
+export function validateData(jsonData) {
+  const errors = []
+  const warnings = []
+
+  const addIssue = (severity, path, message, jobId = null) => {
+    const issue = { severity, path, jobId, message }
+    if (severity === 'error') {
+      errors.push(issue)
+    } else {
+      warnings.push(issue)
+    }
+  }
+
+  let detectedFormat
+  try {
+    detectedFormat = detectFormat(jsonData)
+  } catch (formatError) {
+    addIssue('error', '$', formatError.message)
+    return { dataFormat: null, totalRecords: 0, errors, warnings }
+  }
+
+  const records = collectJobs(jsonData, detectedFormat, addIssue)
+  const seenIds = new Map() // jobId -> first record path
+
+  records.forEach(({ job, path }) => {
+    validateJob(job, path, detectedFormat, addIssue)
+
+    const jobId = job?.JobInformationId ? String(job.JobInformationId) : null
+    if (!jobId) return
+
+    if (seenIds.has(jobId)) {
+      addIssue('error', `${path}.JobInformationId`, `Duplicate job id ${jobId} (first seen at ${seenIds.get(jobId)})`, jobId)
+    } else {
+      seenIds.set(jobId, path)
+    }
+  })
+
+  return {
+    dataFormat: FORMAT_NAMES[detectedFormat],
+    totalRecords: records.length,
+    errors,
+    warnings
+  }
+}
+
+/**
+ * Check whether any validation report contains errors
+ * @param {Array<Object>} reports - Reports from validateData()
+ * @returns {boolean} - True if the import must be blocked
+ */
+export function hasValidationErrors(reports) {
+  return reports.some(report => report.errors.length > 0)
+}
+
+/**
+ * Check whether any validation report contains warnings
+ * @param {Array<Object>} reports - Reports from validateData()
+ * @returns {boolean} - True if there is something to review
+ */
+export function hasValidationWarnings(reports) {
+  return reports.some(report => report.warnings.length > 0)
+}
@@ -0,0 +1,52 @@
+/**
+ * Download Utility
+ * Saves generated files (JSON, CSV, images, archives) through a temporary
+ * object URL and link click, and builds CSV text.
+ */
+
+/**
+ * Trigger a browser download
+ * @param {Blob|string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type when content is a string
+ */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Quote one CSV field when it contains a delimiter, quote or line break
+ * @param {any} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build CSV text (RFC 4180, CRLF line endings)
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array>} rows - Row values in header order
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')
+}
+
+/**
+ * Make text safe to use in a file name
+ * @param {string} text - e.g. a team or customer name
+ * @returns {string}
+ */
+export function toFileNamePart(text) {
+  return String(text || '').trim().replace(/[^\w.-]+/g, '_') || 'export'
+}
@@ -0,0 +1,111 @@
+/**
+ * Employee Scope Utility
+ * Narrows a dataset to the jobs of one employee for technician "My Schedule"
+ * mode, or to the companies a signed-in user belongs to, and builds an
+ * employee's day-by-day agenda.
+ */
+
+import { format } from 'date-fns'
+import { getScheduleRange } from './scheduleTime'
+
+/**
+ * Recount the dashboard stats of a narrowed dataset
+ * @param {Object} data - Scoped dataset
+ * @returns {Object} - Dataset with metadata.stats matching its jobs
+ */
+function withScopedStats(data) {
+  const teamIds = new Set(data.jobs.flatMap(job => job.scheduledTeams))
+  return {
+    ...data,
+    metadata: {
+      ...data.metadata,
+      stats: {
+        ...data.metadata?.stats,
+        totalJobs: data.jobs.length,
+        totalEmployees: data.employees.length,
+        totalTeams: teamIds.size
+      }
+    }
+  }
+}
+
+/**
+ * Restrict a dataset to the jobs one employee is scheduled on
+ * Crewmates stay visible, but only on the shared jobs
+ * @param {Object} data - Transformed data
+ * @param {string} employeeId - Employee id
+ * @returns {Object} - Dataset containing only the employee's jobs
+ */
+export function scopeDataToEmployee(data, employeeId) {
+  if (!data) return data
+
+  const employee = data.employees.find(emp => emp.id === employeeId)
+  const jobIds = new Set((employee?.shifts || []).map(shift => shift.jobId))
+
+  const employees = data.employees
+    .map(emp => ({ ...emp, shifts: emp.shifts.filter(shift => jobIds.has(shift.jobId)) }))
+    .filter(emp => emp.shifts.length > 0)
+
+  return withScopedStats({
+    ...data,
+    jobs: data.jobs.filter(job => jobIds.has(job.id)),
+    employees,
+    scopedEmployeeId: employeeId
+  })
+}
+
+/**
+ * Restrict a dataset to a set of companies
+ * Jobs without a company id (Format A data) are kept
+ * @param {Object} data - Transformed data
+ * @param {Array} companyIds - Allowed company ids
+ * @returns {Object} - Dataset containing only those companies' jobs
+ */
+export function scopeDataToCompanies(data, companyIds) {
+  if (!data) return data
+
+  const allowed = new Set(companyIds)
+  const jobs = data.jobs.filter(job => !job.companyId || allowed.has(job.companyId))
+  const jobIds = new Set(jobs.map(job => job.id))
+
+  return withScopedStats({
+    ...data,
+    companies: (data.companies || []).filter(company => allowed.has(company.id)),
+    jobs,
+    employees: data.employees
+      .map(emp => ({ ...emp, shifts: emp.shifts.filter(shift => jobIds.has(shift.jobId)) }))
+      .filter(emp => emp.shifts.length > 0)
+  })
+}
+
+/**
+ * Build an agenda of an employee's shifts from a date onwards, grouped by day
+ * @param {Object} data - Transformed data
+ * @param {string} employeeId - Employee id
+ * @param {string} fromDate - First date to include (yyyy-MM-dd), defaults to today
+ * @returns {Array} - [{ date, items: [{ shift, job }] }] sorted by date and start time
+ */
+export function getEmployeeAgenda(data, employeeId, fromDate = format(new Date(), 'yyyy-MM-dd')) {
+  const employee = data?.employees.find(emp => emp.id === employeeId)
+  if (!employee) return []
+
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+  const days = new Map()
+
+  employee.shifts
+    .filter(shift => shift.date >= fromDate)
+    .map(shift => ({ shift, job: jobsById.get(shift.jobId) || null }))
+    .sort((a, b) => {
+      const startA = getScheduleRange(a.shift)?.start?.getTime() ?? 0
+      const startB = getScheduleRange(b.shift)?.start?.getTime() ?? 0
+      return a.shift.date.localeCompare(b.shift.date) || startA - startB
+    })
+    .forEach(item => {
+      if (!days.has(item.shift.date)) {
+        days.set(item.shift.date, [])
+      }
+      days.get(item.shift.date).push(item)
+    })
+
+  return Array.from(days.entries()).map(([date, items]) => ({ date, items }))
+}
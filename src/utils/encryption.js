@@ -0,0 +1,106 @@
+/**
+ * Encryption Utility
+ * WebCrypto helpers for optional at-rest encryption of stored schedule data.
+ * Values are JSON-serialised and sealed with AES-GCM using a key derived from
+ * a passphrase via PBKDF2-SHA-256. The key is non-extractable and only ever
+ * held in memory.
+ */
+
+const PBKDF2_ITERATIONS = 250000
+
+// Known plaintext sealed with the key so a wrong passphrase is detected up front
+const VERIFIER_TEXT = 'mc_backup:encryption-check'
+
+/**
+ * Whether a stored value is an encrypted envelope
+ * @param {any} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return Boolean(value && value.encrypted === true && value.iv && value.ciphertext)
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ */
+export async function deriveStorageKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * Encrypt a JSON-serialisable value
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {any} value - Value to encrypt
+ * @returns {Promise<Object>} - { encrypted: true, iv, ciphertext }
+ */
+export async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  )
+  return { encrypted: true, iv, ciphertext }
+}
+
+/**
+ * Decrypt an envelope created by encryptValue
+ * Throws if the key is wrong or the data was tampered with
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {Promise<any>} - Decrypted value
+ */
+export async function decryptValue(key, envelope) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: envelope.iv },
+    key,
+    envelope.ciphertext
+  )
+  return JSON.parse(new TextDecoder().decode(plaintext))
+}
+
+/**
+ * Create the stored encryption settings for a new passphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} - { key, config: { salt, iterations, verifier } }
+ */
+export async function createEncryptionConfig(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const key = await deriveStorageKey(passphrase, salt, PBKDF2_ITERATIONS)
+  const verifier = await encryptValue(key, VERIFIER_TEXT)
+  return { key, config: { salt, iterations: PBKDF2_ITERATIONS, verifier } }
+}
+
+/**
+ * Derive the key for a passphrase and check it against the stored verifier
+ * @param {string} passphrase - Passphrase entered
+ * @param {Object} config - Stored encryption settings
+ * @returns {Promise<CryptoKey|null>} - Key, or null if the passphrase is wrong
+ */
+export async function unlockEncryptionKey(passphrase, config) {
+  try {
+    const key = await deriveStorageKey(passphrase, config.salt, config.iterations)
+    const text = await decryptValue(key, config.verifier)
+    return text === VERIFIER_TEXT ? key : null
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong key
+    return null
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Data Freshness Utility
+ * Decides how stale the loaded schedule is (from metadata.generatedAt, when
+ * the export was made, not when it was imported) and whether a selected date
+ * falls inside the exported metadata.dataRange.
+ */
+
+import { parseISO, isValid, differenceInMinutes, format } from 'date-fns'
+
+/**
+ * Default freshness thresholds, in hours since the data was generated
+ */
+export const DEFAULT_FRESHNESS_THRESHOLDS = {
+  warningHours: 24,
+  criticalHours: 72
+}
+
+/**
+ * Work out how fresh the loaded data is
+ * Exports without a GeneratedAt (e.g. Format A) have an unknown age: the
+ * import time says nothing about how old the schedule is. Merged files are
+ * measured from the oldest one, so one stale location isn't hidden.
+ * @param {Object} metadata - Dataset metadata
+ * @param {Object} thresholds - { warningHours, criticalHours }
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { level: 'fresh'|'warning'|'critical'|'unknown', ageHours, generatedAt },
+ *                          ageHours and generatedAt null when unknown; null without metadata
+ */
+export function getDataFreshness(metadata, thresholds = DEFAULT_FRESHNESS_THRESHOLDS, now = new Date()) {
+  if (!metadata) return null
+
+  // Merged data is as old as its oldest file (generatedAt there is the newest, for ordering)
+  const generatedAtValue = 'oldestGeneratedAt' in metadata ? metadata.oldestGeneratedAt : metadata.generatedAt
+  const generatedAt = generatedAtValue ? parseISO(generatedAtValue) : null
+  if (!generatedAt || !isValid(generatedAt)) {
+    return { level: 'unknown', ageHours: null, generatedAt: null }
+  }
+
+  const ageHours = Math.max(0, differenceInMinutes(now, generatedAt)) / 60
+  const { warningHours, criticalHours } = { ...DEFAULT_FRESHNESS_THRESHOLDS, ...thresholds }
+
+  let level = 'fresh'
+  if (ageHours >= criticalHours) {
+    level = 'critical'
+  } else if (ageHours >= warningHours) {
+    level = 'warning'
+  }
+
+  return { level, ageHours, generatedAt }
+}
+
+/**
+ * Describe an age in hours for display
+ * @param {number} ageHours - Age in hours
+ * @returns {string} - e.g. "45 minutes", "5 hours", "3 days"
+ */
+export function formatAge(ageHours) {
+  if (ageHours < 1) {
+    const minutes = Math.round(ageHours * 60)
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  }
+  if (ageHours < 48) {
+    const hours = Math.floor(ageHours)
+    return `${hours} hour${hours === 1 ? '' : 's'}`
+  }
+  return `${Math.floor(ageHours / 24)} days`
+}
+
+/**
+ * Check whether a date falls inside the exported date range
+ * Datasets without a known range are treated as covering every date
+ * @param {string} date - Date (yyyy-MM-dd)
+ * @param {Object} dataRange - { startDate, endDate }
+ * @returns {boolean} - True if data was exported for the date
+ */
+export function isDateInDataRange(date, dataRange) {
+  if (!date || !dataRange?.startDate || !dataRange?.endDate) return true
+  return date >= dataRange.startDate && date <= dataRange.endDate
+}
+
+/**
+ * Format a data range for display
+ * @param {Object} dataRange - { startDate, endDate }
+ * @returns {string} - e.g. "Dec 10, 2025 to Dec 16, 2025"
+ */
+export function formatDataRange(dataRange) {
+  if (!dataRange?.startDate || !dataRange?.endDate) return 'Unknown'
+  const toLabel = (date) => format(parseISO(date), 'MMM d, yyyy')
+  return `${toLabel(dataRange.startDate)} to ${toLabel(dataRange.endDate)}`
+}
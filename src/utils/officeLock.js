@@ -0,0 +1,131 @@
+/**
+ * Office Lock Utility
+ * Office PIN/passphrase settings. The PIN itself is never stored: only a
+ * random salt and a PBKDF2-SHA-256 hash, kept in localStorage next to the
+ * user preferences.
+ */
+
+const OFFICE_LOCK_KEY = 'mc_backup_office_lock'
+
+const PBKDF2_ITERATIONS = 150000
+
+/**
+ * Default office lock settings (no PIN set, so office mode is open)
+ */
+export const DEFAULT_OFFICE_LOCK = {
+  salt: null,
+  hash: null,
+  iterations: PBKDF2_ITERATIONS,
+  idleMinutes: 10 // Office mode locks again after this long without activity
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Base64 string
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+}
+
+/**
+ * Decode a base64 string
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} - Bytes
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0))
+}
+
+/**
+ * Derive the PBKDF2 hash of a PIN
+ * @param {string} pin - PIN or passphrase
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<string>} - Base64 hash
+ */
+async function derivePinHash(pin, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    keyMaterial,
+    256
+  )
+  return toBase64(new Uint8Array(bits))
+}
+
+/**
+ * Load office lock settings from localStorage
+ * @returns {Object} - Settings or defaults if not found
+ */
+export function loadOfficeLock() {
+  try {
+    const stored = localStorage.getItem(OFFICE_LOCK_KEY)
+    if (!stored) {
+      return DEFAULT_OFFICE_LOCK
+    }
+    return { ...DEFAULT_OFFICE_LOCK, ...JSON.parse(stored) }
+  } catch (error) {
+    console.error('Error loading office lock settings:', error)
+    return DEFAULT_OFFICE_LOCK
+  }
+}
+
+/**
+ * Save office lock settings to localStorage
+ * @param {Object} settings - Settings to save
+ * @returns {boolean} - Success status
+ */
+export function saveOfficeLock(settings) {
+  try {
+    localStorage.setItem(OFFICE_LOCK_KEY, JSON.stringify({ ...DEFAULT_OFFICE_LOCK, ...settings }))
+    return true
+  } catch (error) {
+    console.error('Error saving office lock settings:', error)
+    return false
+  }
+}
+
+/**
+ * Whether an office PIN has been set
+ * @param {Object} settings - Office lock settings
+ * @returns {boolean}
+ */
+export function hasOfficePin(settings) {
+  return Boolean(settings?.salt && settings?.hash)
+}
+
+/**
+ * Hash a new PIN with a fresh random salt
+ * @param {string} pin - PIN or passphrase
+ * @returns {Promise<Object>} - { salt, hash, iterations }
+ */
+export async function createPinHash(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const hash = await derivePinHash(pin, salt, PBKDF2_ITERATIONS)
+  return { salt: toBase64(salt), hash, iterations: PBKDF2_ITERATIONS }
+}
+
+/**
+ * Check a PIN against the stored hash
+ * @param {string} pin - PIN or passphrase entered
+ * @param {Object} settings - Office lock settings
+ * @returns {Promise<boolean>} - True if the PIN matches
+ */
+export async function verifyPin(pin, settings) {
+  if (!hasOfficePin(settings)) return true
+
+  try {
+    const hash = await derivePinHash(pin, fromBase64(settings.salt), settings.iterations || PBKDF2_ITERATIONS)
+    return hash === settings.hash
+  } catch (error) {
+    console.error('Error verifying office PIN:', error)
+    return false
+  }
+}
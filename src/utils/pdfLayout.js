@@ -0,0 +1,431 @@
+/**
+ * PDF Layout Utility
+ * A small layout engine on jsPDF's text and drawing primitives. It keeps a
+ * cursor, wraps text to the page width, starts a new page (with a running
+ * header) when content doesn't fit, repeats table headers, marks cards that
+ * carry on over a page break and numbers the pages when the document is
+ * finished. Everything is vector text, so it stays sharp and selectable.
+ */
+
+import jsPDF from 'jspdf'
+
+/**
+ * Supported page sizes (jsPDF format names)
+ */
+export const PAGE_SIZES = {
+  letter: { label: 'Letter', format: 'letter' },
+  a4: { label: 'A4', format: 'a4' }
+}
+
+/**
+ * Supported orientations
+ */
+export const ORIENTATIONS = {
+  portrait: 'Portrait',
+  landscape: 'Landscape'
+}
+
+export const DEFAULT_PDF_OPTIONS = {
+  pageSize: 'letter',
+  orientation: 'portrait'
+}
+
+// Layout in points (1/72 in)
+const MARGIN = 40
+const RUNNING_HEADER_HEIGHT = 30
+const FOOTER_HEIGHT = 28
+const CARD_PADDING = 10
+const CELL_PADDING = 4
+const LINE_HEIGHT = 1.25
+
+// A card needs room for its title and a couple of lines before it may start
+const MIN_CARD_START = 70
+
+const TEXT_COLOR = '#1A1A1A'
+const MUTED_COLOR = '#6B7280'
+const BORDER_COLOR = '#D1D5DB'
+const TABLE_HEADER_FILL = '#F3F4F6'
+
+// Characters the built-in PDF fonts can't draw, and their stand-ins
+const TEXT_REPLACEMENTS = [
+  [/[\u2018\u2019]/g, "'"],
+  [/[\u201C\u201D]/g, '"'],
+  [/[\u2013\u2014]/g, '-'],
+  [/\u2022/g, '-'],
+  [/\u2192/g, '->'],
+  [/\u2026/g, '...'],
+  [/[\u00A0\t]/g, ' '],
+  [/\r/g, '']
+]
+
+/**
+ * Make text safe for the built-in (WinAnsi) PDF fonts
+ * @param {any} value - Text
+ * @returns {string}
+ */
+export function toPdfText(value) {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  TEXT_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement)
+  })
+  return text.replace(/[^\n\x20-\xFF]/g, '?')
+}
+
+/**
+ * Plain text from the HTML the export uses for instructions and memos
+ * @param {string} html - HTML fragment
+ * @returns {string} - Text with line breaks kept
+ */
+export function htmlToText(html) {
+  if (!html) return ''
+  const withBreaks = String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+
+  let text
+  if (typeof DOMParser !== 'undefined') {
+    text = new DOMParser().parseFromString(withBreaks, 'text/html').body.textContent || ''
+  } else {
+    text = withBreaks
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+  }
+  return text.replace(/\n{3,}/g, '\n\n').trim()
+}
+
+/**
+ * Create a document to lay content out in
+ * @param {Object} options - { pageSize, orientation, title, subtitle, footerText }
+ *                           title/subtitle form the running header of continuation pages
+ * @returns {Object} - Layout with drawing methods; call finish() for the jsPDF document
+ */
+export function createPdfLayout({ pageSize, orientation, title = '', subtitle = '', footerText = '' } = {}) {
+  const doc = new jsPDF({
+    unit: 'pt',
+    format: (PAGE_SIZES[pageSize] || PAGE_SIZES[DEFAULT_PDF_OPTIONS.pageSize]).format,
+    orientation: ORIENTATIONS[orientation] ? orientation : DEFAULT_PDF_OPTIONS.orientation
+  })
+
+  const pageWidth = doc.internal.pageSize.getWidth()
+  const pageHeight = doc.internal.pageSize.getHeight()
+  const contentWidth = pageWidth - MARGIN * 2
+  const bottom = pageHeight - MARGIN - FOOTER_HEIGHT
+
+  let y = MARGIN
+  let header = { title, subtitle }
+  // Open card: { title, accent, top }
+  let card = null
+  // Open table, so its header row repeats after a page break
+  let tableHeader = null
+
+  const left = () => MARGIN + (card ? CARD_PADDING : 0)
+  const innerWidth = () => contentWidth - (card ? CARD_PADDING * 2 : 0)
+  const lineHeight = (size) => size * LINE_HEIGHT
+
+  const setFont = (size, style = 'normal', color = TEXT_COLOR) => {
+    doc.setFont('helvetica', style)
+    doc.setFontSize(size)
+    doc.setTextColor(color)
+  }
+
+  const drawCardFrame = (top, end) => {
+    doc.setDrawColor(BORDER_COLOR)
+    doc.setLineWidth(0.75)
+    doc.roundedRect(MARGIN, top, contentWidth, end - top, 4, 4, 'S')
+    if (card?.accent) {
+      doc.setFillColor(card.accent)
+      doc.rect(MARGIN, top + 2, 3, end - top - 4, 'F')
+    }
+  }
+
+  const drawRunningHeader = () => {
+    setFont(9, 'bold')
+    doc.text(toPdfText(header.title), MARGIN, MARGIN, { baseline: 'top' })
+    if (header.subtitle) {
+      setFont(9, 'normal', MUTED_COLOR)
+      doc.text(toPdfText(header.subtitle), pageWidth - MARGIN, MARGIN, { baseline: 'top', align: 'right' })
+    }
+    doc.setDrawColor(BORDER_COLOR)
+    doc.setLineWidth(0.5)
+    doc.line(MARGIN, MARGIN + 14, pageWidth - MARGIN, MARGIN + 14)
+    y = MARGIN + RUNNING_HEADER_HEIGHT
+  }
+
+  /**
+   * Continue on a new page: close the open card's frame with a "continued"
+   * marker, then repeat the running header, the card title and the table header
+   */
+  const addPage = () => {
+    if (card) {
+      drawCardFrame(card.top, y + CARD_PADDING / 2)
+      setFont(8, 'italic', MUTED_COLOR)
+      doc.text('Continued on next page', pageWidth - MARGIN, bottom + 2, { baseline: 'top', align: 'right' })
+    }
+
+    doc.addPage()
+    drawRunningHeader()
+
+    if (card) {
+      card.top = y
+      y += CARD_PADDING
+      setFont(10, 'bold', MUTED_COLOR)
+      doc.text(`${toPdfText(card.title)} (continued)`, left(), y, { baseline: 'top' })
+      y += lineHeight(10) + 4
+    }
+    if (tableHeader) {
+      tableHeader()
+    }
+  }
+
+  /**
+   * Start a new page unless the next `height` points fit
+   * @param {number} height - Space needed
+   */
+  const ensureSpace = (height) => {
+    if (y + height > bottom) addPage()
+  }
+
+  /**
+   * Wrapped text, breaking pages between lines
+   * @param {string} content - Text (line breaks kept)
+   * @param {Object} options - { size, style, color, indent, align }
+   */
+  const text = (content, { size = 10, style = 'normal', color = TEXT_COLOR, indent = 0, align = 'left' } = {}) => {
+    const value = toPdfText(content)
+    if (!value) return
+    setFont(size, style, color)
+    const width = innerWidth() - indent
+    const lines = doc.splitTextToSize(value, width)
+    lines.forEach(line => {
+      ensureSpace(lineHeight(size))
+      setFont(size, style, color)
+      const x = align === 'right' ? left() + innerWidth() : left() + indent
+      doc.text(line, x, y, { baseline: 'top', align })
+      y += lineHeight(size)
+    })
+  }
+
+  /**
+   * "Label: value" with a bold label and the value wrapped beside it
+   * @param {string} label - Field label
+   * @param {string} value - Field value (skipped when empty)
+   * @param {Object} options - { size, color }
+   */
+  const field = (label, value, { size = 10, color = TEXT_COLOR } = {}) => {
+    const valueText = toPdfText(value)
+    if (!valueText) return
+    const labelText = `${toPdfText(label)}: `
+    setFont(size, 'bold', color)
+    const labelWidth = doc.getTextWidth(labelText)
+    setFont(size, 'normal', color)
+    const lines = doc.splitTextToSize(valueText, innerWidth() - labelWidth)
+
+    lines.forEach((line, index) => {
+      ensureSpace(lineHeight(size))
+      if (index === 0) {
+        setFont(size, 'bold', color)
+        doc.text(labelText, left(), y, { baseline: 'top' })
+      }
+      setFont(size, 'normal', color)
+      doc.text(line, left() + labelWidth, y, { baseline: 'top' })
+      y += lineHeight(size)
+    })
+  }
+
+  /**
+   * Section heading, kept on the same page as the line after it
+   * @param {string} content - Heading text
+   * @param {Object} options - { size, color }
+   */
+  const heading = (content, { size = 13, color = TEXT_COLOR } = {}) => {
+    ensureSpace(lineHeight(size) + lineHeight(10) * 2)
+    setFont(size, 'bold', color)
+    doc.text(toPdfText(content), left(), y, { baseline: 'top' })
+    y += lineHeight(size) + 4
+  }
+
+  /**
+   * Title line with text aligned to the right edge (e.g. customer and time)
+   * @param {string} leftText - Bold text on the left
+   * @param {string} rightText - Text on the right
+   * @param {Object} options - { size, color }
+   */
+  const titleRow = (leftText, rightText, { size = 12, color = TEXT_COLOR } = {}) => {
+    setFont(10, 'bold')
+    const rightWidth = rightText ? doc.getTextWidth(toPdfText(rightText)) + 12 : 0
+    setFont(size, 'bold', color)
+    const lines = doc.splitTextToSize(toPdfText(leftText), innerWidth() - rightWidth)
+    ensureSpace(lineHeight(size) * lines.length)
+    if (rightText) {
+      setFont(10, 'bold')
+      doc.text(toPdfText(rightText), left() + innerWidth(), y + (size - 10) / 2, { baseline: 'top', align: 'right' })
+    }
+    setFont(size, 'bold', color)
+    lines.forEach(line => {
+      doc.text(line, left(), y, { baseline: 'top' })
+      y += lineHeight(size)
+    })
+  }
+
+  /**
+   * Table with wrapped cells; the header row repeats on every page it spans
+   * @param {Array} columns - [{ header, width (share of the width), align }]
+   * @param {Array<Array>} rows - Cell values in column order
+   * @param {Object} options - { size }
+   */
+  const table = (columns, rows, { size = 9 } = {}) => {
+    const totalShare = columns.reduce((sum, column) => sum + (column.width || 1), 0)
+    const widths = columns.map(column => innerWidth() * (column.width || 1) / totalShare)
+
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      setFont(size, bold ? 'bold' : 'normal')
+      const cellLines = cells.map((cell, index) =>
+        doc.splitTextToSize(toPdfText(cell), widths[index] - CELL_PADDING * 2)
+      )
+      const height = Math.max(1, ...cellLines.map(lines => lines.length)) * lineHeight(size) + CELL_PADDING * 2
+
+      let x = left()
+      cellLines.forEach((lines, index) => {
+        doc.setDrawColor(BORDER_COLOR)
+        doc.setLineWidth(0.5)
+        if (fill) {
+          doc.setFillColor(fill)
+          doc.rect(x, y, widths[index], height, 'FD')
+        } else {
+          doc.rect(x, y, widths[index], height, 'S')
+        }
+        setFont(size, bold ? 'bold' : 'normal')
+        const align = columns[index].align || 'left'
+        const textX = align === 'right'
+          ? x + widths[index] - CELL_PADDING
+          : align === 'center' ? x + widths[index] / 2 : x + CELL_PADDING
+        lines.forEach((line, lineIndex) => {
+          doc.text(line, textX, y + CELL_PADDING + lineIndex * lineHeight(size), { baseline: 'top', align })
+        })
+        x += widths[index]
+      })
+      y += height
+      return height
+    }
+
+    const measureRow = (cells) => {
+      setFont(size)
+      const lineCount = Math.max(1, ...cells.map((cell, index) =>
+        doc.splitTextToSize(toPdfText(cell), widths[index] - CELL_PADDING * 2).length
+      ))
+      return lineCount * lineHeight(size) + CELL_PADDING * 2
+    }
+
+    const headerCells = columns.map(column => column.header)
+    const drawHeader = () => drawRow(headerCells, { bold: true, fill: TABLE_HEADER_FILL })
+
+    // Header plus the first row stay together
+    ensureSpace(measureRow(headerCells) + (rows[0] ? measureRow(rows[0]) : 0))
+    drawHeader()
+    tableHeader = drawHeader
+
+    rows.forEach(row => {
+      ensureSpace(measureRow(row))
+      drawRow(row)
+    })
+
+    tableHeader = null
+    y += 8
+  }
+
+  /**
+   * Start a bordered card; it may run across pages
+   * @param {string} cardTitle - Repeated as "<title> (continued)" after a page break
+   * @param {Object} options - { accent } color of the bar on the left edge
+   */
+  const beginCard = (cardTitle, { accent = null } = {}) => {
+    ensureSpace(MIN_CARD_START)
+    card = { title: cardTitle, accent, top: y }
+    y += CARD_PADDING
+  }
+
+  /**
+   * Close the open card
+   */
+  const endCard = () => {
+    if (!card) return
+    y += CARD_PADDING / 2
+    drawCardFrame(card.top, y)
+    card = null
+    y += 10
+  }
+
+  /**
+   * Horizontal rule across the content width
+   * @param {string} color - Line color
+   */
+  const rule = (color = BORDER_COLOR) => {
+    ensureSpace(8)
+    doc.setDrawColor(color)
+    doc.setLineWidth(1)
+    doc.line(left(), y + 2, left() + innerWidth(), y + 2)
+    y += 10
+  }
+
+  /**
+   * Vertical space
+   * @param {number} height - Points
+   */
+  const space = (height) => {
+    y += height
+  }
+
+  /**
+   * Start a new part of the document (e.g. the next team) on a fresh page
+   * with its own running header
+   * @param {Object} sectionHeader - { title, subtitle }
+   */
+  const startSection = (sectionHeader) => {
+    const isBlankPage = y === MARGIN && doc.getNumberOfPages() === 1
+    header = { ...header, ...sectionHeader }
+    if (!isBlankPage) {
+      doc.addPage()
+      y = MARGIN
+    }
+  }
+
+  /**
+   * Number the pages and add the footer
+   * @returns {jsPDF} - The finished document
+   */
+  const finish = () => {
+    const pageCount = doc.getNumberOfPages()
+    for (let page = 1; page <= pageCount; page++) {
+      doc.setPage(page)
+      setFont(8, 'normal', MUTED_COLOR)
+      const footerY = pageHeight - MARGIN - 8
+      if (footerText) {
+        doc.text(toPdfText(footerText), MARGIN, footerY, { baseline: 'top' })
+      }
+      doc.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, footerY, { baseline: 'top', align: 'right' })
+    }
+    return doc
+  }
+
+  return {
+    doc,
+    text,
+    field,
+    heading,
+    titleRow,
+    table,
+    beginCard,
+    endCard,
+    rule,
+    space,
+    ensureSpace,
+    startSection,
+    finish
+  }
+}
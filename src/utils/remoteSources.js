@@ -0,0 +1,202 @@
+/**
+ * Remote Sources Utility
+ * Configuration and fetching for schedule files published on a blob/HTTP
+ * endpoint (e.g. Azure Blob `{servicecompanyid}_schedules.json` files).
+ * The source list lives in localStorage like user preferences, without its
+ * credentials: SAS tokens and header values go to the IndexedDB settings
+ * store, which seals them when at-rest encryption is on. The last good
+ * dataset of each source is cached there too, so a failed fetch never
+ * removes a company's schedule.
+ */
+
+import { transformData } from './dataTransform'
+import { validateData } from './dataValidation'
+import { DataStorage } from './storage'
+
+const REMOTE_CONFIG_KEY = 'mc_backup_remote_sources'
+
+// Settings-store key prefix for each source's last good transformed dataset
+const LAST_GOOD_PREFIX = 'remoteSource:'
+
+// Settings-store key holding each source's credentials ({ [sourceId]: { sasToken, headerValue } })
+const SECRETS_KEY = 'remoteSourceSecrets'
+
+// Source fields that are credentials and never go to localStorage
+const SECRET_FIELDS = ['sasToken', 'headerValue']
+
+/**
+ * Default remote sources configuration
+ */
+export const DEFAULT_REMOTE_CONFIG = {
+  sources: [],
+  pollIntervalMinutes: 15,
+  lastSyncAt: null,
+  snapshotId: null // Snapshot that remote fetches are written into
+}
+
+/**
+ * Create a new source entry
+ * @param {Object} fields - { url, sasToken, headerName, headerValue }
+ * @returns {Object} - Source with status fields
+ */
+export function createRemoteSource(fields) {
+  return {
+    id: `src_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    url: fields.url.trim(),
+    sasToken: (fields.sasToken || '').trim(),
+    headerName: (fields.headerName || '').trim(),
+    headerValue: fields.headerValue || '',
+    enabled: true,
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    lastGeneratedAt: null
+  }
+}
+
+/**
+ * Load remote sources configuration from localStorage
+ * @returns {Object} - Configuration or defaults if not found
+ */
+export function loadRemoteConfig() {
+  try {
+    const stored = localStorage.getItem(REMOTE_CONFIG_KEY)
+    if (!stored) {
+      return DEFAULT_REMOTE_CONFIG
+    }
+    return { ...DEFAULT_REMOTE_CONFIG, ...JSON.parse(stored) }
+  } catch (error) {
+    console.error('Error loading remote sources:', error)
+    return DEFAULT_REMOTE_CONFIG
+  }
+}
+
+/**
+ * Save remote sources configuration to localStorage, without credentials
+ * (see saveRemoteSecrets)
+ * @param {Object} config - Configuration to save
+ * @returns {boolean} - Success status
+ */
+export function saveRemoteConfig(config) {
+  try {
+    const sources = (config.sources || []).map(source => {
+      const metadata = { ...source }
+      SECRET_FIELDS.forEach(field => delete metadata[field])
+      return metadata
+    })
+    localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify({ ...DEFAULT_REMOTE_CONFIG, ...config, sources }))
+    return true
+  } catch (error) {
+    console.error('Error saving remote sources:', error)
+    return false
+  }
+}
+
+/**
+ * Credentials of the sources, keyed by source id
+ * @param {Array} sources - Remote sources
+ * @returns {Object} - { [sourceId]: { sasToken, headerValue } } for sources that have any
+ */
+export function getRemoteSecrets(sources) {
+  const secrets = {}
+  sources.forEach(source => {
+    if (SECRET_FIELDS.some(field => source[field])) {
+      secrets[source.id] = Object.fromEntries(SECRET_FIELDS.map(field => [field, source[field] || '']))
+    }
+  })
+  return secrets
+}
+
+/**
+ * Load source credentials from the settings store
+ * @returns {Promise<Object>} - { [sourceId]: { sasToken, headerValue } }
+ */
+export async function loadRemoteSecrets() {
+  return (await DataStorage.getSetting(SECRETS_KEY)) || {}
+}
+
+/**
+ * Save source credentials to the settings store (sealed when encryption is on)
+ * @param {Array} sources - Remote sources
+ * @returns {Promise<boolean>} - Success status
+ */
+export function saveRemoteSecrets(sources) {
+  const secrets = getRemoteSecrets(sources)
+  return DataStorage.setSetting(SECRETS_KEY, Object.keys(secrets).length > 0 ? secrets : null)
+}
+
+/**
+ * Build the request URL, appending the SAS token query string if set
+ * @param {Object} source - Remote source
+ * @returns {string} - URL to fetch
+ */
+export function buildSourceUrl(source) {
+  const token = (source.sasToken || '').replace(/^\?/, '')
+  if (!token) return source.url
+  return `${source.url}${source.url.includes('?') ? '&' : '?'}${token}`
+}
+
+/**
+ * Fetch, validate and transform one remote source
+ * @param {Object} source - Remote source
+ * @returns {Promise<Object>} - Transformed data
+ */
+export async function fetchRemoteSource(source) {
+  const headers = {}
+  if (source.headerName) {
+    headers[source.headerName] = source.headerValue
+  }
+
+  const response = await fetch(buildSourceUrl(source), { headers, cache: 'no-store' })
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`.trim())
+  }
+
+  let jsonData
+  try {
+    jsonData = await response.json()
+  } catch (parseError) {
+    throw new Error('Response is not valid JSON')
+  }
+
+  const report = validateData(jsonData)
+  if (report.errors.length > 0) {
+    const first = report.errors[0]
+    throw new Error(`Validation failed with ${report.errors.length} error(s), first: ${first.message} at ${first.path}`)
+  }
+
+  return transformData(jsonData)
+}
+
+/**
+ * Load the last good dataset cached for a source
+ * @param {string} sourceId - Source id
+ * @returns {Promise<Object|null>} - Transformed data or null
+ */
+export function loadLastGoodDataset(sourceId) {
+  return DataStorage.getSetting(`${LAST_GOOD_PREFIX}${sourceId}`)
+}
+
+/**
+ * Cache (or remove, with null) the last good dataset for a source
+ * @param {string} sourceId - Source id
+ * @param {Object|null} dataset - Transformed data
+ * @returns {Promise<boolean>} - Success status
+ */
+export function saveLastGoodDataset(sourceId, dataset) {
+  return DataStorage.setSetting(`${LAST_GOOD_PREFIX}${sourceId}`, dataset)
+}
+
+/**
+ * Short display label for a source URL (file name without the query string)
+ * @param {string} url - Source URL
+ * @returns {string} - e.g. "1_schedules.json"
+ */
+export function getSourceLabel(url) {
+  try {
+    const { pathname, host } = new URL(url, window.location.href)
+    return decodeURIComponent(pathname.split('/').filter(Boolean).pop() || host)
+  } catch (error) {
+    return url
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Route Sheet Utility
+ * Builds an employee's own schedule from employee.shifts for printing: the
+ * jobs they work, day by day in the order they start, with the instructions
+ * a technician needs at the door.
+ */
+
+import { addDays, eachDayOfInterval, format, parseISO, startOfWeek, isValid } from 'date-fns'
+import { getStartDateTime, getDurationHours } from './scheduleTime'
+
+/**
+ * Periods a route sheet can cover
+ */
+export const ROUTE_PERIODS = {
+  day: 'Day',
+  week: 'Week'
+}
+
+/**
+ * Dates a route sheet covers
+ * @param {string} date - yyyy-MM-dd
+ * @param {string} period - 'day', or 'week' for the Sunday-to-Saturday week holding the date
+ * @returns {Array<string>} - yyyy-MM-dd dates
+ */
+export function getRouteDates(date, period = 'day') {
+  const day = parseISO(date || '')
+  if (!isValid(day)) return []
+  if (period !== 'week') return [date]
+
+  const weekStart = startOfWeek(day)
+  return eachDayOfInterval({ start: weekStart, end: addDays(weekStart, 6) })
+    .map(weekDay => format(weekDay, 'yyyy-MM-dd'))
+}
+
+/**
+ * An employee's jobs on some dates, in the order they start
+ * @param {Object} data - Transformed data
+ * @param {Object} employee - Employee
+ * @param {Array<string>} dates - yyyy-MM-dd dates
+ * @param {string} companyId - Company id, or 'all'
+ * @returns {Array} - [{ date, stops: [{ shift, job }], jobCount, hours }] for days with at least one job;
+ *                    cancelled stops stay on the sheet but not in jobCount or hours
+ */
+export function getEmployeeRoute(data, employee, dates, companyId = 'all') {
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+
+  return dates
+    .map(date => {
+      const stops = (employee.shifts || [])
+        .filter(shift => shift.date === date)
+        .map(shift => ({ shift, job: jobsById.get(shift.jobId) }))
+        .filter(({ job }) => job && (companyId === 'all' || job.companyId === companyId))
+        .sort((a, b) => getStartDateTime(a.shift).localeCompare(getStartDateTime(b.shift)))
+      const worked = stops.filter(({ job }) => !job.cancelled)
+      const hours = worked.reduce((total, { shift }) => total + getDurationHours(shift), 0)
+      return { date, stops, jobCount: worked.length, hours }
+    })
+    .filter(day => day.stops.length > 0)
+}
+
+/**
+ * Employees with at least one job on some dates, with their routes
+ * @param {Object} data - Transformed data
+ * @param {Array<string>} dates - yyyy-MM-dd dates
+ * @param {string} companyId - Company id, or 'all'
+ * @returns {Array} - [{ employee, days }] ordered by name
+ */
+export function getScheduledRoutes(data, dates, companyId = 'all') {
+  if (!data) return []
+
+  return data.employees
+    .map(employee => ({ employee, days: getEmployeeRoute(data, employee, dates, companyId) }))
+    .filter(route => route.days.length > 0)
+    .sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+}
+
+/**
+ * Instructions a technician needs at the door, as far as the export may show them
+ * @param {Object} job - Transformed job
+ * @param {Object} visibleFields - From getExportFieldVisibility
+ * @returns {Array} - [{ label, content }] with HTML content
+ */
+export function getRouteInstructions(job, visibleFields) {
+  const instructions = []
+
+  if (job.petInstructions) {
+    instructions.push({ label: 'Pets', content: job.petInstructions })
+  }
+  if (visibleFields.accessInformation && job.accessInformation) {
+    instructions.push({ label: 'Access', content: job.accessInformation })
+  }
+  if (job.directions) {
+    instructions.push({ label: 'Entry & Directions', content: job.directions })
+  }
+  if (job.specialInstructions) {
+    instructions.push({ label: 'Special', content: job.specialInstructions })
+  }
+
+  return instructions
+}
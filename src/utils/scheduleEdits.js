@@ -0,0 +1,453 @@
+/**
+ * Schedule Edits Utility
+ * Local changes made during an outage (job moved to another team or time,
+ * job cancelled, employee moved to another team for a day) are kept as an
+ * ordered list of change records per snapshot and applied on top of the
+ * imported data when it is shown. The imported data itself is never changed,
+ * so every edited job keeps its original team and times.
+ * Jobs added locally (call-in requests), changes to them and notes on any
+ * job belong to the dataset rather than one snapshot, so they survive
+ * re-imports of the same export.
+ * Records live in the IndexedDB settings store, so they are encrypted along
+ * with the schedules when at-rest encryption is on.
+ */
+
+import { parseISO, addDays, differenceInMinutes } from 'date-fns'
+import { DataStorage } from './storage'
+import { getScheduleRange, toScheduleTimes, moveScheduleTimes } from './scheduleTime'
+
+// Settings-store key prefix; one list of change records per snapshot
+const SCHEDULE_EDITS_PREFIX = 'scheduleEdits:'
+
+// Settings-store key prefix; one list of local jobs and notes per dataset
+const LOCAL_RECORDS_PREFIX = 'localRecords:'
+
+// Id prefix of jobs added locally, so they can't collide with JobInformationIds
+const LOCAL_JOB_PREFIX = 'local_'
+
+/**
+ * Change record types and how they read in the change log
+ */
+export const CHANGE_TYPES = {
+  jobMove: 'Job moved',
+  jobCancel: 'Job cancelled',
+  jobRestore: 'Job restored',
+  employeeMove: 'Employee moved',
+  jobCreate: 'Local job added',
+  jobNote: 'Note added'
+}
+
+/**
+ * Whether a job was added locally rather than imported
+ * @param {string} jobId - Job id
+ * @returns {boolean}
+ */
+export function isLocalJobId(jobId) {
+  return typeof jobId === 'string' && jobId.startsWith(LOCAL_JOB_PREFIX)
+}
+
+/**
+ * Whether a change belongs to the dataset (kept across re-imports)
+ * rather than to the snapshot it was made on
+ * @param {Object} change - Change record
+ * @returns {boolean}
+ */
+function isDatasetChange(change) {
+  return change.type === 'jobNote' || isLocalJobId(change.jobId)
+}
+
+/**
+ * Identify a dataset across re-imports by the companies it covers
+ * @param {Object} data - Transformed data
+ * @returns {string|null} - Dataset key, or null without data
+ */
+export function getDatasetKey(data) {
+  if (!data) return null
+  const companyIds = (data.companies || []).map(company => company.id).sort()
+  if (companyIds.length > 0) return `companies:${companyIds.join(',')}`
+  return `name:${data.metadata?.companyName || 'default'}`
+}
+
+/**
+ * Settings key for a snapshot's change records
+ * @param {string} snapshotId - Snapshot id
+ * @returns {string}
+ */
+function editsKey(snapshotId) {
+  return `${SCHEDULE_EDITS_PREFIX}${snapshotId}`
+}
+
+/**
+ * Load a snapshot's change records together with its dataset's local jobs and notes
+ * @param {string} snapshotId - Snapshot id
+ * @param {string|null} datasetKey - Dataset key (see getDatasetKey)
+ * @returns {Promise<Array>} - Change records, oldest first
+ */
+export async function loadScheduleEdits(snapshotId, datasetKey) {
+  if (!snapshotId) return []
+  const [snapshotChanges, datasetChanges] = await Promise.all([
+    DataStorage.getSetting(editsKey(snapshotId)),
+    datasetKey ? DataStorage.getSetting(`${LOCAL_RECORDS_PREFIX}${datasetKey}`) : null
+  ])
+  return [...(snapshotChanges || []), ...(datasetChanges || [])]
+    .sort((a, b) => a.at.localeCompare(b.at))
+}
+
+/**
+ * Store a snapshot's change records (an empty list removes them)
+ * With a dataset key, local jobs and notes are split off and stored for the dataset
+ * @param {string} snapshotId - Snapshot id
+ * @param {Array} changes - Change records, oldest first
+ * @param {string|null} datasetKey - Dataset key (see getDatasetKey)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveScheduleEdits(snapshotId, changes, datasetKey = null) {
+  const snapshotChanges = datasetKey ? changes.filter(change => !isDatasetChange(change)) : changes
+  const saved = await DataStorage.setSetting(editsKey(snapshotId), snapshotChanges.length > 0 ? snapshotChanges : null)
+  if (!saved || !datasetKey) return saved
+
+  const datasetChanges = changes.filter(isDatasetChange)
+  return DataStorage.setSetting(`${LOCAL_RECORDS_PREFIX}${datasetKey}`, datasetChanges.length > 0 ? datasetChanges : null)
+}
+
+/**
+ * Stamp a change with an id, author and time
+ * @param {Object} fields - Change fields ({ type, ... })
+ * @param {string} by - Who made the change
+ * @returns {Object} - Change record
+ */
+export function createChange(fields, by) {
+  return {
+    id: `chg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    ...fields,
+    by: by || 'Unknown',
+    at: new Date().toISOString()
+  }
+}
+
+/**
+ * Name of a team for change summaries
+ * @param {Object} data - Transformed data
+ * @param {string} teamId - Team id
+ * @returns {string}
+ */
+function teamName(data, teamId) {
+  return data.teams.find(team => team.id === teamId)?.name || `Team ${teamId}`
+}
+
+/**
+ * Change fields for moving a job to another team and/or time
+ * @param {Object} data - Data the edit was made on
+ * @param {Object} job - Job as currently shown
+ * @param {Object} move - { fromTeamId, toTeamId, start, end } (start/end as Dates)
+ * @returns {Object} - Change fields for createChange
+ */
+export function describeJobMove(data, job, { fromTeamId, toTeamId, start, end }) {
+  const before = { start: job.schedule.start, end: job.schedule.end }
+  const after = toScheduleTimes(start, end)
+  const parts = []
+  if (fromTeamId !== toTeamId) {
+    parts.push(`${teamName(data, fromTeamId)} → ${teamName(data, toTeamId)}`)
+  }
+  if (before.start !== after.start || before.end !== after.end) {
+    parts.push(`${before.start.replace('T', ' ')} → ${after.start.replace('T', ' ')}–${after.endTime}`)
+  }
+  return {
+    type: 'jobMove',
+    jobId: job.id,
+    fromTeamId,
+    toTeamId,
+    before,
+    after: { start: after.start, end: after.end },
+    summary: `${job.customerName}: ${parts.join(', ') || 'no change'}`
+  }
+}
+
+/**
+ * Change fields for cancelling or restoring a job
+ * @param {Object} job - Job as currently shown
+ * @param {boolean} cancelled - True to cancel, false to restore
+ * @returns {Object} - Change fields for createChange
+ */
+export function describeJobCancel(job, cancelled) {
+  return {
+    type: cancelled ? 'jobCancel' : 'jobRestore',
+    jobId: job.id,
+    summary: `${job.customerName} on ${job.schedule.date} ${cancelled ? 'cancelled' : 'restored'}`
+  }
+}
+
+/**
+ * Change fields for moving an employee to another team for a day
+ * @param {Object} data - Data the edit was made on
+ * @param {Object} employee - Employee
+ * @param {Object} move - { date, fromTeamId, toTeamId }
+ * @returns {Object} - Change fields for createChange
+ */
+export function describeEmployeeMove(data, employee, { date, fromTeamId, toTeamId }) {
+  return {
+    type: 'employeeMove',
+    employeeId: employee.id,
+    date,
+    fromTeamId,
+    toTeamId,
+    summary: `${employee.name} on ${date}: ${teamName(data, fromTeamId)} → ${teamName(data, toTeamId)}`
+  }
+}
+
+/**
+ * Plain text as the HTML the export uses for instructions
+ * @param {string} text - Text typed into a form
+ * @returns {string}
+ */
+function textToHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>')
+}
+
+/**
+ * Change fields for adding a job that isn't in the export
+ * @param {Object} data - Data the job is added to
+ * @param {Object} fields - { customerName, address, serviceType, teamId, companyId, date, startTime, endTime, instructions, tags }
+ *                          (times HH:mm, tags as an array of strings)
+ * @returns {Object} - Change fields for createChange
+ */
+export function describeJobCreate(data, fields) {
+  const start = parseISO(`${fields.date}T${fields.startTime}`)
+  let end = parseISO(`${fields.date}T${fields.endTime}`)
+  // An end time before the start runs past midnight
+  if (end <= start) end = addDays(end, 1)
+  const teamId = fields.teamId || '0'
+
+  const job = {
+    id: `${LOCAL_JOB_PREFIX}${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    customerName: fields.customerName.trim(),
+    serviceType: fields.serviceType.trim() || 'Local job',
+    scopeOfWork: '',
+    address: fields.address.trim(),
+    homeStats: null,
+    eventInstructions: textToHtml(fields.instructions.trim()),
+    specialInstructions: '',
+    petInstructions: '',
+    directions: '',
+    specialEquipment: '',
+    wasteInfo: '',
+    accessInformation: '',
+    internalMemo: '',
+    tags: fields.tags.map(description => ({ type: 'local', description, icon: '', color: '#01726B' })),
+    scheduledTeams: [teamId],
+    schedule: toScheduleTimes(start, end),
+    timeZone: data.companies?.find(company => company.id === fields.companyId)?.timeZone || null,
+    allowedTime: Math.round(differenceInMinutes(end, start) / 60 * 100) / 100,
+    billRate: 0,
+    feeSplitRate: 0,
+    contactInfo: { phone: '', email: '' },
+    customerNotifications: [],
+    frequency: { description: '', abbreviation: '', color: '#CCCCCC' },
+    homeZone: { id: '', description: '', color: '#CCCCCC' },
+    ...(fields.companyId ? { companyId: fields.companyId } : {})
+  }
+
+  return {
+    type: 'jobCreate',
+    jobId: job.id,
+    job,
+    // As typed, for the change log
+    instructions: fields.instructions.trim(),
+    summary: `${job.customerName} added on ${fields.date} ${fields.startTime}–${fields.endTime} (${teamId === '0' ? 'Unassigned' : teamName(data, teamId)})`
+  }
+}
+
+/**
+ * Change fields for a dispatcher note on a job
+ * @param {Object} job - Job as currently shown
+ * @param {string} text - Note text
+ * @returns {Object} - Change fields for createChange
+ */
+export function describeJobNote(job, text) {
+  return {
+    type: 'jobNote',
+    jobId: job.id,
+    text: text.trim(),
+    summary: `Note on ${job.customerName}: ${text.trim()}`
+  }
+}
+
+/**
+ * Mark a job as edited, remembering its imported team and times once
+ * @param {Object} job - Job copy being edited
+ * @param {Object} change - Change being applied
+ */
+function markJobEdited(job, change) {
+  if (!job.original) {
+    job.original = { scheduledTeams: job.scheduledTeams, schedule: job.schedule, cancelled: Boolean(job.cancelled) }
+  }
+  job.edited = true
+  job.changeIds = [...(job.changeIds || []), change.id]
+}
+
+/**
+ * New shift for an employee joining a job
+ * @param {Object} job - Job
+ * @param {string} teamId - Team the employee works for on it
+ * @param {number} positionId - Position held
+ * @returns {Object} - Shift
+ */
+function createShift(job, teamId, positionId) {
+  const { date, startTime, endTime, endDate, start, end } = job.schedule
+  return { jobId: job.id, date, startTime, endTime, endDate, start, end, teamId, positionId, edited: true }
+}
+
+/**
+ * Add whoever works for a team on the job's day to the job's crew
+ * @param {Object} job - Job
+ * @param {string} teamId - Team taking the job
+ * @param {Array} employees - Employee copies being edited
+ */
+function addTeamCrew(job, teamId, employees) {
+  employees.forEach(emp => {
+    const teamShift = emp.shifts.find(shift => shift.date === job.schedule.date && shift.teamId === teamId)
+    if (teamShift && !emp.shifts.some(shift => shift.jobId === job.id)) {
+      emp.shifts = [...emp.shifts, createShift(job, teamId, teamShift.positionId)]
+    }
+  })
+}
+
+/**
+ * Apply one jobMove: new times for the job and its shifts, then hand the job
+ * from the old team's crew to the crew working for the new team that day
+ */
+function applyJobMove(change, jobs, employees) {
+  const job = jobs.get(change.jobId)
+  if (!job) return
+
+  const range = getScheduleRange(job.schedule)
+  const start = parseISO(change.after.start)
+  const end = parseISO(change.after.end)
+  const startDelta = range ? differenceInMinutes(start, range.start) : 0
+  const endDelta = range ? differenceInMinutes(end, range.end) : 0
+
+  markJobEdited(job, change)
+  job.schedule = { ...job.schedule, ...toScheduleTimes(start, end) }
+
+  employees.forEach(emp => {
+    if (!emp.shifts.some(shift => shift.jobId === job.id)) return
+    emp.shifts = emp.shifts.map(shift => shift.jobId === job.id
+      ? { ...moveScheduleTimes(shift, startDelta, endDelta), edited: true }
+      : shift
+    )
+  })
+
+  if (change.fromTeamId === change.toTeamId) return
+
+  const teams = job.scheduledTeams.filter(teamId => teamId !== change.fromTeamId && teamId !== '0')
+  job.scheduledTeams = [...new Set([change.toTeamId, ...teams])]
+
+  // The old team's crew leaves the job and the new team's crew joins it
+  employees.forEach(emp => {
+    emp.shifts = emp.shifts.filter(shift => !(shift.jobId === job.id && shift.teamId === change.fromTeamId))
+  })
+  addTeamCrew(job, change.toTeamId, employees)
+}
+
+/**
+ * Apply one jobCancel/jobRestore
+ */
+function applyJobCancel(change, jobs) {
+  const job = jobs.get(change.jobId)
+  if (!job) return
+  markJobEdited(job, change)
+  job.cancelled = change.type === 'jobCancel'
+}
+
+/**
+ * Apply one employeeMove: the employee leaves the old team's jobs that day
+ * and joins every job scheduled for the new team that day
+ */
+function applyEmployeeMove(change, jobs, employees) {
+  const emp = employees.find(employee => employee.id === change.employeeId)
+  if (!emp) return
+
+  const leaving = emp.shifts.filter(shift => shift.date === change.date && shift.teamId === change.fromTeamId)
+  const positionId = leaving[0]?.positionId ?? emp.position?.id ?? 0
+
+  emp.shifts = emp.shifts.filter(shift => !leaving.includes(shift))
+  jobs.forEach(job => {
+    if (job.schedule.date !== change.date || !job.scheduledTeams.includes(change.toTeamId)) return
+    if (emp.shifts.some(shift => shift.jobId === job.id)) return
+    emp.shifts = [...emp.shifts, createShift(job, change.toTeamId, positionId)]
+  })
+  emp.edited = true
+}
+
+/**
+ * Apply one jobCreate: add the job with the crew working for its team that day
+ */
+function applyJobCreate(change, jobs, employees) {
+  if (jobs.has(change.jobId)) return
+  const job = { ...change.job, local: true, changeIds: [change.id] }
+  jobs.set(job.id, job)
+  if (job.scheduledTeams[0] !== '0') {
+    addTeamCrew(job, job.scheduledTeams[0], employees)
+  }
+}
+
+/**
+ * Apply one jobNote: notes don't change the schedule, so the job isn't marked edited
+ */
+function applyJobNote(change, jobs) {
+  const job = jobs.get(change.jobId)
+  if (!job) return
+  job.notes = [...(job.notes || []), { id: change.id, text: change.text, by: change.by, at: change.at }]
+}
+
+const APPLY_CHANGE = {
+  jobMove: applyJobMove,
+  jobCancel: applyJobCancel,
+  jobRestore: applyJobCancel,
+  employeeMove: applyEmployeeMove,
+  jobCreate: applyJobCreate,
+  jobNote: applyJobNote
+}
+
+/**
+ * Apply change records on top of imported data
+ * Records whose job or employee is no longer in the data are skipped
+ * @param {Object} data - Transformed (imported) data
+ * @param {Array} changes - Change records, oldest first
+ * @returns {Object} - Data with edits applied; edited jobs carry edited/original/cancelled,
+ *                     local jobs carry local and noted jobs carry notes
+ */
+export function applyScheduleEdits(data, changes) {
+  if (!data || !changes?.length) return data
+
+  const jobs = new Map(data.jobs.map(job => [job.id, { ...job }]))
+  const employees = data.employees.map(emp => ({ ...emp, shifts: emp.shifts || [] }))
+
+  changes.forEach(change => {
+    APPLY_CHANGE[change.type]?.(change, jobs, employees)
+  })
+
+  return {
+    ...data,
+    jobs: Array.from(jobs.values()),
+    employees,
+    metadata: {
+      ...data.metadata,
+      editCount: changes.length
+    }
+  }
+}
+
+/**
+ * Changes made to a job itself (moves, cancellations, notes)
+ * @param {Array} changes - Change records
+ * @param {string} jobId - Job id
+ * @returns {Array} - Matching records
+ */
+export function getJobChanges(changes, jobId) {
+  return (changes || []).filter(change => change.jobId === jobId)
+}
@@ -0,0 +1,414 @@
+/**
+ * Schedule PDF Utility
+ * Lays out team schedules and job details with the PDF layout engine
+ * (see pdfLayout.js). Content and privacy rules follow the on-screen
+ * export preview; render* functions add to an existing layout so several
+ * schedules can share one document.
+ */
+
+import { format, parseISO } from 'date-fns'
+import { createPdfLayout, htmlToText } from './pdfLayout'
+import { formatTimeRange } from './scheduleTime'
+import { formatZoneSuffix } from './timeZones'
+import { getShiftForJob, getShiftPosition, getShiftTeamId } from './shiftRoles'
+import { getCrewRow, getJobInstructions, getJobContact } from './teamSchedule'
+import { getRouteInstructions } from './routeSheet'
+
+const FOOTER_TEXT = 'Generated from MaidCentral Backup System'
+
+/**
+ * Long date for headings
+ * @param {string} date - yyyy-MM-dd
+ * @returns {string} - e.g. "Monday, January 5, 2024"
+ */
+function formatLongDate(date) {
+  return date ? format(parseISO(date), 'EEEE, MMMM d, yyyy') : ''
+}
+
+/**
+ * Marker for jobs changed during the outage (the PDF version of EditedBadge)
+ * @param {Object} job - Job
+ * @returns {string} - e.g. " [LOCAL]", or ''
+ */
+function getJobMarker(job) {
+  if (job.cancelled) return ' [CANCELLED]'
+  if (job.local) return ' [LOCAL]'
+  if (job.edited) return ' [EDITED]'
+  return ''
+}
+
+/**
+ * Instructions and dispatcher notes of a job
+ */
+function renderInstructions(layout, job, visibleFields) {
+  const instructions = getJobInstructions(job, visibleFields)
+  const notes = job.notes || []
+  if (instructions.length === 0 && notes.length === 0) return
+
+  layout.space(2)
+  layout.text('Instructions', { size: 9, style: 'bold', color: '#6B7280' })
+  instructions.forEach(instruction => {
+    layout.field(instruction.label, htmlToText(instruction.content), { size: 9 })
+  })
+  notes.forEach(note => {
+    layout.field(`Local note (${note.by})`, note.text, { size: 9, color: '#01726B' })
+  })
+}
+
+/**
+ * A team's schedule for one day: header, team members and job cards
+ * @param {Object} layout - From createPdfLayout
+ * @param {Object} schedule - { data, team, date, employees, jobs, visibleFields, showZones }
+ */
+export function renderTeamSchedule(layout, { data, team, date, employees, jobs, visibleFields, showZones }) {
+  // Header
+  layout.text(team.name, { size: 20, style: 'bold', color: team.color })
+  layout.text(`Schedule for ${formatLongDate(date)}`, { size: 12, color: '#4B5563' })
+  layout.rule('#9CA3AF')
+
+  // Team Members
+  layout.heading('Team Members')
+  if (employees.length > 0) {
+    layout.table(
+      [
+        { header: 'Name', width: 3 },
+        { header: 'Position', width: 3 },
+        { header: 'Hours', width: 1, align: 'center' }
+      ],
+      employees.map(emp => {
+        const row = getCrewRow(emp, date, data)
+        return [row.name, row.positions, row.hours]
+      })
+    )
+  } else {
+    layout.text('No employees scheduled for this team on this date.', { style: 'italic', color: '#6B7280' })
+    layout.space(8)
+  }
+
+  // Jobs
+  layout.heading(`Jobs (${jobs.length})`)
+  if (jobs.length === 0) {
+    layout.text('No jobs scheduled for this team on this date.', { style: 'italic', color: '#6B7280' })
+    return
+  }
+
+  jobs.forEach(job => {
+    layout.beginCard(job.customerName, { accent: team.color })
+    layout.titleRow(
+      `${job.customerName}${getJobMarker(job)}`,
+      `${formatTimeRange(job.schedule)}${formatZoneSuffix(job, showZones)}`
+    )
+    layout.text(job.serviceType, { size: 9, color: '#4B5563' })
+    layout.space(4)
+    layout.field('Address', job.address, { size: 9 })
+    layout.field('Contact', getJobContact(job, visibleFields), { size: 9 })
+    if (visibleFields.billRate && job.billRate) {
+      layout.field('Rate', `$${job.billRate}`, { size: 9 })
+    }
+    if (job.tags?.length > 0) {
+      layout.field('Tags', job.tags.map(tag => tag.description || tag).join(', '), { size: 9 })
+    }
+    renderInstructions(layout, job, visibleFields)
+    layout.endCard()
+  })
+}
+
+/**
+ * One job's details: customer, home, schedule, crew, pricing, instructions, rooms and notes
+ * @param {Object} layout - From createPdfLayout
+ * @param {Object} details - { data, job, visibleFields, showZones }
+ */
+export function renderJobDetails(layout, { data, job, visibleFields, showZones }) {
+  // Customer
+  layout.text(`${job.customerName}${getJobMarker(job)}`, { size: 20, style: 'bold' })
+  layout.text(job.serviceType, { size: 12, color: '#4B5563' })
+  layout.rule('#9CA3AF')
+
+  layout.heading('Customer & Home')
+  layout.field('Address', job.address)
+  layout.field('Contact', getJobContact(job, visibleFields))
+  if (job.homeStats) {
+    const stats = [
+      job.homeStats.bedrooms && `${job.homeStats.bedrooms} BR`,
+      job.homeStats.bathrooms && `${job.homeStats.bathrooms} BA`,
+      job.homeStats.squareFootage && `${parseInt(job.homeStats.squareFootage).toLocaleString()} sq ft`,
+      job.homeStats.stories && `${job.homeStats.stories} ${job.homeStats.stories === '1' ? 'story' : 'stories'}`
+    ].filter(Boolean)
+    layout.field('Home', stats.join(', '))
+  }
+  if (job.homeZone?.description) {
+    layout.field('Zone', job.homeZone.description)
+  }
+  if (job.tags?.length > 0) {
+    layout.field('Tags', job.tags.map(tag => tag.description || tag).join(', '))
+  }
+  layout.space(8)
+
+  // Schedule
+  layout.heading('Schedule')
+  layout.field('Date', formatLongDate(job.schedule.date))
+  layout.field('Time', `${formatTimeRange(job.schedule)}${formatZoneSuffix(job, showZones)}${job.allowedTime > 0 ? ` (${job.allowedTime.toFixed(2)} hrs allowed)` : ''}`)
+  if (job.frequency?.description) {
+    layout.field('Frequency', `${job.frequency.description} (${job.frequency.abbreviation})`)
+  }
+  layout.field('Teams', data.teams.filter(team => job.scheduledTeams.includes(team.id)).map(team => team.name).join(', '))
+  layout.space(6)
+
+  const crew = data.employees.filter(emp => emp.shifts.some(shift => shift.jobId === job.id))
+  if (crew.length > 0) {
+    layout.table(
+      [
+        { header: 'Employee', width: 3 },
+        { header: 'Position', width: 2 },
+        { header: 'Team', width: 2 },
+        { header: 'Time', width: 2 }
+      ],
+      crew.map(emp => {
+        const shift = getShiftForJob(emp, job.id)
+        const team = data.teams.find(t => t.id === getShiftTeamId(shift, emp))
+        return [emp.name, getShiftPosition(shift, emp, data).name, team?.name || '', formatTimeRange(shift)]
+      })
+    )
+  }
+
+  // Pricing (same rules as the Pricing card on the job page)
+  const rateMods = [...(job.serviceSetRateMods || []), ...(job.jobRateMods || [])]
+    .filter(mod => visibleFields.discounts || mod.Amount >= 0)
+  const priceItems = [job.baseFee, ...rateMods].filter(Boolean)
+  if (priceItems.length > 0) {
+    layout.heading('Pricing')
+    if (visibleFields.addOnRate) {
+      const total = priceItems.reduce((sum, item) => sum + (item.Amount || 0), 0)
+      const feeSplitTotal = priceItems.filter(item => item.FeeSplit).reduce((sum, item) => sum + (item.Amount || 0), 0)
+      const rows = priceItems.map(item => [item.Name, `$${(item.Amount || 0).toFixed(2)}`, item.FeeSplit ? 'Yes' : '-'])
+      if (visibleFields.billRate) rows.push(['Bill Rate', `$${total.toFixed(2)}`, ''])
+      if (visibleFields.feeSplitRate && feeSplitTotal > 0) rows.push(['Fee Split Total', `$${feeSplitTotal.toFixed(2)}`, ''])
+      layout.table(
+        [
+          { header: 'Item', width: 4 },
+          { header: 'Amount', width: 1, align: 'right' },
+          { header: 'Fee Split', width: 1, align: 'center' }
+        ],
+        rows
+      )
+    } else {
+      layout.table([{ header: 'Item' }], priceItems.map(item => [item.Name]))
+    }
+  }
+
+  // Instructions
+  const instructions = getJobInstructions(job, visibleFields)
+  if (instructions.length > 0) {
+    layout.heading('Instructions')
+    instructions.forEach(instruction => {
+      layout.field(instruction.label, htmlToText(instruction.content))
+      layout.space(2)
+    })
+    layout.space(6)
+  }
+
+  // Rooms
+  if (job.rooms?.length > 0) {
+    layout.heading(`Rooms (${job.rooms.length})`)
+    layout.table(
+      [
+        { header: 'Type', width: 2 },
+        { header: 'Room', width: 2 },
+        { header: 'Location', width: 2 },
+        { header: 'Deep Clean', width: 2 },
+        { header: 'Details', width: 4 }
+      ],
+      job.rooms.map(room => [room.type, room.name, room.location, room.deepCleanCode, room.detailsOfWork])
+    )
+  }
+
+  // Dispatcher notes
+  if (job.notes?.length > 0) {
+    layout.heading('Notes')
+    job.notes.forEach(note => {
+      layout.text(`${new Date(note.at).toLocaleString()} - ${note.by}`, { size: 8, color: '#6B7280' })
+      layout.text(note.text)
+      layout.space(4)
+    })
+  }
+}
+
+/**
+ * An employee's route sheet: each day's jobs in order with what's needed at the door
+ * @param {Object} layout - From createPdfLayout
+ * @param {Object} route - { data, employee, days, visibleFields, showZones }
+ */
+export function renderRouteSheet(layout, { data, employee, days, visibleFields, showZones }) {
+  const stopCount = days.reduce((total, day) => total + day.jobCount, 0)
+  const hours = days.reduce((total, day) => total + day.hours, 0)
+
+  layout.text(employee.name, { size: 20, style: 'bold' })
+  layout.text(`Route sheet: ${stopCount} job${stopCount === 1 ? '' : 's'}, ${hours.toFixed(2)} hours`, { size: 12, color: '#4B5563' })
+  layout.rule('#9CA3AF')
+
+  days.forEach(day => {
+    layout.heading(`${formatLongDate(day.date)} (${day.jobCount} job${day.jobCount === 1 ? '' : 's'}, ${day.hours.toFixed(2)} hrs)`)
+
+    day.stops.forEach(({ shift, job }, index) => {
+      const team = data.teams.find(t => t.id === getShiftTeamId(shift, employee))
+      layout.beginCard(`${index + 1}. ${job.customerName}`, { accent: team?.color })
+      layout.titleRow(
+        `${index + 1}. ${job.customerName}${getJobMarker(job)}`,
+        `${formatTimeRange(shift)}${formatZoneSuffix(job, showZones)}`
+      )
+      layout.text(job.serviceType, { size: 9, color: '#4B5563' })
+      layout.space(4)
+      layout.field('Address', job.address, { size: 9 })
+      if (formatTimeRange(job.schedule) !== formatTimeRange(shift)) {
+        layout.field('Job window', formatTimeRange(job.schedule), { size: 9 })
+      }
+      if (job.allowedTime > 0) {
+        layout.field('Allowed time', `${job.allowedTime.toFixed(2)} hrs`, { size: 9 })
+      }
+      if (team) {
+        layout.field('Team', `${team.name} (${getShiftPosition(shift, employee, data).name})`, { size: 9 })
+      }
+      layout.field('Contact', getJobContact(job, visibleFields), { size: 9 })
+      if (job.tags?.length > 0) {
+        layout.field('Tags', job.tags.map(tag => tag.description || tag).join(', '), { size: 9 })
+      }
+      getRouteInstructions(job, visibleFields).forEach(instruction => {
+        layout.field(instruction.label, htmlToText(instruction.content), { size: 9 })
+      })
+      const notes = job.notes || []
+      notes.forEach(note => {
+        layout.field(`Local note (${note.by})`, note.text, { size: 9, color: '#01726B' })
+      })
+      layout.endCard()
+    })
+  })
+}
+
+/**
+ * PDF of route sheets, one section per employee
+ * @param {Object} sheets - { data, routes: [{ employee, days }], dates, visibleFields, showZones }
+ * @param {Object} pdfOptions - { pageSize, orientation }
+ * @returns {jsPDF}
+ */
+export function createRouteSheetPdf({ data, routes, dates, visibleFields, showZones }, pdfOptions) {
+  const period = dates.length > 1
+    ? `${formatLongDate(dates[0])} - ${formatLongDate(dates[dates.length - 1])}`
+    : formatLongDate(dates[0])
+
+  const layout = createPdfLayout({ ...pdfOptions, title: 'Route Sheet', subtitle: period, footerText: FOOTER_TEXT })
+  routes.forEach(route => {
+    layout.startSection({ title: route.employee.name, subtitle: period })
+    renderRouteSheet(layout, { ...route, data, visibleFields, showZones })
+  })
+  return layout.finish()
+}
+
+/**
+ * PDF of one team's schedule
+ * @param {Object} schedule - See renderTeamSchedule
+ * @param {Object} pdfOptions - { pageSize, orientation }
+ * @returns {jsPDF}
+ */
+export function createTeamSchedulePdf(schedule, pdfOptions) {
+  const layout = createPdfLayout({
+    ...pdfOptions,
+    title: schedule.team.name,
+    subtitle: formatLongDate(schedule.date),
+    footerText: FOOTER_TEXT
+  })
+  renderTeamSchedule(layout, schedule)
+  return layout.finish()
+}
+
+/**
+ * Cover page of a schedule packet: jobs and hours per team and day
+ */
+function renderPacketCover(layout, { schedules, totals, jobs, fromDate, toDate }) {
+  const dateRange = toDate && toDate !== fromDate
+    ? `${formatLongDate(fromDate)} - ${formatLongDate(toDate)}`
+    : formatLongDate(fromDate)
+
+  layout.text('Team Schedules', { size: 20, style: 'bold' })
+  layout.text(dateRange, { size: 12, color: '#4B5563' })
+  layout.rule('#9CA3AF')
+
+  layout.heading('Summary')
+  if (schedules.length === 0) {
+    layout.text('No teams scheduled in this date range.', { style: 'italic', color: '#6B7280' })
+    return
+  }
+
+  const hours = (value) => value.toFixed(2)
+  layout.table(
+    [
+      { header: 'Date', width: 2 },
+      { header: 'Team', width: 3 },
+      { header: 'Jobs', width: 1, align: 'center' },
+      { header: 'Crew', width: 1, align: 'center' },
+      { header: 'Crew Hours', width: 1.5, align: 'right' },
+      { header: 'Allowed Hours', width: 1.5, align: 'right' }
+    ],
+    [
+      ...schedules.map(({ team, date, summary }) => [
+        date,
+        team.name,
+        summary.jobCount,
+        summary.crewCount,
+        hours(summary.crewHours),
+        hours(summary.allowedHours)
+      ]),
+      ['Total', `${schedules.length} team schedule${schedules.length === 1 ? '' : 's'}`, totals.jobCount, totals.crewCount, hours(totals.crewHours), hours(totals.allowedHours)]
+    ]
+  )
+  layout.text('Cancelled jobs are not counted.', { size: 8, color: '#6B7280' })
+  if (jobs.length > 0) {
+    layout.text(`Job detail sheets for ${jobs.length} job${jobs.length === 1 ? '' : 's'} follow the team schedules.`, { size: 8, color: '#6B7280' })
+  }
+}
+
+/**
+ * PDF of several team schedules: a cover page, one section per schedule
+ * and an appendix of job detail sheets
+ * @param {Object} packet - { data, schedules (each with summary), totals, jobs, fromDate, toDate, visibleFields, showZones }
+ * @param {Object} pdfOptions - { pageSize, orientation }
+ * @returns {jsPDF}
+ */
+export function createSchedulePacketPdf(packet, pdfOptions) {
+  const { data, schedules, jobs, visibleFields, showZones } = packet
+  const layout = createPdfLayout({
+    ...pdfOptions,
+    title: 'Team Schedules',
+    subtitle: formatLongDate(packet.fromDate),
+    footerText: FOOTER_TEXT
+  })
+  renderPacketCover(layout, packet)
+
+  schedules.forEach(schedule => {
+    layout.startSection({ title: schedule.team.name, subtitle: formatLongDate(schedule.date) })
+    renderTeamSchedule(layout, { ...schedule, data, visibleFields, showZones })
+  })
+
+  jobs.forEach(job => {
+    layout.startSection({ title: `Job Details: ${job.customerName}`, subtitle: formatLongDate(job.schedule.date) })
+    renderJobDetails(layout, { data, job, visibleFields, showZones })
+  })
+
+  return layout.finish()
+}
+
+/**
+ * PDF of one job's details
+ * @param {Object} details - See renderJobDetails
+ * @param {Object} pdfOptions - { pageSize, orientation }
+ * @returns {jsPDF}
+ */
+export function createJobPdf(details, pdfOptions) {
+  const layout = createPdfLayout({
+    ...pdfOptions,
+    title: details.job.customerName,
+    subtitle: formatLongDate(details.job.schedule.date),
+    footerText: FOOTER_TEXT
+  })
+  renderJobDetails(layout, details)
+  return layout.finish()
+}
@@ -0,0 +1,149 @@
+/**
+ * Schedule Time Utility
+ * Shared start/end and hour math for job schedules and employee shifts.
+ * Schedules carry full local start and end datetimes so overnight and
+ * multi-day jobs keep a positive duration.
+ */
+
+import { format, parseISO, isValid, differenceInMinutes, differenceInCalendarDays, addDays, addMinutes } from 'date-fns'
+
+/**
+ * Resolve the start and end datetimes of a schedule or shift
+ * Uses the full start/end when present; data saved before those fields existed
+ * only has date + HH:mm times, so an end at or before the start rolls to the next day
+ * @param {Object} item - Job schedule or employee shift
+ * @returns {Object|null} - { start: Date, end: Date }, or null if times are missing
+ */
+export function getScheduleRange(item) {
+  if (!item) return null
+
+  if (item.start && item.end) {
+    const start = parseISO(item.start)
+    const end = parseISO(item.end)
+    if (isValid(start) && isValid(end)) return { start, end }
+  }
+
+  if (!item.date || !item.startTime || !item.endTime) return null
+
+  const start = parseISO(`${item.date}T${item.startTime}`)
+  let end = parseISO(`${item.endDate || item.date}T${item.endTime}`)
+  if (!isValid(start) || !isValid(end)) return null
+
+  if (!item.endDate && end <= start) {
+    end = addDays(end, 1)
+  }
+
+  return { start, end }
+}
+
+/**
+ * Local start datetime string for calendar events
+ * @param {Object} item - Job schedule or employee shift
+ * @returns {string} - 'yyyy-MM-ddTHH:mm'
+ */
+export function getStartDateTime(item) {
+  return item.start || `${item.date}T${item.startTime}`
+}
+
+/**
+ * Local end datetime string for calendar events (next day for legacy overnight data)
+ * @param {Object} item - Job schedule or employee shift
+ * @returns {string} - 'yyyy-MM-ddTHH:mm'
+ */
+export function getEndDateTime(item) {
+  if (item.end) return item.end
+  const range = getScheduleRange(item)
+  if (!range) return `${item.date}T${item.endTime}`
+  return format(range.end, "yyyy-MM-dd'T'HH:mm")
+}
+
+/**
+ * Duration of a schedule or shift in hours
+ * @param {Object} item - Job schedule or employee shift
+ * @returns {number} - Hours (0 if times are missing)
+ */
+export function getDurationHours(item) {
+  const range = getScheduleRange(item)
+  if (!range) return 0
+  return Math.max(0, differenceInMinutes(range.end, range.start)) / 60
+}
+
+/**
+ * Ids of the jobs cancelled as a local schedule edit
+ * @param {Array} jobs - Jobs
+ * @returns {Set<string>} - Job ids
+ */
+export function getCancelledJobIds(jobs) {
+  return new Set((jobs || []).filter(job => job.cancelled).map(job => job.id))
+}
+
+/**
+ * Total hours of the shifts that start on a given date
+ * Shifts on cancelled jobs aren't worked, so they don't count
+ * @param {Array} shifts - Employee shifts
+ * @param {string} date - Date (yyyy-MM-dd)
+ * @param {Set<string>} cancelledJobIds - From getCancelledJobIds
+ * @returns {number} - Total hours
+ */
+export function sumShiftHours(shifts, date, cancelledJobIds = null) {
+  return (shifts || [])
+    .filter(shift => shift.date === date && !cancelledJobIds?.has(shift.jobId))
+    .reduce((total, shift) => total + getDurationHours(shift), 0)
+}
+
+/**
+ * Number of days after the start date on which a schedule ends
+ * @param {Object} item - Job schedule or employee shift
+ * @returns {number} - 0 for same-day, 1 for overnight, etc.
+ */
+export function getEndDayOffset(item) {
+  const range = getScheduleRange(item)
+  if (!range) return 0
+  return differenceInCalendarDays(range.end, range.start)
+}
+
+/**
+ * Format a start-end time range, marking ends on a later day
+ * @param {Object} item - Job schedule or employee shift
+ * @param {string} separator - Text between start and end
+ * @returns {string} - e.g. "22:00 - 06:00 (+1 day)"
+ */
+export function formatTimeRange(item, separator = ' - ') {
+  if (!item) return ''
+  const offset = getEndDayOffset(item)
+  const dayMarker = offset > 0 ? ` (+${offset} day${offset === 1 ? '' : 's'})` : ''
+  return `${item.startTime || '?'}${separator}${item.endTime || '?'}${dayMarker}`
+}
+
+/**
+ * Build the schedule/shift time fields for a start and end
+ * @param {Date} start - Local start
+ * @param {Date} end - Local end
+ * @returns {Object} - { date, startTime, endTime, endDate, start, end }
+ */
+export function toScheduleTimes(start, end) {
+  return {
+    date: format(start, 'yyyy-MM-dd'),
+    startTime: format(start, 'HH:mm'),
+    endTime: format(end, 'HH:mm'),
+    endDate: format(end, 'yyyy-MM-dd'),
+    start: format(start, "yyyy-MM-dd'T'HH:mm"),
+    end: format(end, "yyyy-MM-dd'T'HH:mm")
+  }
+}
+
+/**
+ * Move a schedule or shift by a number of minutes at each end
+ * @param {Object} item - Job schedule or employee shift
+ * @param {number} startMinutes - Minutes to move the start by
+ * @param {number} endMinutes - Minutes to move the end by
+ * @returns {Object} - Item with new time fields (unchanged if its times are missing)
+ */
+export function moveScheduleTimes(item, startMinutes, endMinutes) {
+  const range = getScheduleRange(item)
+  if (!range) return item
+  return {
+    ...item,
+    ...toScheduleTimes(addMinutes(range.start, startMinutes), addMinutes(range.end, endMinutes))
+  }
+}
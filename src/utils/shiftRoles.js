@@ -0,0 +1,184 @@
+/**
+ * Shift Roles Utility
+ * An employee's position and team are recorded per shift, since the same
+ * person can lead one job and train on another or float between teams.
+ * These helpers resolve per-shift roles and derive an employee's primary
+ * team for a day.
+ */
+
+import { getPositionById } from '../constants/teamPositions'
+import { getDurationHours } from './scheduleTime'
+
+/**
+ * Most frequent value in a list (first seen wins ties)
+ * @param {Array} values - Values
+ * @returns {any} - Most frequent value, or undefined for an empty list
+ */
+function mostFrequent(values) {
+  const counts = new Map()
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1))
+
+  let best
+  let bestCount = 0
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value
+      bestCount = count
+    }
+  })
+  return best
+}
+
+/**
+ * Derive an employee's overall team and position from their shifts
+ * The most common team and position across all shifts become the
+ * employee-level `teamId` and `position` (used where no date applies)
+ * @param {Object} employee - Employee with shifts carrying teamId/positionId
+ * @param {Object} definitions - Position definitions from the data (optional)
+ * @returns {Object} - Employee with teamId and position set
+ */
+export function summarizeEmployee(employee, definitions) {
+  const shifts = employee.shifts || []
+  const assigned = shifts.filter(shift => shift.teamId && shift.teamId !== '0')
+
+  const teamId = mostFrequent(assigned.map(shift => shift.teamId)) ??
+    mostFrequent(shifts.map(shift => shift.teamId)) ??
+    employee.teamId ??
+    '0'
+  const positionId = mostFrequent(shifts.map(shift => shift.positionId).filter(id => id !== undefined)) ??
+    employee.position?.id ??
+    0
+  const position = getPositionById(positionId, definitions)
+
+  return {
+    ...employee,
+    teamId,
+    position: { id: position.id, name: position.name, color: position.color }
+  }
+}
+
+/**
+ * Team a shift was worked on (older data only has the employee-level team)
+ * @param {Object} shift - Employee shift
+ * @param {Object} employee - Employee
+ * @returns {string} - Team id
+ */
+export function getShiftTeamId(shift, employee) {
+  return shift?.teamId ?? employee?.teamId ?? '0'
+}
+
+/**
+ * Position held on a shift, resolved against the dataset's definitions
+ * @param {Object} shift - Employee shift
+ * @param {Object} employee - Employee
+ * @param {Object} data - Transformed data (for metadata.teamPositions)
+ * @returns {Object} - Position { id, name, color, description }
+ */
+export function getShiftPosition(shift, employee, data) {
+  const positionId = shift?.positionId ?? employee?.position?.id ?? 0
+  return getPositionById(positionId, data?.metadata?.teamPositions)
+}
+
+/**
+ * Employee's overall position, resolved against the current definitions
+ * (so Admin renames apply to the summary stored with the data)
+ * @param {Object} employee - Employee
+ * @param {Object} data - Transformed data (for metadata.teamPositions)
+ * @returns {Object} - Position { id, name, color, description }
+ */
+export function getEmployeePosition(employee, data) {
+  return getPositionById(employee?.position?.id ?? 0, data?.metadata?.teamPositions)
+}
+
+/**
+ * Employee's shift on a job
+ * @param {Object} employee - Employee
+ * @param {string} jobId - Job id
+ * @returns {Object|null} - Shift or null
+ */
+export function getShiftForJob(employee, jobId) {
+  return employee?.shifts?.find(shift => shift.jobId === jobId) || null
+}
+
+/**
+ * Team an employee mostly worked with on a date (by scheduled hours)
+ * Falls back to the employee-level team when they have no shifts that day
+ * @param {Object} employee - Employee
+ * @param {string} date - Date (yyyy-MM-dd)
+ * @returns {string} - Team id
+ */
+export function getPrimaryTeamId(employee, date) {
+  const hoursByTeam = new Map()
+
+  ;(employee.shifts || [])
+    .filter(shift => shift.date === date)
+    .forEach(shift => {
+      const teamId = getShiftTeamId(shift, employee)
+      hoursByTeam.set(teamId, (hoursByTeam.get(teamId) || 0) + getDurationHours(shift))
+    })
+
+  let primary = null
+  let primaryHours = 0
+  hoursByTeam.forEach((hours, teamId) => {
+    // A real team beats Unassigned ('0') regardless of hours
+    const better = primary === null ||
+      (primary === '0' && teamId !== '0') ||
+      (teamId !== '0' && hours > primaryHours)
+    if (better) {
+      primary = teamId
+      primaryHours = hours
+    }
+  })
+
+  return primary ?? employee.teamId
+}
+
+/**
+ * Team a shift's job is scheduled for
+ * The shift's own team wins when the job lists it; otherwise the job's first
+ * scheduled team, so a floater's shift takes the color of the team they joined
+ * @param {Object} shift - Employee shift
+ * @param {Object} employee - Employee
+ * @param {Object} job - The shift's job (optional)
+ * @returns {string} - Team id
+ */
+export function getJobTeamId(shift, employee, job) {
+  const shiftTeamId = getShiftTeamId(shift, employee)
+  const scheduledTeams = job?.scheduledTeams || []
+  if (scheduledTeams.length === 0 || scheduledTeams.includes(shiftTeamId)) return shiftTeamId
+  return scheduledTeams[0]
+}
+
+/**
+ * Teams an employee works for on a date, by the teams scheduled on their jobs
+ * @param {Object} employee - Employee
+ * @param {string} date - Date (yyyy-MM-dd)
+ * @param {Map} jobsById - Jobs keyed by id
+ * @returns {string[]} - Team ids (Unassigned excluded), in shift order
+ */
+export function getTeamsOnDate(employee, date, jobsById) {
+  const teamIds = new Set()
+  ;(employee.shifts || [])
+    .filter(shift => shift.date === date)
+    .forEach(shift => teamIds.add(getJobTeamId(shift, employee, jobsById.get(shift.jobId))))
+  teamIds.delete('0')
+  return Array.from(teamIds)
+}
+
+/**
+ * Distinct positions an employee holds on a date
+ * @param {Object} employee - Employee
+ * @param {string} date - Date (yyyy-MM-dd)
+ * @param {Object} data - Transformed data
+ * @returns {Array} - Positions in shift order
+ */
+export function getPositionsOnDate(employee, date, data) {
+  const positions = new Map()
+  ;(employee.shifts || [])
+    .filter(shift => shift.date === date)
+    .forEach(shift => {
+      const position = getShiftPosition(shift, employee, data)
+      positions.set(position.id, position)
+    })
+  return Array.from(positions.values())
+}
@@ -1,76 +1,948 @@
 /**
- * LocalStorage wrapper for MaidCentral Backup data
- * Provides simple save/load/clear/exists functionality
+ * IndexedDB storage for MaidCentral Backup data
+ * Keeps jobs, teams, employees, companies and metadata in separate object stores
+ * so large multi-company datasets are not limited by the localStorage quota.
+ * Every uploaded dataset is kept as a named snapshot; records are keyed by
+ * [snapshotId, id] and the app reads from whichever snapshot is active.
+ * With at-rest encryption on, records, metadata, import diffs and cached
+ * settings are stored as AES-GCM envelopes; only keys and index fields stay
+ * in clear text, and nothing can be read until the passphrase is entered.
  */
 
-const STORAGE_KEY = 'mc_backup_data'
+import {
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  createEncryptionConfig,
+  unlockEncryptionKey
+} from './encryption'
+
+const DB_NAME = 'mc_backup'
+const DB_VERSION = 1
+
+// Key used by the original localStorage implementation (migrated on first load)
+const LEGACY_STORAGE_KEY = 'mc_backup_data'
+
+// Settings key holding the id of the active snapshot
+const ACTIVE_SNAPSHOT_KEY = 'activeSnapshotId'
+
+// Settings key holding the encryption salt, iterations and passphrase verifier
+const ENCRYPTION_KEY = 'encryption'
+
+// Settings that are always stored in clear text
+const PLAIN_SETTINGS = [ACTIVE_SNAPSHOT_KEY, ENCRYPTION_KEY]
+
+export const STORES = {
+  JOBS: 'jobs',
+  TEAMS: 'teams',
+  EMPLOYEES: 'employees',
+  COMPANIES: 'companies',
+  METADATA: 'metadata',
+  SNAPSHOTS: 'snapshots',
+  SETTINGS: 'settings'
+}
+
+// Entity stores that hold arrays from the transformed dataset
+const ENTITY_STORES = [STORES.JOBS, STORES.TEAMS, STORES.EMPLOYEES, STORES.COMPANIES]
+
+// Stores touched when a snapshot's data is written or removed
+const DATASET_STORES = [...ENTITY_STORES, STORES.METADATA, STORES.SNAPSHOTS, STORES.SETTINGS]
+
+// Clear-text fields kept on encrypted records so the store indexes keep working
+const INDEX_FIELDS = {
+  [STORES.JOBS]: record => ({
+    schedule: { date: record.schedule?.date },
+    companyId: record.companyId,
+    scheduledTeams: record.scheduledTeams
+  }),
+  [STORES.EMPLOYEES]: record => ({ teamId: record.teamId })
+}
+
+let dbPromise = null
+
+// Encryption settings (undefined until read) and the key, held in memory only once unlocked
+let encryption = { config: undefined, key: null }
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<any>} - Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>} - Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Generate a unique snapshot id
+ * @returns {string} - Snapshot id
+ */
+function generateSnapshotId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `snap_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Build the summary shown in the snapshot library from dataset metadata
+ * @param {Object} metadata - Dataset metadata
+ * @returns {Object} - Snapshot summary
+ */
+function buildSnapshotSummary(metadata = {}) {
+  return {
+    companyName: metadata.companyName || '',
+    dataFormat: metadata.dataFormat || '',
+    lastUpdated: metadata.lastUpdated || '',
+    dataRange: metadata.dataRange || { startDate: '', endDate: '' },
+    stats: metadata.stats || { totalJobs: 0, totalTeams: 0, totalEmployees: 0 }
+  }
+}
+
+/**
+ * Create object stores and indexes for the current schema version
+ * Every entity record carries `snapshotId` and a `sequence` field so
+ * arrays load back in the same order they were saved
+ * @param {IDBDatabase} db - Database being upgraded
+ */
+function createSchema(db) {
+  const jobs = db.createObjectStore(STORES.JOBS, { keyPath: ['snapshotId', 'id'] })
+  jobs.createIndex('sequence', ['snapshotId', 'sequence'])
+  jobs.createIndex('date', ['snapshotId', 'schedule.date'])
+  jobs.createIndex('company', ['snapshotId', 'companyId'])
+  // Compound keys can't be multiEntry, so the team index spans snapshots
+  jobs.createIndex('team', 'scheduledTeams', { multiEntry: true })
+
+  const teams = db.createObjectStore(STORES.TEAMS, { keyPath: ['snapshotId', 'id'] })
+  teams.createIndex('sequence', ['snapshotId', 'sequence'])
+
+  const employees = db.createObjectStore(STORES.EMPLOYEES, { keyPath: ['snapshotId', 'id'] })
+  employees.createIndex('sequence', ['snapshotId', 'sequence'])
+  employees.createIndex('team', ['snapshotId', 'teamId'])
+
+  const companies = db.createObjectStore(STORES.COMPANIES, { keyPath: ['snapshotId', 'id'] })
+  companies.createIndex('sequence', ['snapshotId', 'sequence'])
+
+  // Metadata is keyed by snapshot id
+  db.createObjectStore(STORES.METADATA)
+
+  const snapshots = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' })
+  snapshots.createIndex('createdAt', 'createdAt')
+
+  db.createObjectStore(STORES.SETTINGS)
+}
+
+/**
+ * Open (and create if needed) the database
+ * The connection is cached for the lifetime of the page
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      createSchema(request.result)
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Drop the cached connection if another tab upgrades the schema
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      resolve(db)
+    }
+
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'))
+  }).catch(error => {
+    dbPromise = null
+    throw error
+  })
+
+  return dbPromise
+}
+
+/**
+ * Read the encryption settings, cached after the first call
+ * @returns {Promise<Object|null>} - Encryption settings, or null if encryption is off
+ */
+async function loadEncryptionConfig() {
+  if (encryption.config === undefined) {
+    const db = await openDatabase()
+    const transaction = db.transaction(STORES.SETTINGS, 'readonly')
+    const config = await promisifyRequest(transaction.objectStore(STORES.SETTINGS).get(ENCRYPTION_KEY))
+    encryption.config = config || null
+  }
+  return encryption.config
+}
+
+/**
+ * Key that new writes must be sealed with
+ * @returns {Promise<CryptoKey|null>} - Key, or null if encryption is off
+ * @throws {Error} - If encryption is on but the passphrase has not been entered
+ */
+async function getWriteKey() {
+  const config = await loadEncryptionConfig()
+  if (!config) {
+    return null
+  }
+  if (!encryption.key) {
+    throw new Error('Stored data is locked')
+  }
+  return encryption.key
+}
+
+/**
+ * Encrypt a value for storage
+ * @param {any} value - Value to store
+ * @param {CryptoKey|null} key - Key, or null to store in clear text
+ * @returns {Promise<any>} - Envelope, or the value unchanged without a key
+ */
+async function sealValue(value, key) {
+  return key ? encryptValue(key, value) : value
+}
+
+/**
+ * Decrypt a stored value with the in-memory key
+ * @param {any} value - Stored value
+ * @returns {Promise<any>} - Clear-text value
+ */
+async function openValue(value) {
+  if (!isEncryptedValue(value)) {
+    return value
+  }
+  if (!encryption.key) {
+    throw new Error('Stored data is locked')
+  }
+  return decryptValue(encryption.key, value)
+}
+
+/**
+ * Encrypt an entity record, keeping its key and index fields readable
+ * @param {string} storeName - Name of the entity store
+ * @param {Object} record - Record with snapshotId and sequence
+ * @param {CryptoKey|null} key - Key, or null to store in clear text
+ * @returns {Promise<Object>} - Record to put
+ */
+async function sealRecord(storeName, record, key) {
+  if (!key) {
+    return record
+  }
+  const { id, snapshotId, sequence } = record
+  return {
+    ...(INDEX_FIELDS[storeName]?.(record) || {}),
+    id,
+    snapshotId,
+    sequence,
+    payload: await encryptValue(key, record)
+  }
+}
+
+/**
+ * Decrypt an entity record sealed by sealRecord
+ * @param {Object} record - Stored record
+ * @returns {Promise<Object>} - Full record with snapshotId and sequence
+ */
+async function openRecord(record) {
+  if (!record.payload) {
+    return record
+  }
+  return { ...await openValue(record.payload), snapshotId: record.snapshotId, sequence: record.sequence }
+}
+
+/**
+ * Decrypt the sensitive fields of a snapshot record (the import diff)
+ * @param {Object} snapshot - Stored snapshot record
+ * @returns {Promise<Object>} - Snapshot record
+ */
+async function openSnapshot(snapshot) {
+  return snapshot.diff ? { ...snapshot, diff: await openValue(snapshot.diff) } : snapshot
+}
+
+/**
+ * Re-encrypt every stored record, snapshot and setting with a new key
+ * Passing a null key stores everything in clear text (encryption off)
+ * @param {CryptoKey|null} nextKey - New key
+ * @param {Object|null} nextConfig - New encryption settings
+ * @returns {Promise<void>}
+ */
+async function rewriteAllData(nextKey, nextConfig) {
+  const db = await openDatabase()
+
+  // Read everything in one transaction, then decrypt once it has finished
+  const read = db.transaction(DATASET_STORES, 'readonly')
+  const [entityRecords, metadataKeys, metadataValues, snapshots, settingKeys, settingValues] = await Promise.all([
+    Promise.all(ENTITY_STORES.map(storeName => promisifyRequest(read.objectStore(storeName).getAll()))),
+    promisifyRequest(read.objectStore(STORES.METADATA).getAllKeys()),
+    promisifyRequest(read.objectStore(STORES.METADATA).getAll()),
+    promisifyRequest(read.objectStore(STORES.SNAPSHOTS).getAll()),
+    promisifyRequest(read.objectStore(STORES.SETTINGS).getAllKeys()),
+    promisifyRequest(read.objectStore(STORES.SETTINGS).getAll())
+  ])
+
+  // Crypto can't run inside an IndexedDB transaction, so seal everything before writing
+  const sealedEntities = await Promise.all(ENTITY_STORES.map((storeName, index) =>
+    Promise.all(entityRecords[index].map(async record => sealRecord(storeName, await openRecord(record), nextKey)))
+  ))
+  const sealedMetadata = await Promise.all(metadataValues.map(async value => sealValue(await openValue(value), nextKey)))
+  const sealedSnapshots = await Promise.all(snapshots.map(async snapshot => {
+    const opened = await openSnapshot(snapshot)
+    return opened.diff ? { ...opened, diff: await sealValue(opened.diff, nextKey) } : opened
+  }))
+  const sealedSettings = await Promise.all(settingKeys.map(async (key, index) => {
+    if (PLAIN_SETTINGS.includes(key)) return settingValues[index]
+    return sealValue(await openValue(settingValues[index]), nextKey)
+  }))
+
+  const write = db.transaction(DATASET_STORES, 'readwrite')
+  DATASET_STORES.forEach(storeName => write.objectStore(storeName).clear())
+  ENTITY_STORES.forEach((storeName, index) => {
+    const store = write.objectStore(storeName)
+    sealedEntities[index].forEach(record => store.put(record))
+  })
+  metadataKeys.forEach((key, index) => write.objectStore(STORES.METADATA).put(sealedMetadata[index], key))
+  sealedSnapshots.forEach(snapshot => write.objectStore(STORES.SNAPSHOTS).put(snapshot))
+  settingKeys.forEach((key, index) => {
+    if (key !== ENCRYPTION_KEY) {
+      write.objectStore(STORES.SETTINGS).put(sealedSettings[index], key)
+    }
+  })
+  if (nextConfig) {
+    write.objectStore(STORES.SETTINGS).put(nextConfig, ENCRYPTION_KEY)
+  }
+  await transactionDone(write)
+
+  encryption = { config: nextConfig, key: nextKey }
+}
+
+/**
+ * Range covering every [snapshotId, *] key
+ * @param {string} snapshotId - Snapshot id
+ * @returns {IDBKeyRange} - Key range for the snapshot
+ */
+function snapshotRange(snapshotId) {
+  return IDBKeyRange.bound([snapshotId], [snapshotId, []])
+}
+
+/**
+ * Strip storage-only fields from a record
+ * @param {Object} record - Stored record
+ * @returns {Object} - Record as it appears in the dataset
+ */
+function toEntity({ snapshotId, sequence, ...record }) {
+  return record
+}
+
+/**
+ * Read every record of a snapshot from a store in saved order
+ * @param {IDBTransaction} transaction - Read transaction
+ * @param {string} storeName - Name of the entity store
+ * @param {string} snapshotId - Snapshot id
+ * @returns {Promise<Array>} - Records in original order
+ */
+async function readEntities(transaction, storeName, snapshotId) {
+  const index = transaction.objectStore(storeName).index('sequence')
+  const records = await promisifyRequest(index.getAll(snapshotRange(snapshotId)))
+  return Promise.all(records.map(async record => toEntity(await openRecord(record))))
+}
+
+/**
+ * Queue deletes for every record belonging to a snapshot
+ * @param {IDBTransaction} transaction - Readwrite transaction
+ * @param {string} snapshotId - Snapshot id
+ */
+function deleteSnapshotRecords(transaction, snapshotId) {
+  ENTITY_STORES.forEach(storeName => {
+    transaction.objectStore(storeName).delete(snapshotRange(snapshotId))
+  })
+  transaction.objectStore(STORES.METADATA).delete(snapshotId)
+}
+
+/**
+ * Build (and encrypt, if enabled) the records for a dataset
+ * Must run before the write transaction opens, since crypto can't run inside one
+ * @param {string} snapshotId - Snapshot id
+ * @param {Object} data - Transformed dataset
+ * @param {CryptoKey|null} key - Key, or null to store in clear text
+ * @returns {Promise<Object>} - { records: { [storeName]: Array }, metadata }
+ */
+async function prepareSnapshotRecords(snapshotId, data, key) {
+  const records = {}
+  await Promise.all(ENTITY_STORES.map(async storeName => {
+    records[storeName] = await Promise.all((data[storeName] || []).map((record, sequence) =>
+      sealRecord(storeName, { ...record, snapshotId, sequence }, key)
+    ))
+  }))
+  return { records, metadata: await sealValue(data.metadata || {}, key) }
+}
+
+/**
+ * Queue writes for prepared dataset records into a snapshot
+ * @param {IDBTransaction} transaction - Readwrite transaction
+ * @param {string} snapshotId - Snapshot id
+ * @param {Object} prepared - Output of prepareSnapshotRecords
+ */
+function writeSnapshotRecords(transaction, snapshotId, prepared) {
+  ENTITY_STORES.forEach(storeName => {
+    const store = transaction.objectStore(storeName)
+    prepared.records[storeName].forEach(record => store.put(record))
+  })
+  transaction.objectStore(STORES.METADATA).put(prepared.metadata, snapshotId)
+}
+
+/**
+ * Move data saved by the old localStorage implementation into IndexedDB
+ * The legacy key is only removed once the IndexedDB write succeeds
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyData() {
+  let jsonString
+  try {
+    jsonString = localStorage.getItem(LEGACY_STORAGE_KEY)
+  } catch (error) {
+    return
+  }
+
+  if (!jsonString) {
+    return
+  }
+
+  try {
+    const legacyData = JSON.parse(jsonString)
+    const snapshot = await DataStorage.createSnapshot(
+      legacyData,
+      legacyData.metadata?.companyName || 'Imported data'
+    )
+    if (snapshot) {
+      localStorage.removeItem(LEGACY_STORAGE_KEY)
+    }
+  } catch (error) {
+    console.error('Error migrating localStorage data:', error)
+  }
+}
 
 export const DataStorage = {
   /**
-   * Save data to localStorage
-   * @param {Object} data - The data object to store
-   * @returns {boolean} - Success status
+   * Save data into the active snapshot, creating one if none exists
+   * @param {Object} data - The transformed data object to store
+   * @returns {Promise<boolean>} - Success status
    */
-  save(data) {
+  async save(data) {
+    const activeId = await this.getActiveSnapshotId()
+    if (activeId) {
+      return this.updateSnapshot(activeId, data)
+    }
+    const snapshot = await this.createSnapshot(data, data.metadata?.companyName || 'Imported data')
+    return snapshot !== null
+  },
+
+  /**
+   * Load the active snapshot from IndexedDB
+   * Migrates any data left in localStorage by older versions first
+   * @returns {Promise<Object|null>} - Data object or null if not found/invalid
+   */
+  async load() {
     try {
-      const jsonString = JSON.stringify(data)
-      localStorage.setItem(STORAGE_KEY, jsonString)
-      return true
+      await migrateLegacyData()
+
+      const activeId = await this.getActiveSnapshotId()
+      if (!activeId) {
+        return null
+      }
+      return this.loadSnapshot(activeId)
     } catch (error) {
-      console.error('Error saving to localStorage:', error)
-      return false
+      console.error('Error loading from IndexedDB:', error)
+      return null
     }
   },
 
   /**
-   * Load data from localStorage
-   * @returns {Object|null} - Parsed data object or null if not found/invalid
+   * Load a specific snapshot's dataset
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<Object|null>} - Data object or null if not found
    */
-  load() {
+  async loadSnapshot(snapshotId) {
     try {
-      const jsonString = localStorage.getItem(STORAGE_KEY)
-      if (!jsonString) {
+      const db = await openDatabase()
+      const transaction = db.transaction([...ENTITY_STORES, STORES.METADATA], 'readonly')
+
+      const storedMetadata = await promisifyRequest(
+        transaction.objectStore(STORES.METADATA).get(snapshotId)
+      )
+      if (!storedMetadata) {
         return null
       }
-      return JSON.parse(jsonString)
+
+      const [jobs, teams, employees, companies] = await Promise.all(
+        ENTITY_STORES.map(storeName => readEntities(transaction, storeName, snapshotId))
+      )
+      const metadata = await openValue(storedMetadata)
+
+      return { metadata, companies, teams, jobs, employees }
+    } catch (error) {
+      console.error('Error loading snapshot from IndexedDB:', error)
+      return null
+    }
+  },
+
+  /**
+   * Store a dataset as a new snapshot, by default making it active
+   * @param {Object} data - The transformed data object to store
+   * @param {string} name - Display name for the snapshot
+   * @param {Object} details - Extra fields kept on the snapshot record (e.g. the import diff)
+   * @param {Object} options - { activate } false leaves the active snapshot as it is
+   * @returns {Promise<Object|null>} - Snapshot record or null on failure
+   */
+  async createSnapshot(data, name, details = {}, { activate = true } = {}) {
+    try {
+      const key = await getWriteKey()
+      const snapshotId = generateSnapshotId()
+      const prepared = await prepareSnapshotRecords(snapshotId, data, key)
+      const storedDetails = details.diff ? { ...details, diff: await sealValue(details.diff, key) } : details
+
+      const db = await openDatabase()
+      const transaction = db.transaction(DATASET_STORES, 'readwrite')
+      const now = new Date().toISOString()
+      const snapshot = {
+        ...storedDetails,
+        id: snapshotId,
+        name: name || 'Untitled snapshot',
+        createdAt: now,
+        updatedAt: now,
+        summary: buildSnapshotSummary(data.metadata)
+      }
+
+      writeSnapshotRecords(transaction, snapshot.id, prepared)
+      transaction.objectStore(STORES.SNAPSHOTS).put(snapshot)
+      if (activate) {
+        transaction.objectStore(STORES.SETTINGS).put(snapshot.id, ACTIVE_SNAPSHOT_KEY)
+      }
+
+      await transactionDone(transaction)
+      return { ...snapshot, ...details }
+    } catch (error) {
+      console.error('Error saving snapshot to IndexedDB:', error)
+      return null
+    }
+  },
+
+  /**
+   * Replace the dataset stored in an existing snapshot
+   * @param {string} snapshotId - Snapshot id
+   * @param {Object} data - The transformed data object to store
+   * @returns {Promise<boolean>} - Success status
+   */
+  async updateSnapshot(snapshotId, data) {
+    try {
+      const prepared = await prepareSnapshotRecords(snapshotId, data, await getWriteKey())
+      const db = await openDatabase()
+      const transaction = db.transaction(DATASET_STORES, 'readwrite')
+      const snapshots = transaction.objectStore(STORES.SNAPSHOTS)
+      const existing = await promisifyRequest(snapshots.get(snapshotId))
+      if (!existing) {
+        throw new Error(`Snapshot ${snapshotId} not found`)
+      }
+
+      deleteSnapshotRecords(transaction, snapshotId)
+      writeSnapshotRecords(transaction, snapshotId, prepared)
+      snapshots.put({
+        ...existing,
+        updatedAt: new Date().toISOString(),
+        summary: buildSnapshotSummary(data.metadata)
+      })
+
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error('Error updating snapshot in IndexedDB:', error)
+      return false
+    }
+  },
+
+  /**
+   * List every stored snapshot, newest first
+   * @returns {Promise<Array>} - Snapshot records
+   */
+  async listSnapshots() {
+    try {
+      const db = await openDatabase()
+      const transaction = db.transaction(STORES.SNAPSHOTS, 'readonly')
+      const snapshots = await promisifyRequest(
+        transaction.objectStore(STORES.SNAPSHOTS).index('createdAt').getAll()
+      )
+      return await Promise.all(snapshots.reverse().map(openSnapshot))
+    } catch (error) {
+      console.error('Error listing snapshots:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get the id of the active snapshot
+   * @returns {Promise<string|null>} - Active snapshot id or null if none
+   */
+  async getActiveSnapshotId() {
+    try {
+      const db = await openDatabase()
+      const transaction = db.transaction(STORES.SETTINGS, 'readonly')
+      const activeId = await promisifyRequest(
+        transaction.objectStore(STORES.SETTINGS).get(ACTIVE_SNAPSHOT_KEY)
+      )
+      return activeId || null
+    } catch (error) {
+      console.error('Error reading active snapshot:', error)
+      return null
+    }
+  },
+
+  /**
+   * Read a value from the settings store
+   * @param {string} key - Setting key
+   * @returns {Promise<any>} - Stored value, or null if missing
+   */
+  async getSetting(key) {
+    try {
+      const db = await openDatabase()
+      const transaction = db.transaction(STORES.SETTINGS, 'readonly')
+      const value = await promisifyRequest(transaction.objectStore(STORES.SETTINGS).get(key))
+      return value === undefined ? null : await openValue(value)
     } catch (error) {
-      console.error('Error loading from localStorage:', error)
+      console.error(`Error reading setting ${key}:`, error)
       return null
     }
   },
 
   /**
-   * Clear data from localStorage
-   * @returns {boolean} - Success status
+   * Write a value to the settings store (null removes it)
+   * @param {string} key - Setting key
+   * @param {any} value - Value to store
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setSetting(key, value) {
+    try {
+      const stored = PLAIN_SETTINGS.includes(key) ? value : await sealValue(value, await getWriteKey())
+      const db = await openDatabase()
+      const transaction = db.transaction(STORES.SETTINGS, 'readwrite')
+      const store = transaction.objectStore(STORES.SETTINGS)
+      if (value === null || value === undefined) {
+        store.delete(key)
+      } else {
+        store.put(stored, key)
+      }
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error(`Error writing setting ${key}:`, error)
+      return false
+    }
+  },
+
+  /**
+   * Make a snapshot the one every route reads from
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<boolean>} - Success status
    */
-  clear() {
+  async activateSnapshot(snapshotId) {
     try {
-      localStorage.removeItem(STORAGE_KEY)
+      const db = await openDatabase()
+      const transaction = db.transaction([STORES.SNAPSHOTS, STORES.SETTINGS], 'readwrite')
+      const existing = await promisifyRequest(transaction.objectStore(STORES.SNAPSHOTS).get(snapshotId))
+      if (!existing) {
+        throw new Error(`Snapshot ${snapshotId} not found`)
+      }
+      transaction.objectStore(STORES.SETTINGS).put(snapshotId, ACTIVE_SNAPSHOT_KEY)
+      await transactionDone(transaction)
       return true
     } catch (error) {
-      console.error('Error clearing localStorage:', error)
+      console.error('Error activating snapshot:', error)
       return false
     }
   },
 
   /**
-   * Check if data exists in localStorage
-   * @returns {boolean} - True if data exists
+   * Rename a snapshot
+   * @param {string} snapshotId - Snapshot id
+   * @param {string} name - New display name
+   * @returns {Promise<boolean>} - Success status
    */
-  exists() {
+  async renameSnapshot(snapshotId, name) {
     try {
-      return localStorage.getItem(STORAGE_KEY) !== null
+      const db = await openDatabase()
+      const transaction = db.transaction(STORES.SNAPSHOTS, 'readwrite')
+      const store = transaction.objectStore(STORES.SNAPSHOTS)
+      const existing = await promisifyRequest(store.get(snapshotId))
+      if (!existing) {
+        throw new Error(`Snapshot ${snapshotId} not found`)
+      }
+      store.put({ ...existing, name, updatedAt: new Date().toISOString() })
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error('Error renaming snapshot:', error)
+      return false
+    }
+  },
+
+  /**
+   * Delete a snapshot and its records
+   * If it was active, the newest remaining snapshot becomes active
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<string|null|false>} - New active snapshot id (null if none left), or false on failure
+   */
+  async deleteSnapshot(snapshotId) {
+    try {
+      const db = await openDatabase()
+      const transaction = db.transaction(DATASET_STORES, 'readwrite')
+      const settings = transaction.objectStore(STORES.SETTINGS)
+      const snapshots = transaction.objectStore(STORES.SNAPSHOTS)
+
+      deleteSnapshotRecords(transaction, snapshotId)
+      snapshots.delete(snapshotId)
+
+      let activeId = await promisifyRequest(settings.get(ACTIVE_SNAPSHOT_KEY))
+      if (activeId === snapshotId) {
+        const remaining = await promisifyRequest(snapshots.index('createdAt').getAll())
+        activeId = remaining.length > 0 ? remaining[remaining.length - 1].id : null
+        if (activeId) {
+          settings.put(activeId, ACTIVE_SNAPSHOT_KEY)
+        } else {
+          settings.delete(ACTIVE_SNAPSHOT_KEY)
+        }
+      }
+
+      await transactionDone(transaction)
+      return activeId || null
+    } catch (error) {
+      console.error('Error deleting snapshot:', error)
+      return false
+    }
+  },
+
+  /**
+   * Clear all stored data, including every snapshot
+   * Encryption stays on when unlocked; clearing while locked (forgotten
+   * passphrase) also removes the encryption settings
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clear() {
+    try {
+      const keptConfig = encryption.key ? encryption.config : null
+      const db = await openDatabase()
+      const transaction = db.transaction(DATASET_STORES, 'readwrite')
+      DATASET_STORES.forEach(storeName => transaction.objectStore(storeName).clear())
+      if (keptConfig) {
+        transaction.objectStore(STORES.SETTINGS).put(keptConfig, ENCRYPTION_KEY)
+      }
+      await transactionDone(transaction)
+
+      if (!keptConfig) {
+        encryption = { config: null, key: null }
+      }
+
+      localStorage.removeItem(LEGACY_STORAGE_KEY)
+      return true
+    } catch (error) {
+      console.error('Error clearing IndexedDB:', error)
+      return false
+    }
+  },
+
+  /**
+   * Check if data exists
+   * @returns {Promise<boolean>} - True if an active snapshot exists
+   */
+  async exists() {
+    try {
+      if (localStorage.getItem(LEGACY_STORAGE_KEY) !== null) {
+        return true
+      }
+      return (await this.getActiveSnapshotId()) !== null
+    } catch (error) {
+      console.error('Error checking IndexedDB:', error)
+      return false
+    }
+  },
+
+  /**
+   * Get jobs in the active snapshot scheduled on a date
+   * @param {string} date - ISO date string (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Matching jobs
+   */
+  async getJobsByDate(date) {
+    const activeId = await this.getActiveSnapshotId()
+    return this.queryIndex(STORES.JOBS, 'date', [activeId, date], activeId)
+  },
+
+  /**
+   * Get jobs in the active snapshot scheduled for a team
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Array>} - Matching jobs
+   */
+  async getJobsByTeam(teamId) {
+    const activeId = await this.getActiveSnapshotId()
+    return this.queryIndex(STORES.JOBS, 'team', teamId, activeId)
+  },
+
+  /**
+   * Get jobs in the active snapshot belonging to a company
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Array>} - Matching jobs
+   */
+  async getJobsByCompany(companyId) {
+    const activeId = await this.getActiveSnapshotId()
+    return this.queryIndex(STORES.JOBS, 'company', [activeId, companyId], activeId)
+  },
+
+  /**
+   * Get employees in the active snapshot whose team matches
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Array>} - Matching employees
+   */
+  async getEmployeesByTeam(teamId) {
+    const activeId = await this.getActiveSnapshotId()
+    return this.queryIndex(STORES.EMPLOYEES, 'team', [activeId, teamId], activeId)
+  },
+
+  /**
+   * Query an index on an entity store
+   * @param {string} storeName - Name of the entity store
+   * @param {string} indexName - Name of the index
+   * @param {any} key - Key to match
+   * @param {string|null} snapshotId - Only return records from this snapshot
+   * @returns {Promise<Array>} - Matching records in saved order
+   */
+  async queryIndex(storeName, indexName, key, snapshotId) {
+    if (!snapshotId) {
+      return []
+    }
+    try {
+      const db = await openDatabase()
+      const transaction = db.transaction(storeName, 'readonly')
+      const records = await promisifyRequest(
+        transaction.objectStore(storeName).index(indexName).getAll(key)
+      )
+      return await Promise.all(records
+        .filter(record => record.snapshotId === snapshotId)
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(async record => toEntity(await openRecord(record))))
+    } catch (error) {
+      console.error(`Error querying ${storeName}.${indexName}:`, error)
+      return []
+    }
+  },
+
+  /**
+   * Whether stored data is encrypted, and if so whether the key is loaded
+   * @returns {Promise<string>} - 'off' | 'locked' | 'unlocked'
+   */
+  async getEncryptionStatus() {
+    try {
+      const config = await loadEncryptionConfig()
+      if (!config) {
+        return 'off'
+      }
+      return encryption.key ? 'unlocked' : 'locked'
+    } catch (error) {
+      console.error('Error reading encryption settings:', error)
+      return 'off'
+    }
+  },
+
+  /**
+   * Load the encryption key from a passphrase
+   * @param {string} passphrase - Passphrase entered
+   * @returns {Promise<boolean>} - False if the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    try {
+      const config = await loadEncryptionConfig()
+      if (!config) {
+        return true
+      }
+      const key = await unlockEncryptionKey(passphrase, config)
+      if (!key) {
+        return false
+      }
+      encryption.key = key
+      return true
+    } catch (error) {
+      console.error('Error unlocking stored data:', error)
+      return false
+    }
+  },
+
+  /**
+   * Forget the in-memory key; the passphrase is needed again to read data
+   */
+  lock() {
+    encryption.key = null
+  },
+
+  /**
+   * Turn encryption on, or re-key it with a new passphrase
+   * Every snapshot and cached dataset is re-encrypted with the new key
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setPassphrase(passphrase) {
+    try {
+      await getWriteKey()
+      const { key, config } = await createEncryptionConfig(passphrase)
+      await rewriteAllData(key, config)
+      return true
+    } catch (error) {
+      console.error('Error setting encryption passphrase:', error)
+      return false
+    }
+  },
+
+  /**
+   * Turn encryption off, storing everything in clear text again
+   * @returns {Promise<boolean>} - Success status
+   */
+  async disableEncryption() {
+    try {
+      await getWriteKey()
+      await rewriteAllData(null, null)
+      return true
     } catch (error) {
-      console.error('Error checking localStorage:', error)
+      console.error('Error disabling encryption:', error)
       return false
     }
   },
 
   /**
-   * Get the storage key (useful for debugging)
-   * @returns {string} - The storage key
+   * Get the database name (useful for debugging)
+   * @returns {string} - The IndexedDB database name
    */
   getKey() {
-    return STORAGE_KEY
+    return DB_NAME
   }
 }
@@ -0,0 +1,245 @@
+/**
+ * Tabular Export Utility
+ * Flattens jobs, shifts, team days and rate breakdowns over a date range
+ * into rows for CSV and XLSX files payroll and the office can process.
+ * Columns tied to a sensitive field are left out when the export may not
+ * show that field (see getExportFieldVisibility).
+ */
+
+import { getDurationHours } from './scheduleTime'
+import { getShiftPosition, getShiftTeamId } from './shiftRoles'
+import { htmlToText } from './pdfLayout'
+import { getDatesInRange, getBatchSchedules, summarizeSchedule } from './batchExport'
+
+/**
+ * Round hours for the sheet
+ * @param {number} hours - Hours
+ * @returns {number} - Hours to 2 decimals
+ */
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100
+}
+
+/**
+ * Status of a job in the export
+ * @param {Object} job - Job
+ * @returns {string}
+ */
+function getJobStatus(job) {
+  if (job.cancelled) return 'Cancelled'
+  if (job.local) return 'Local'
+  if (job.edited) return 'Edited'
+  return 'Scheduled'
+}
+
+/**
+ * Jobs on the dates (and company) of an export, in schedule order
+ */
+function getJobsInRange(data, dates, companyId) {
+  const dateSet = new Set(dates)
+  return data.jobs
+    .filter(job => dateSet.has(job.schedule.date) && (companyId === 'all' || job.companyId === companyId))
+    .sort((a, b) =>
+      `${a.schedule.date} ${a.schedule.startTime}`.localeCompare(`${b.schedule.date} ${b.schedule.startTime}`) ||
+      a.customerName.localeCompare(b.customerName)
+    )
+}
+
+/**
+ * Shifts on the dates (and company) of an export, with their employee and job
+ */
+function getShiftsInRange(data, dates, companyId) {
+  const dateSet = new Set(dates)
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+  const shifts = []
+  data.employees.forEach(employee => {
+    (employee.shifts || []).forEach(shift => {
+      const job = jobsById.get(shift.jobId)
+      if (!dateSet.has(shift.date)) return
+      if (companyId !== 'all' && job?.companyId !== companyId) return
+      shifts.push({ employee, shift, job })
+    })
+  })
+  return shifts.sort((a, b) =>
+    a.shift.date.localeCompare(b.shift.date) ||
+    a.employee.name.localeCompare(b.employee.name) ||
+    (a.shift.startTime || '').localeCompare(b.shift.startTime || '')
+  )
+}
+
+/**
+ * Tables that can be exported. Each column reads a value from a row; columns
+ * with a `field` only appear when that sensitive field may be shown.
+ */
+export const EXPORT_TABLES = {
+  jobs: {
+    label: 'Jobs',
+    columns: [
+      { key: 'date', header: 'Date', value: ({ job }) => job.schedule.date },
+      { key: 'start', header: 'Start', value: ({ job }) => job.schedule.startTime },
+      { key: 'end', header: 'End', value: ({ job }) => job.schedule.endTime },
+      { key: 'jobId', header: 'JobInformationId', value: ({ job }) => job.id },
+      { key: 'customer', header: 'Customer', value: ({ job }) => job.customerName },
+      { key: 'service', header: 'Service', value: ({ job }) => job.serviceType },
+      { key: 'address', header: 'Address', value: ({ job }) => job.address },
+      { key: 'company', header: 'Company', value: ({ company }) => company?.name || '' },
+      { key: 'teams', header: 'Teams', value: ({ teams }) => teams.map(team => team.name).join(', ') },
+      { key: 'crew', header: 'Crew', value: ({ crew }) => crew.map(employee => employee.name).join(', ') },
+      { key: 'status', header: 'Status', value: ({ job }) => getJobStatus(job) },
+      { key: 'allowedHours', header: 'Allowed Hours', value: ({ job }) => roundHours(job.allowedTime || 0) },
+      { key: 'frequency', header: 'Frequency', value: ({ job }) => job.frequency?.description || '' },
+      { key: 'zone', header: 'Zone', value: ({ job }) => job.homeZone?.description || '' },
+      { key: 'tags', header: 'Tags', value: ({ job }) => (job.tags || []).map(tag => tag.description || tag).join(', ') },
+      { key: 'billRate', header: 'Bill Rate', field: 'billRate', value: ({ job }) => job.billRate || 0 },
+      { key: 'feeSplitRate', header: 'Fee Split Rate', field: 'feeSplitRate', value: ({ job }) => job.feeSplitRate || 0 },
+      { key: 'phone', header: 'Phone', field: 'customerPhone', value: ({ job }) => job.contactInfo?.phone || '' },
+      { key: 'email', header: 'Email', field: 'customerEmail', value: ({ job }) => job.contactInfo?.email || '' },
+      { key: 'access', header: 'Access Information', field: 'accessInformation', value: ({ job }) => htmlToText(job.accessInformation) },
+      { key: 'internalMemo', header: 'Internal Memo', field: 'internalMemo', value: ({ job }) => htmlToText(job.internalMemo) }
+    ],
+    getRows: (data, dates, { companyId }) => {
+      const crewByJob = new Map()
+      data.employees.forEach(employee => {
+        (employee.shifts || []).forEach(shift => {
+          if (!crewByJob.has(shift.jobId)) crewByJob.set(shift.jobId, [])
+          crewByJob.get(shift.jobId).push(employee)
+        })
+      })
+      return getJobsInRange(data, dates, companyId).map(job => ({
+        job,
+        company: data.companies?.find(company => company.id === job.companyId),
+        teams: data.teams.filter(team => job.scheduledTeams.includes(team.id)),
+        crew: crewByJob.get(job.id) || []
+      }))
+    }
+  },
+  shifts: {
+    label: 'Shifts',
+    columns: [
+      { key: 'date', header: 'Date', value: ({ shift }) => shift.date },
+      { key: 'employeeId', header: 'EmployeeInformationId', value: ({ employee }) => employee.id },
+      { key: 'employee', header: 'Employee', value: ({ employee }) => employee.name },
+      { key: 'team', header: 'Team', value: ({ team }) => team?.name || '' },
+      { key: 'position', header: 'Position', value: ({ position }) => position.name },
+      { key: 'jobId', header: 'JobInformationId', value: ({ shift }) => shift.jobId },
+      { key: 'customer', header: 'Customer', value: ({ job }) => job?.customerName || '' },
+      { key: 'status', header: 'Job Status', value: ({ job }) => (job ? getJobStatus(job) : '') },
+      { key: 'start', header: 'Start', value: ({ shift }) => shift.startTime },
+      { key: 'end', header: 'End', value: ({ shift }) => shift.endTime },
+      { key: 'scheduledHours', header: 'Scheduled Hours', value: ({ shift }) => roundHours(getDurationHours(shift)) },
+      // Cancelled jobs keep their row but aren't worked, so they add nothing to Hours
+      { key: 'hours', header: 'Hours', value: ({ shift, job }) => (job?.cancelled ? 0 : roundHours(getDurationHours(shift))) }
+    ],
+    getRows: (data, dates, { companyId }) => getShiftsInRange(data, dates, companyId).map(row => ({
+      ...row,
+      team: data.teams.find(team => team.id === getShiftTeamId(row.shift, row.employee)),
+      position: getShiftPosition(row.shift, row.employee, data)
+    }))
+  },
+  employeeHours: {
+    label: 'Hours per Employee',
+    columns: [
+      { key: 'employeeId', header: 'EmployeeInformationId', value: ({ employee }) => employee.id },
+      { key: 'employee', header: 'Employee', value: ({ employee }) => employee.name },
+      { key: 'days', header: 'Days Worked', value: ({ days }) => days.size },
+      { key: 'shifts', header: 'Shifts', value: ({ shiftCount }) => shiftCount },
+      { key: 'hours', header: 'Total Hours', value: ({ hours }) => roundHours(hours) },
+      { key: 'cancelledHours', header: 'Cancelled Hours', value: ({ cancelledHours }) => roundHours(cancelledHours) }
+    ],
+    // Shifts on cancelled jobs aren't paid: they only count toward Cancelled Hours
+    getRows: (data, dates, { companyId }) => {
+      const totals = new Map()
+      getShiftsInRange(data, dates, companyId).forEach(({ employee, shift, job }) => {
+        if (!totals.has(employee.id)) totals.set(employee.id, { employee, days: new Set(), shiftCount: 0, hours: 0, cancelledHours: 0 })
+        const total = totals.get(employee.id)
+        if (job?.cancelled) {
+          total.cancelledHours += getDurationHours(shift)
+          return
+        }
+        total.days.add(shift.date)
+        total.shiftCount++
+        total.hours += getDurationHours(shift)
+      })
+      return Array.from(totals.values()).sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+    }
+  },
+  teamDays: {
+    label: 'Team-Day Summaries',
+    columns: [
+      { key: 'date', header: 'Date', value: ({ date }) => date },
+      { key: 'team', header: 'Team', value: ({ team }) => team.name },
+      { key: 'members', header: 'Members', value: ({ employees }) => employees.map(employee => employee.name).join(', ') },
+      { key: 'memberCount', header: 'Member Count', value: ({ summary }) => summary.crewCount },
+      { key: 'jobs', header: 'Jobs', value: ({ summary }) => summary.jobCount },
+      { key: 'cancelled', header: 'Cancelled Jobs', value: ({ jobs }) => jobs.filter(job => job.cancelled).length },
+      { key: 'crewHours', header: 'Crew Hours', value: ({ summary }) => roundHours(summary.crewHours) },
+      { key: 'allowedHours', header: 'Allowed Hours', value: ({ summary }) => roundHours(summary.allowedHours) }
+    ],
+    getRows: (data, dates, { companyId }) =>
+      getBatchSchedules(data, { fromDate: dates[0], toDate: dates[dates.length - 1], companyId })
+        .map(schedule => ({ ...schedule, summary: summarizeSchedule(schedule, data) }))
+  },
+  rates: {
+    label: 'Rate Breakdowns',
+    columns: [
+      { key: 'date', header: 'Date', value: ({ job }) => job.schedule.date },
+      { key: 'jobId', header: 'JobInformationId', value: ({ job }) => job.id },
+      { key: 'customer', header: 'Customer', value: ({ job }) => job.customerName },
+      { key: 'type', header: 'Type', value: ({ type }) => type },
+      { key: 'item', header: 'Item', value: ({ item }) => item.Name || '' },
+      { key: 'amount', header: 'Amount', field: 'addOnRate', value: ({ item }) => item.Amount || 0 },
+      { key: 'feeSplit', header: 'Fee Split', field: 'addOnRate', value: ({ item }) => (item.FeeSplit ? 'Yes' : 'No') }
+    ],
+    // Same rules as the Pricing card on the job page: discounts only when they may be shown
+    getRows: (data, dates, { companyId, visibleFields }) => {
+      const rows = []
+      getJobsInRange(data, dates, companyId).forEach(job => {
+        const items = [
+          ...(job.baseFee ? [{ type: 'Base Fee', item: job.baseFee }] : []),
+          ...(job.serviceSetRateMods || []).map(item => ({ type: 'Recurring', item })),
+          ...(job.jobRateMods || []).map(item => ({ type: 'One-Time', item }))
+        ]
+        items
+          .filter(({ item }) => visibleFields.discounts || !(item.Amount < 0))
+          .forEach(entry => rows.push({ job, ...entry }))
+      })
+      return rows
+    }
+  }
+}
+
+/**
+ * Columns of a table the export may show
+ * @param {string} tableId - Key of EXPORT_TABLES
+ * @param {Object} visibleFields - From getExportFieldVisibility
+ * @returns {Array} - [{ key, header, value }]
+ */
+export function getTableColumns(tableId, visibleFields) {
+  const table = EXPORT_TABLES[tableId]
+  if (!table) return []
+  return table.columns.filter(column => !column.field || visibleFields[column.field])
+}
+
+/**
+ * Build a table for export
+ * @param {Object} data - Transformed data
+ * @param {string} tableId - Key of EXPORT_TABLES
+ * @param {Object} options - { fromDate, toDate, companyId, visibleFields, columnKeys (all allowed when omitted) }
+ * @returns {Object} - { name, headers, rows }
+ */
+export function buildTable(data, tableId, { fromDate, toDate, companyId = 'all', visibleFields, columnKeys = null }) {
+  const table = EXPORT_TABLES[tableId]
+  const dates = getDatesInRange(fromDate, toDate)
+  const columns = getTableColumns(tableId, visibleFields)
+    .filter(column => !columnKeys || columnKeys.includes(column.key))
+  if (!data || !table || dates.length === 0) {
+    return { name: table?.label || tableId, headers: columns.map(column => column.header), rows: [] }
+  }
+
+  const rows = table.getRows(data, dates, { companyId, visibleFields })
+  return {
+    name: table.label,
+    headers: columns.map(column => column.header),
+    rows: rows.map(row => columns.map(column => column.value(row)))
+  }
+}
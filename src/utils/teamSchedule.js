@@ -0,0 +1,112 @@
+/**
+ * Team Schedule Utility
+ * Picks the crew and jobs of a team's day and the instructions of a job as
+ * the schedule export shows them; shared by the on-screen preview and the
+ * generated PDF so both follow the same filters and privacy rules
+ */
+
+import { sumShiftHours, getCancelledJobIds } from './scheduleTime'
+import { getPrimaryTeamId, getPositionsOnDate } from './shiftRoles'
+
+/**
+ * Crew and jobs of a team on a date
+ * @param {Object} data - Transformed data
+ * @param {string} teamId - Team id
+ * @param {string} date - yyyy-MM-dd
+ * @param {string} companyId - Company id, or 'all'
+ * @returns {Object} - { employees, jobs }
+ */
+export function getTeamSchedule(data, teamId, date, companyId = 'all') {
+  if (!data || !teamId) return { employees: [], jobs: [] }
+
+  const jobsById = new Map(data.jobs.map(job => [job.id, job]))
+
+  const employees = data.employees.filter(emp => {
+    if (getPrimaryTeamId(emp, date) !== teamId) return false
+
+    // Filter by company - employee must have at least one shift for a job in the selected company
+    if (companyId !== 'all') {
+      const hasShiftInCompany = emp.shifts.some(shift => {
+        const job = jobsById.get(shift.jobId)
+        return job && job.companyId === companyId && shift.date === date
+      })
+      if (!hasShiftInCompany) return false
+    }
+
+    return emp.shifts?.some(shift => shift.date === date)
+  })
+
+  const jobs = data.jobs.filter(job => {
+    if (job.schedule.date !== date) return false
+    if (!job.scheduledTeams.includes(teamId)) return false
+    if (companyId !== 'all' && job.companyId !== companyId) return false
+    return true
+  })
+
+  return { employees, jobs }
+}
+
+/**
+ * Team member row for the schedule
+ * @param {Object} employee - Employee
+ * @param {string} date - yyyy-MM-dd
+ * @param {Object} data - Transformed data (for position definitions and cancelled jobs)
+ * @returns {Object} - { name, positions, hours } with hours on cancelled jobs left out
+ */
+export function getCrewRow(employee, date, data) {
+  return {
+    name: employee.name,
+    positions: getPositionsOnDate(employee, date, data).map(position => position.name).join(' / '),
+    hours: sumShiftHours(employee.shifts, date, getCancelledJobIds(data.jobs)).toFixed(2)
+  }
+}
+
+/**
+ * Instructions of a job the export may show
+ * @param {Object} job - Transformed job
+ * @param {Object} visibleFields - From getExportFieldVisibility
+ * @returns {Array} - [{ label, content }] with HTML content
+ */
+export function getJobInstructions(job, visibleFields) {
+  const instructions = []
+
+  if (job.eventInstructions) {
+    instructions.push({ label: 'Event', content: job.eventInstructions })
+  }
+  if (job.specialInstructions) {
+    instructions.push({ label: 'Special', content: job.specialInstructions })
+  }
+  if (job.petInstructions) {
+    instructions.push({ label: 'Pets', content: job.petInstructions })
+  }
+  if (job.directions) {
+    instructions.push({ label: 'Directions', content: job.directions })
+  }
+  if (job.specialEquipment) {
+    instructions.push({ label: 'Equipment', content: job.specialEquipment })
+  }
+  if (job.wasteInfo) {
+    instructions.push({ label: 'Waste', content: job.wasteInfo })
+  }
+  if (visibleFields.accessInformation && job.accessInformation) {
+    instructions.push({ label: 'Access', content: job.accessInformation })
+  }
+  if (visibleFields.internalMemo && job.internalMemo) {
+    instructions.push({ label: 'Internal Memo', content: job.internalMemo })
+  }
+
+  return instructions
+}
+
+/**
+ * Contact line of a job the export may show
+ * @param {Object} job - Transformed job
+ * @param {Object} visibleFields - From getExportFieldVisibility
+ * @returns {string} - e.g. "Phone: 555-0100, Email: a@b.com", or '' when nothing may show
+ */
+export function getJobContact(job, visibleFields) {
+  const parts = []
+  if (visibleFields.customerPhone && job.contactInfo?.phone) parts.push(`Phone: ${job.contactInfo.phone}`)
+  if (visibleFields.customerEmail && job.contactInfo?.email) parts.push(`Email: ${job.contactInfo.email}`)
+  return parts.join(', ')
+}
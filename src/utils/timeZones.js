@@ -0,0 +1,188 @@
+/**
+ * Time Zone Utility
+ * MaidCentral exports name company time zones with Windows ids
+ * (TimeZoneInfoId, e.g. "Eastern Standard Time"). These helpers map them to
+ * IANA zones and convert timestamps to company-local wall-clock date/time, so
+ * a schedule reads the same no matter which zone the browser is in.
+ */
+
+import { format, parseISO, isValid } from 'date-fns'
+
+/**
+ * Windows time zone id -> IANA zone (CLDR "001" territory mappings)
+ */
+export const WINDOWS_TO_IANA = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Aleutian Standard Time': 'America/Adak',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+  'Mountain Standard Time': 'America/Denver',
+  'Yukon Standard Time': 'America/Whitehorse',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time (Mexico)': 'America/Cancun',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indianapolis',
+  'Haiti Standard Time': 'America/Port-au-Prince',
+  'Cuba Standard Time': 'America/Havana',
+  'Atlantic Standard Time': 'America/Halifax',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Buenos_Aires',
+  'Greenland Standard Time': 'America/Godthab',
+  'UTC': 'Etc/UTC',
+  'Coordinated Universal Time': 'Etc/UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'FLE Standard Time': 'Europe/Kiev',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Calcutta',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland'
+}
+
+// Trailing "Z" or "+hh:mm" / "-hhmm" means the timestamp is an absolute instant
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i
+
+/**
+ * Check whether an IANA zone is supported by this browser
+ * @param {string} timeZone - IANA zone name
+ * @returns {boolean} - True if Intl accepts the zone
+ */
+function isSupportedZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Map a Windows time zone id (or an IANA name) to an IANA zone
+ * @param {string} timeZoneInfoId - e.g. "Eastern Standard Time"
+ * @returns {string|null} - e.g. "America/New_York", or null if unknown
+ */
+export function windowsToIana(timeZoneInfoId) {
+  if (!timeZoneInfoId || typeof timeZoneInfoId !== 'string') return null
+
+  const mapped = WINDOWS_TO_IANA[timeZoneInfoId.trim()]
+  if (mapped) return mapped
+
+  // Some exports already use IANA names
+  if (timeZoneInfoId.includes('/') && isSupportedZone(timeZoneInfoId)) {
+    return timeZoneInfoId
+  }
+
+  return null
+}
+
+/**
+ * Convert a timestamp to wall-clock date and time in a zone
+ * Timestamps without an offset are already wall-clock values and are kept as-is;
+ * timestamps with an offset are converted to the zone (or the browser zone if none)
+ * @param {string} value - ISO timestamp from the export
+ * @param {string|null} timeZone - IANA zone
+ * @returns {Object|null} - { date: 'yyyy-MM-dd', time: 'HH:mm' }, or null if unparseable
+ */
+export function toZonedDateTime(value, timeZone) {
+  if (!value || typeof value !== 'string') return null
+
+  const parsed = parseISO(value)
+  if (!isValid(parsed)) return null
+
+  if (!timeZone || !OFFSET_PATTERN.test(value.trim())) {
+    return { date: format(parsed, 'yyyy-MM-dd'), time: format(parsed, 'HH:mm') }
+  }
+
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(parsed)
+    const part = (type) => parts.find(p => p.type === type)?.value
+
+    return {
+      date: `${part('year')}-${part('month')}-${part('day')}`,
+      time: `${part('hour')}:${part('minute')}`
+    }
+  } catch (error) {
+    console.error(`Error converting time to ${timeZone}:`, error)
+    return { date: format(parsed, 'yyyy-MM-dd'), time: format(parsed, 'HH:mm') }
+  }
+}
+
+/**
+ * Short zone label for display, e.g. "EST" / "EDT" or "GMT-5"
+ * @param {string} timeZone - IANA zone
+ * @param {string} date - Local date (yyyy-MM-dd) used to pick standard vs daylight time
+ * @returns {string} - Zone abbreviation, or the IANA name if Intl can't shorten it
+ */
+export function getZoneLabel(timeZone, date) {
+  if (!timeZone) return ''
+
+  try {
+    // Noon avoids landing in a DST transition hour
+    const reference = date ? parseISO(`${date}T12:00:00`) : new Date()
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(reference)
+    return parts.find(p => p.type === 'timeZoneName')?.value || timeZone
+  } catch (error) {
+    return timeZone
+  }
+}
+
+/**
+ * Check whether jobs in a dataset come from more than one time zone
+ * @param {Object} data - Transformed data
+ * @returns {boolean} - True if times need a zone label to be unambiguous
+ */
+export function hasMixedTimeZones(data) {
+  if (!data?.jobs) return false
+  const zones = new Set(data.jobs.map(job => job.timeZone).filter(Boolean))
+  return zones.size > 1
+}
+
+/**
+ * Zone suffix to append to a job's displayed times
+ * @param {Object} job - Transformed job
+ * @param {boolean} showZones - Result of hasMixedTimeZones()
+ * @returns {string} - e.g. " EST", or '' when zones don't need marking
+ */
+export function formatZoneSuffix(job, showZones) {
+  if (!showZones || !job?.timeZone) return ''
+  return ` ${getZoneLabel(job.timeZone, job.schedule?.date)}`
+}
@@ -0,0 +1,119 @@
+/**
+ * User Directory Utility
+ * Parses the blob sync `users.json` (users per service company, see
+ * docs/AZURE-BLOB-SYNC-ARCHITECTURE.md) and joins users to schedule employees
+ * by EmployeeInformationId. A user's Roles decide their view mode and their
+ * companies limit which companies they see.
+ * The parsed directory is kept in the IndexedDB settings store, so it is
+ * encrypted along with the schedules when at-rest encryption is on.
+ */
+
+import { DataStorage } from './storage'
+
+// Settings-store key for the parsed user directory
+const USER_DIRECTORY_KEY = 'userDirectory'
+
+/**
+ * Check whether parsed JSON is a users.json file rather than a schedule file
+ * @param {Object} jsonData - Parsed JSON
+ * @returns {boolean}
+ */
+export function isUsersFile(jsonData) {
+  const groups = jsonData?.ServiceCompanyGroups
+  if (!Array.isArray(groups)) return false
+
+  return groups.some(group =>
+    (group.ServiceCompanies || []).some(company => Array.isArray(company.Users))
+  )
+}
+
+/**
+ * Parse one or more users.json files into a directory of users
+ * A user listed under several companies is merged into one entry
+ * @param {Array} jsonFiles - Parsed users.json files
+ * @returns {Object} - { generatedAt, users: [{ id, email, employeeId, name, roles, companyIds }] }
+ */
+export function parseUsersFiles(jsonFiles) {
+  const usersById = new Map()
+
+  jsonFiles.forEach(jsonData => {
+    if (!isUsersFile(jsonData)) {
+      throw new Error('Invalid users file: no ServiceCompanies with a Users array')
+    }
+
+    jsonData.ServiceCompanyGroups.forEach(group => {
+      ;(group.ServiceCompanies || []).forEach(company => {
+        ;(company.Users || []).forEach(user => {
+          if (!user.UserId) return
+
+          const companyId = String(user.ServiceCompanyId || company.ServiceCompanyId)
+          const existing = usersById.get(user.UserId)
+
+          if (existing) {
+            existing.companyIds = [...new Set([...existing.companyIds, companyId])]
+            existing.roles = [...new Set([...existing.roles, ...(user.Roles || [])])]
+            return
+          }
+
+          usersById.set(user.UserId, {
+            id: user.UserId,
+            email: user.Email || '',
+            employeeId: user.EmployeeInformationId ? String(user.EmployeeInformationId) : null,
+            name: user.FullName || `${user.FirstName || ''} ${user.LastName || ''}`.trim() || user.Email || user.UserId,
+            roles: user.Roles || [],
+            companyIds: [companyId]
+          })
+        })
+      })
+    })
+  })
+
+  const generatedAt = jsonFiles
+    .map(jsonData => jsonData.GeneratedAt)
+    .filter(Boolean)
+    .sort()
+    .pop() || null
+
+  return {
+    generatedAt,
+    users: Array.from(usersById.values()).sort((a, b) => a.name.localeCompare(b.name))
+  }
+}
+
+/**
+ * View mode implied by a user's roles
+ * Administrator gets office view; everyone else (Employee) gets technician view
+ * @param {Object} user - Directory user
+ * @returns {string} - 'office' | 'technician'
+ */
+export function getUserViewMode(user) {
+  return user?.roles?.includes('Administrator') ? 'office' : 'technician'
+}
+
+/**
+ * Find the schedule employee a user is linked to
+ * @param {Object} user - Directory user
+ * @param {Object} data - Transformed data
+ * @returns {Object|null} - Employee or null if not in the schedule
+ */
+export function findUserEmployee(user, data) {
+  if (!user?.employeeId || !data) return null
+  return data.employees.find(emp => emp.id === user.employeeId) || null
+}
+
+/**
+ * Load the stored user directory
+ * @returns {Promise<Object|null>} - Directory or null if none imported
+ */
+export function loadUserDirectory() {
+  return DataStorage.getSetting(USER_DIRECTORY_KEY)
+}
+
+/**
+ * Store (or remove, with null) the user directory
+ * @param {Object|null} directory - Output of parseUsersFiles
+ * @returns {Promise<boolean>} - Success status
+ */
+export function saveUserDirectory(directory) {
+  return DataStorage.setSetting(USER_DIRECTORY_KEY, directory)
+}
@@ -4,6 +4,9 @@
  * Persists view mode to localStorage
  */
 
+import { DEFAULT_FRESHNESS_THRESHOLDS } from './freshness'
+import { DEFAULT_PDF_OPTIONS } from './pdfLayout'
+
 const PREFERENCES_KEY = 'mc_backup_user_prefs'
 
 /**
@@ -13,7 +16,12 @@ export const DEFAULT_PREFERENCES = {
   viewMode: 'office', // 'office' | 'technician'
   selectedDate: new Date().toISOString().split('T')[0], // ISO date string (YYYY-MM-DD)
   selectedCompany: 'all',
-  selectedTeam: 'all'
+  selectedTeam: 'all',
+  myEmployeeId: null, // "Who am I" - scopes technician view to this employee's jobs
+  myUserId: null, // Identity picked from users.json - limits companies and sets the view mode
+  freshnessThresholds: DEFAULT_FRESHNESS_THRESHOLDS, // Hours before the freshness banner turns amber / red
+  positionOverrides: {}, // Admin edits to position names/colors, keyed by TeamPosition id
+  pdfOptions: DEFAULT_PDF_OPTIONS // Page size and orientation of generated PDFs
 }
 
 /**
@@ -132,3 +140,24 @@ export function shouldHideField(viewMode, fieldName = null, featureToggles = nul
   // Default: hide in Technician view if no toggle defined (for internalMemo)
   return viewMode === 'technician'
 }
+
+// Fields the schedule exports treat as sensitive
+const SENSITIVE_EXPORT_FIELDS = ['customerPhone', 'customerEmail', 'billRate', 'feeSplitRate', 'addOnRate', 'discounts', 'accessInformation', 'internalMemo']
+
+/**
+ * Which sensitive fields an exported schedule (preview, PDF or image) may show
+ * "Hide Sensitive Information" removes all of them in either view;
+ * otherwise shouldHideField decides per field
+ *
+ * @param {string} viewMode - Current view mode ('office' | 'technician')
+ * @param {boolean} hideInfo - "Hide Sensitive Information" switch
+ * @param {Object} featureToggles - FeatureToggles from uploaded data
+ * @returns {Object} - { customerPhone, customerEmail, billRate, feeSplitRate, addOnRate, discounts, accessInformation, internalMemo },
+ *                     true when shown
+ */
+export function getExportFieldVisibility(viewMode, hideInfo, featureToggles = null) {
+  return Object.fromEntries(SENSITIVE_EXPORT_FIELDS.map(fieldName => [
+    fieldName,
+    !hideInfo && !shouldHideField(viewMode, fieldName, featureToggles)
+  ]))
+}
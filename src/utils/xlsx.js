@@ -0,0 +1,146 @@
+/**
+ * XLSX Utility
+ * Writes a minimal Office Open XML workbook in the browser: one sheet per
+ * table with a bold, frozen header row. Numbers stay numeric so payroll can
+ * sum them; everything else is stored as inline text.
+ */
+
+import { zipSync, strToU8 } from 'fflate'
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+// Cell style 1 is the bold header
+const STYLES_XML = XML_DECLARATION +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>'
+
+/**
+ * Escape text for XML, dropping characters XML can't hold
+ * @param {any} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Spreadsheet column letters
+ * @param {number} index - 0-based column index
+ * @returns {string} - e.g. 0 -> "A", 27 -> "AB"
+ */
+function columnName(index) {
+  let name = ''
+  let n = index + 1
+  while (n > 0) {
+    const remainder = (n - 1) % 26
+    name = String.fromCharCode(65 + remainder) + name
+    n = Math.floor((n - 1) / 26)
+  }
+  return name
+}
+
+/**
+ * One cell's XML
+ */
+function cellXml(value, ref, style) {
+  const styleAttr = style ? ` s="${style}"` : ''
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`
+  }
+  if (value === null || value === undefined || value === '') return ''
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+/**
+ * One worksheet's XML
+ */
+function sheetXml({ headers, rows }) {
+  const widths = headers.map((header, index) => Math.min(60, Math.max(
+    String(header).length,
+    ...rows.map(row => String(row[index] ?? '').split('\n')[0].length)
+  ) + 2))
+
+  const rowXml = [headers, ...rows].map((row, rowIndex) => {
+    const cells = row.map((value, index) => cellXml(value, `${columnName(index)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0)).join('')
+    return `<row r="${rowIndex + 1}">${cells}</row>`
+  }).join('')
+
+  return XML_DECLARATION +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+    `<sheetData>${rowXml}</sheetData>` +
+    '</worksheet>'
+}
+
+/**
+ * Make sheet names valid and unique
+ * @param {Array<string>} names - Wanted names
+ * @returns {Array<string>}
+ */
+function toSheetNames(names) {
+  const used = new Set()
+  return names.map((name, index) => {
+    const base = (String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${index + 1}`).slice(0, MAX_SHEET_NAME_LENGTH)
+    let unique = base
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+      unique = `${base.slice(0, MAX_SHEET_NAME_LENGTH - String(n).length - 1)} ${n}`
+    }
+    used.add(unique.toLowerCase())
+    return unique
+  })
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array} sheets - [{ name, headers, rows }] with rows of values in header order
+ * @returns {Uint8Array} - XLSX file content
+ */
+export function toXlsx(sheets) {
+  const names = toSheetNames(sheets.map(sheet => sheet.name))
+
+  const files = {
+    '[Content_Types].xml': XML_DECLARATION +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>',
+    '_rels/.rels': XML_DECLARATION +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': XML_DECLARATION +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': XML_DECLARATION +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': STYLES_XML
+  }
+  sheets.forEach((sheet, index) => {
+    files[`xl/worksheets/sheet${index + 1}.xml`] = sheetXml(sheet)
+  })
+
+  return zipSync(Object.fromEntries(Object.entries(files).map(([path, xml]) => [path, strToU8(xml)])))
+}
@@ -1,9 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 import path from 'path'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      // Ask before activating a new build (see UpdatePrompt.jsx)
+      registerType: 'prompt',
+      includeAssets: ['apple-touch-icon.png'],
+      manifest: {
+        name: 'MaidCentral Backup - Offline Schedule Viewer',
+        short_name: 'MC Backup',
+        description: 'Offline backup viewer for MaidCentral schedules',
+        theme_color: '#005DA5',
+        background_color: '#ffffff',
+        display: 'standalone',
+        start_url: '/',
+        scope: '/',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+        ]
+      },
+      workbox: {
+        // App shell, including the FullCalendar code and styles bundled into the JS/CSS chunks
+        globPatterns: ['**/*.{js,css,html,png,svg,ico,woff,woff2}'],
+        // Offline equivalent of the catch-all rewrite in vercel.json
+        navigateFallback: '/index.html',
+        cleanupOutdatedCaches: true,
+        // The main chunk bundles FullCalendar and jsPDF; keep it precached as it grows past workbox's 2 MiB default
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024
+      }
+    })
+  ],
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),